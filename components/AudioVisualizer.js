@@ -1,113 +1,162 @@
-import React, { useEffect, useRef, useState } from 'react';
-
-const AudioVisualizer = ({ audioElement, isPlaying }) => {
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useAudioAnalyser, useAudioEngine } from '../hooks/useAudioEngine';
+import { connectAudioAnalyser } from '../utils/audioUtils';
+import { createFrameTimer } from '../utils/frameTimer';
+import { createVisualizerRenderer, fitCanvas, isFrameDue } from '../utils/visualizer';
+
+const STATS_INTERVAL_MS = 500;
+
+const isDocumentVisible = () => typeof document === 'undefined' || document.visibilityState !== 'hidden';
+
+/**
+ * Visualizes whatever plays through the shared audio engine, in one of the
+ * VISUALIZER_MODES. An audioElement that isn't already routed through the
+ * engine can be passed in.
+ *
+ * Frames are drawn straight onto the canvas from a requestAnimationFrame loop,
+ * never through React state. The loop is capped at maxFps (0 for no cap) and
+ * only runs while playing with the tab visible. The canvas follows its
+ * container's size and the display's pixel ratio.
+ */
+const AudioVisualizer = ({
+  audioElement,
+  isPlaying,
+  mode = 'bars',
+  fftSize = 256,
+  smoothing = 0.8,
+  colorScheme = 'aurora',
+  maxFps = 60,
+  showStats = false,
+  className = ''
+}) => {
   const canvasRef = useRef(null);
+  const statsRef = useRef(null);
   const animationRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const analyserRef = useRef(null);
-  const sourceRef = useRef(null);
-  const dataArrayRef = useRef(null);
-  const [isInitialized, setIsInitialized] = useState(false);
+  const sizeRef = useRef({ width: 0, height: 0, dpr: 1 });
+  const audioEngine = useAudioEngine();
+  const analyser = useAudioAnalyser();
+  const [isVisible, setIsVisible] = useState(isDocumentVisible);
+
+  const renderer = useMemo(() => createVisualizerRenderer(mode, colorScheme), [mode, colorScheme]);
+  const isRunning = Boolean(analyser) && isPlaying && isVisible;
+
+  // Latest values for the resize observer, which is set up once
+  const stateRef = useRef({});
+  stateRef.current = { renderer, isRunning };
 
   useEffect(() => {
-    if (!audioElement || !canvasRef.current) return;
-
-    const initializeAudioContext = async () => {
-      try {
-        if (!audioContextRef.current) {
-          audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-          analyserRef.current = audioContextRef.current.createAnalyser();
-          analyserRef.current.fftSize = 256;
-          
-          const bufferLength = analyserRef.current.frequencyBinCount;
-          dataArrayRef.current = new Uint8Array(bufferLength);
-
-          if (!sourceRef.current) {
-            sourceRef.current = audioContextRef.current.createMediaElementSource(audioElement);
-            sourceRef.current.connect(analyserRef.current);
-            analyserRef.current.connect(audioContextRef.current.destination);
-          }
-          
-          setIsInitialized(true);
-        }
-      } catch (error) {
-        console.error('Error initializing audio context:', error);
-      }
-    };
+    if (!audioElement) return;
 
-    initializeAudioContext();
+    connectAudioAnalyser(audioElement, audioEngine);
+  }, [audioEngine, audioElement]);
 
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    };
-  }, [audioElement]);
+  useEffect(() => {
+    if (!analyser) return;
+
+    analyser.fftSize = fftSize;
+    analyser.smoothingTimeConstant = smoothing;
+  }, [analyser, fftSize, smoothing]);
 
   useEffect(() => {
-    if (!isInitialized || !isPlaying || !canvasRef.current || !analyserRef.current) {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
+    const handleVisibilityChange = () => setIsVisible(isDocumentVisible());
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  // Resizing clears the canvas, so redraw the idle state unless the loop will
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const resize = () => {
+      sizeRef.current = fitCanvas(canvas);
+      stateRef.current.renderer.reset();
+      if (!stateRef.current.isRunning) {
+        stateRef.current.renderer.draw(canvas.getContext('2d'), sizeRef.current, null, performance.now());
       }
-      return;
-    }
+    };
 
+    resize();
+    if (typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(resize);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
     const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    const bufferLength = analyserRef.current.frequencyBinCount;
+    if (!canvas) return;
 
-    const draw = () => {
-      if (!isPlaying) return;
+    const ctx = canvas.getContext('2d');
 
-      analyserRef.current.getByteFrequencyData(dataArrayRef.current);
+    // A new mode or colour scheme starts from a clean canvas
+    ctx.clearRect(0, 0, sizeRef.current.width, sizeRef.current.height);
+    renderer.reset();
+  }, [renderer]);
 
-      ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
 
-      const barWidth = (canvas.width / bufferLength) * 2.5;
-      let barHeight;
-      let x = 0;
+    const ctx = canvas.getContext('2d');
 
-      for (let i = 0; i < bufferLength; i++) {
-        barHeight = (dataArrayRef.current[i] / 255) * canvas.height;
+    // Stopped: show the idle state instead of the last frame
+    if (!analyser || !isPlaying) {
+      renderer.draw(ctx, sizeRef.current, null, performance.now());
+      return;
+    }
+    if (!isVisible) return;
 
-        const r = barHeight + 25 * (i / bufferLength);
-        const g = 250 * (i / bufferLength);
-        const b = 50;
+    const timer = createFrameTimer();
+    let lastFrame = 0;
+    let lastStats = 0;
 
-        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.8)`;
-        ctx.fillRect(x, canvas.height - barHeight, barWidth, barHeight);
+    const draw = (now) => {
+      animationRef.current = requestAnimationFrame(draw);
+      if (!isFrameDue(now, lastFrame, maxFps)) return;
+      lastFrame = now;
 
-        x += barWidth + 1;
+      // Moving the window to another display changes the ratio without a resize
+      if ((window.devicePixelRatio || 1) !== sizeRef.current.dpr) {
+        sizeRef.current = fitCanvas(canvas);
+        renderer.reset();
       }
 
-      animationRef.current = requestAnimationFrame(draw);
-    };
+      timer.begin();
+      renderer.draw(ctx, sizeRef.current, analyser, now);
+      timer.end();
 
-    if (audioContextRef.current?.state === 'suspended') {
-      audioContextRef.current.resume();
-    }
+      if (showStats && statsRef.current && now - lastStats >= STATS_INTERVAL_MS) {
+        const { fps, drawMs, maxDrawMs } = timer.getStats();
+        statsRef.current.textContent =
+          `${Math.round(fps)} fps · ${drawMs.toFixed(2)} ms (max ${maxDrawMs.toFixed(2)} ms)`;
+        lastStats = now;
+      }
+    };
 
-    draw();
+    audioEngine.resume();
+    animationRef.current = requestAnimationFrame(draw);
 
     return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
+      cancelAnimationFrame(animationRef.current);
+      animationRef.current = null;
     };
-  }, [isPlaying, isInitialized]);
+  }, [audioEngine, analyser, renderer, isPlaying, isVisible, maxFps, showStats]);
 
   return (
-    <div className="w-full h-32 bg-white/10 backdrop-blur-md rounded-lg border border-white/20 overflow-hidden">
-      <canvas
-        ref={canvasRef}
-        width={400}
-        height={128}
-        className="w-full h-full"
-        style={{ filter: 'blur(0.5px)' }}
-      />
+    <div className={`relative ${className}`}>
+      <canvas ref={canvasRef} className="w-full h-full block" />
+      {showStats && (
+        <span
+          ref={statsRef}
+          className="absolute top-1 right-2 text-[10px] font-mono text-white/50 pointer-events-none"
+          aria-hidden="true"
+        />
+      )}
     </div>
   );
 };
 
-export default AudioVisualizer;
\ No newline at end of file
+export default AudioVisualizer;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { Command, defaultFilter } from 'cmdk';
+import { ListMusic, Music, Search } from 'lucide-react';
+import { getTrackSubtitle, getTrackTitle } from '../utils/audioUtils';
+import { formatKeyCombo } from '../utils/shortcuts';
+
+const itemClassName =
+  'flex items-center gap-2 px-3 py-2 rounded text-sm text-white/80 cursor-pointer data-[selected=true]:bg-white/15 data-[selected=true]:text-white';
+
+// Item values are prefixed ids, so only the keywords are matched against the search
+const filterItems = (value, search, keywords = []) => defaultFilter(keywords.join(' '), search);
+
+const headingClassName =
+  '[&_[cmdk-group-heading]]:px-3 [&_[cmdk-group-heading]]:py-1 [&_[cmdk-group-heading]]:text-xs [&_[cmdk-group-heading]]:text-white/40';
+
+/**
+ * Ctrl/Cmd+K palette with fuzzy search over player actions, library tracks
+ * and playlists
+ * @param {Object} props - actions: [{ id, label, shortcut, run }], tracks, playlists,
+ *   onPlayTrack(track), onOpenPlaylist(playlist)
+ */
+const CommandPalette = ({ open, onOpenChange, actions, tracks, playlists, onPlayTrack, onOpenPlaylist }) => {
+  // Close before running so focus returns to the page first
+  const select = (callback) => () => {
+    onOpenChange(false);
+    callback();
+  };
+
+  return (
+    <Command.Dialog
+      open={open}
+      onOpenChange={onOpenChange}
+      label="Command palette"
+      filter={filterItems}
+      loop
+      overlayClassName="fixed inset-0 z-50 bg-black/50"
+      contentClassName="fixed left-1/2 top-24 z-50 w-full max-w-md -translate-x-1/2 px-4"
+      className="rounded-lg border border-white/20 bg-slate-900/90 backdrop-blur-xl shadow-2xl overflow-hidden"
+    >
+      <div className="flex items-center gap-2 px-3 border-b border-white/10">
+        <Search className="w-4 h-4 text-white/50" />
+        <Command.Input
+          placeholder="Search tracks, playlists and actions…"
+          className="flex-1 bg-transparent py-3 text-sm text-white placeholder-white/40 outline-none"
+        />
+      </div>
+
+      <Command.List className={`max-h-80 overflow-y-auto p-2 ${headingClassName}`}>
+        <Command.Empty className="py-6 text-center text-sm text-white/50">No results</Command.Empty>
+
+        <Command.Group heading="Actions">
+          {actions.map(action => (
+            <Command.Item
+              key={action.id}
+              value={`action:${action.id}`}
+              keywords={[action.label]}
+              onSelect={select(action.run)}
+              className={itemClassName}
+            >
+              <span className="flex-1">{action.label}</span>
+              {action.shortcut && (
+                <kbd className="text-xs font-mono text-white/40">{formatKeyCombo(action.shortcut)}</kbd>
+              )}
+            </Command.Item>
+          ))}
+        </Command.Group>
+
+        {playlists.length > 0 && (
+          <Command.Group heading="Playlists">
+            {playlists.map(playlist => (
+              <Command.Item
+                key={playlist.id}
+                value={`playlist:${playlist.id}`}
+                keywords={[playlist.name]}
+                onSelect={select(() => onOpenPlaylist(playlist))}
+                className={itemClassName}
+              >
+                <ListMusic className="w-4 h-4 text-white/50" />
+                <span className="flex-1 truncate">{playlist.name}</span>
+                <span className="text-xs text-white/40">{playlist.tracks.length}</span>
+              </Command.Item>
+            ))}
+          </Command.Group>
+        )}
+
+        {tracks.length > 0 && (
+          <Command.Group heading="Tracks">
+            {tracks.map(track => (
+              <Command.Item
+                key={track.id}
+                value={`track:${track.id}`}
+                keywords={[getTrackTitle(track), track.artist, track.album, track.name].filter(Boolean)}
+                onSelect={select(() => onPlayTrack(track))}
+                className={itemClassName}
+              >
+                <Music className="w-4 h-4 text-white/50" />
+                <div className="flex-1 min-w-0">
+                  <div className="truncate">{getTrackTitle(track)}</div>
+                  {getTrackSubtitle(track) && (
+                    <div className="text-xs text-white/50 truncate">{getTrackSubtitle(track)}</div>
+                  )}
+                </div>
+              </Command.Item>
+            ))}
+          </Command.Group>
+        )}
+      </Command.List>
+    </Command.Dialog>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,211 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Save, Trash2 } from 'lucide-react';
+import {
+  EQ_FREQUENCIES,
+  EQ_MAX_GAIN,
+  EQ_MIN_GAIN,
+  formatFrequency,
+  getEqualizerResponse
+} from '../utils/equalizer';
+
+const CURVE_MIN_FREQUENCY = 20;
+const CURVE_MAX_FREQUENCY = 20000;
+const CURVE_POINTS = 200;
+// Preamp and overlapping bands can exceed the slider range
+const CURVE_RANGE_DB = 18;
+
+// Log-spaced frequencies across the audible range
+const CURVE_FREQUENCIES = Array.from({ length: CURVE_POINTS }, (_, i) => (
+  CURVE_MIN_FREQUENCY * Math.pow(CURVE_MAX_FREQUENCY / CURVE_MIN_FREQUENCY, i / (CURVE_POINTS - 1))
+));
+
+const EqualizerCurve = ({ settings }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const { width, height } = canvas.getBoundingClientRect();
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const toY = (db) => height / 2 - (db / CURVE_RANGE_DB) * (height / 2);
+    const toX = (frequency) => (
+      Math.log(frequency / CURVE_MIN_FREQUENCY) / Math.log(CURVE_MAX_FREQUENCY / CURVE_MIN_FREQUENCY) * width
+    );
+
+    // Grid: 0 dB and the band centres
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, toY(0));
+    ctx.lineTo(width, toY(0));
+    EQ_FREQUENCIES.forEach(frequency => {
+      ctx.moveTo(toX(frequency), 0);
+      ctx.lineTo(toX(frequency), height);
+    });
+    ctx.stroke();
+
+    const response = getEqualizerResponse(settings, CURVE_FREQUENCIES);
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, '#a855f7');
+    gradient.addColorStop(1, '#ec4899');
+
+    ctx.strokeStyle = settings.enabled ? gradient : 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    response.forEach((db, i) => {
+      const x = toX(CURVE_FREQUENCIES[i]);
+      const y = toY(Math.max(Math.min(db, CURVE_RANGE_DB), -CURVE_RANGE_DB));
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  }, [settings]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="w-full h-20 rounded bg-black/20"
+      aria-label="Equalizer frequency response"
+      role="img"
+    />
+  );
+};
+
+const formatGain = (db) => `${db > 0 ? '+' : ''}${db} dB`;
+
+/**
+ * 10-band graphic equalizer with preamp, presets and response curve
+ */
+const Equalizer = ({
+  settings,
+  presets,
+  onSelectPreset,
+  onBandChange,
+  onPreampChange,
+  onEnabledChange,
+  onSavePreset,
+  onDeletePreset
+}) => {
+  const [presetName, setPresetName] = useState(null);
+  const currentPreset = presets.find(preset => preset.id === settings.presetId) || null;
+
+  const handleSave = () => {
+    onSavePreset(presetName || '');
+    setPresetName(null);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <label className="flex items-center gap-2 text-white/70 text-xs cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => onEnabledChange(e.target.checked)}
+          />
+          EQ
+        </label>
+
+        <select
+          value={currentPreset?.id || ''}
+          onChange={(e) => onSelectPreset(e.target.value)}
+          className="flex-1 min-w-0 bg-white/10 rounded px-2 py-1 text-xs text-white outline-none"
+          aria-label="Equalizer preset"
+        >
+          {!currentPreset && <option value="">Custom</option>}
+          {presets.map(preset => (
+            <option key={preset.id} value={preset.id} className="text-black">
+              {preset.name}
+            </option>
+          ))}
+        </select>
+
+        {currentPreset?.custom && (
+          <button
+            onClick={() => onDeletePreset(currentPreset.id)}
+            className="p-1 rounded-full hover:bg-red-500/20 transition-colors"
+            aria-label={`Delete preset ${currentPreset.name}`}
+            title="Delete preset"
+          >
+            <Trash2 className="w-3 h-3 text-red-400" />
+          </button>
+        )}
+        <button
+          onClick={() => setPresetName(presetName === null ? '' : null)}
+          className="p-1 rounded-full text-white/70 hover:bg-white/20 transition-colors"
+          aria-label="Save as preset"
+          title="Save as preset"
+        >
+          <Save className="w-3 h-3" />
+        </button>
+      </div>
+
+      {presetName !== null && (
+        <div className="flex items-center gap-2">
+          <input
+            autoFocus
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleSave();
+              if (e.key === 'Escape') setPresetName(null);
+            }}
+            placeholder="Preset name"
+            className="flex-1 min-w-0 bg-white/10 rounded px-2 py-1 text-xs text-white outline-none"
+            aria-label="Preset name"
+          />
+          <button
+            onClick={handleSave}
+            className="px-2 py-1 rounded bg-white/10 hover:bg-white/20 text-xs text-white transition-colors"
+          >
+            Save
+          </button>
+        </div>
+      )}
+
+      <EqualizerCurve settings={settings} />
+
+      <div className={`flex items-end justify-between gap-1 ${settings.enabled ? '' : 'opacity-50'}`}>
+        {[{ label: 'Pre', value: settings.preamp, onChange: onPreampChange }]
+          .concat(EQ_FREQUENCIES.map((frequency, index) => ({
+            label: formatFrequency(frequency),
+            value: settings.gains[index],
+            onChange: (value) => onBandChange(index, value)
+          })))
+          .map(({ label, value, onChange }, index) => (
+            <div
+              key={label}
+              className={`flex flex-col items-center gap-1 ${index === 0 ? 'pr-2 mr-1 border-r border-white/10' : ''}`}
+            >
+              <input
+                type="range"
+                min={EQ_MIN_GAIN}
+                max={EQ_MAX_GAIN}
+                step="0.5"
+                value={value}
+                onChange={(e) => onChange(parseFloat(e.target.value))}
+                onDoubleClick={() => onChange(0)}
+                disabled={!settings.enabled}
+                className="h-20 w-4 cursor-pointer accent-pink-400"
+                style={{ writingMode: 'vertical-lr', direction: 'rtl' }}
+                aria-label={index === 0 ? 'Preamp' : `${label}Hz`}
+                aria-valuetext={formatGain(value)}
+                title={formatGain(value)}
+              />
+              <span className="text-[10px] text-white/50">{label}</span>
+            </div>
+          ))}
+      </div>
+    </div>
+  );
+};
+
+export default Equalizer;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Ban, CircleAlert, CircleCheck, CircleX, Clock, Copy, LoaderCircle, X } from 'lucide-react';
+import { FINISHED_IMPORT_STATUSES, IMPORT_STATUS, summarizeImport } from '../utils/fileImport';
+
+const STATUS_DISPLAY = {
+  [IMPORT_STATUS.PENDING]: { label: 'Waiting', Icon: Clock, className: 'text-white/40' },
+  [IMPORT_STATUS.READING]: { label: 'Reading', Icon: LoaderCircle, className: 'text-white/70 animate-spin' },
+  [IMPORT_STATUS.SAVING]: { label: 'Saving', Icon: LoaderCircle, className: 'text-white/70 animate-spin' },
+  [IMPORT_STATUS.ADDED]: { label: 'Added', Icon: CircleCheck, className: 'text-green-400' },
+  [IMPORT_STATUS.DUPLICATE]: { label: 'Duplicate', Icon: Copy, className: 'text-yellow-400' },
+  [IMPORT_STATUS.REJECTED]: { label: 'Rejected', Icon: CircleX, className: 'text-red-400' },
+  [IMPORT_STATUS.FAILED]: { label: 'Failed', Icon: CircleAlert, className: 'text-red-400' },
+  [IMPORT_STATUS.CANCELLED]: { label: 'Cancelled', Icon: Ban, className: 'text-white/40' }
+};
+
+const ProgressBar = ({ value, className = 'h-1' }) => (
+  <div className={`${className} rounded-full bg-white/10 overflow-hidden`}>
+    <div
+      className="h-full bg-gradient-to-r from-purple-400 to-blue-400 transition-[width] duration-200"
+      style={{ width: `${Math.round(value * 100)}%` }}
+    />
+  </div>
+);
+
+/**
+ * Progress of a bulk import: overall, then each file with its status and,
+ * for skipped files, the reason
+ */
+const ImportProgress = ({ job, onCancel, onDismiss }) => {
+  const counts = summarizeImport(job.items);
+  const total = job.items.length;
+  const overall = job.items.reduce((sum, item) => (
+    sum + (FINISHED_IMPORT_STATUSES.includes(item.status) ? 1 : item.progress)
+  ), 0) / total;
+
+  const summary = [
+    counts.added > 0 && `${counts.added} added`,
+    counts.duplicate > 0 && `${counts.duplicate} already in library`,
+    counts.rejected + counts.failed > 0 && `${counts.rejected + counts.failed} not imported`,
+    counts.cancelled > 0 && `${counts.cancelled} cancelled`
+  ].filter(Boolean).join(', ');
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+      className="mt-3 p-2 rounded bg-black/20 border border-white/10 text-xs"
+      role="status"
+      aria-live="polite"
+    >
+      <div className="flex items-center gap-2 mb-1 text-white/70">
+        <span className="flex-1">
+          {job.isRunning
+            ? `Importing ${Math.min(counts.finished + 1, total)} of ${total}…`
+            : `Import finished: ${summary || 'nothing imported'}`}
+        </span>
+        {job.isRunning ? (
+          <button
+            onClick={onCancel}
+            className="px-2 py-0.5 rounded text-white/70 hover:bg-white/10 transition-colors"
+          >
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={onDismiss}
+            className="p-1 rounded-full text-white/60 hover:bg-white/20 transition-colors"
+            aria-label="Dismiss import report"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+
+      {job.isRunning && <ProgressBar value={overall} className="h-1.5 mb-2" />}
+
+      <ul className="max-h-40 overflow-y-auto space-y-1">
+        {job.items.map(item => {
+          const { label, Icon, className } = STATUS_DISPLAY[item.status];
+          const isActive = item.status === IMPORT_STATUS.READING || item.status === IMPORT_STATUS.SAVING;
+
+          return (
+            <li key={item.id} className="text-white/70">
+              <div className="flex items-center gap-2">
+                <Icon className={`w-3 h-3 flex-shrink-0 ${className}`} />
+                <span className="sr-only">{label}:</span>
+                <span className="flex-1 min-w-0 truncate" title={item.name}>{item.name}</span>
+                {isActive && <ProgressBar value={item.progress} className="h-1 w-16 flex-shrink-0" />}
+              </div>
+              {item.reason && <p className="pl-5 text-white/40 truncate" title={item.reason}>{item.reason}</p>}
+            </li>
+          );
+        })}
+      </ul>
+    </motion.div>
+  );
+};
+
+export default ImportProgress;
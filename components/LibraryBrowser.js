@@ -0,0 +1,343 @@
+import React, { useDeferredValue, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { ArrowDown, ArrowUp, ChevronRight, Search, X } from 'lucide-react';
+import TrackArtwork from './TrackArtwork';
+import { formatTime, getTrackSubtitle, getTrackTitle } from '../utils/audioUtils';
+import { useLocalStorage } from '../hooks/useLocalStorage';
+import { LIBRARY_PLAYLIST_ID } from '../hooks/usePlaylists';
+import {
+  LIBRARY_SORT_FIELDS,
+  SORT_ASCENDING,
+  SORT_DESCENDING,
+  formatTotalDuration,
+  groupByArtist,
+  groupByGenre,
+  searchTracks,
+  sortTracks
+} from '../utils/library';
+
+const VIEWS = [
+  { id: 'tracks', label: 'Tracks' },
+  { id: 'artists', label: 'Artists' },
+  { id: 'genres', label: 'Genres' }
+];
+
+const DEFAULT_BROWSER_SETTINGS = {
+  view: 'tracks',
+  sortField: 'title',
+  sortDirection: SORT_ASCENDING
+};
+
+const groupRowClass = 'flex items-center gap-2 w-full p-2 rounded bg-white/5 text-white/80 text-left hover:bg-white/10 transition-colors';
+
+/**
+ * Column value shown at the end of a track row
+ * @param {Object} track - Library track
+ * @param {string} sortField - Active sort column
+ * @returns {string} - Duration, or the sorted value when that is more useful
+ */
+const getRowValue = (track, sortField) => {
+  if (sortField === 'addedAt' && track.addedAt) return new Date(track.addedAt).toLocaleDateString();
+  if (sortField === 'playCount') return `${track.playCount || 0} plays`;
+  return formatTime(track.duration);
+};
+
+/**
+ * The library as a searchable, sortable track list, or drilled down by
+ * Artist → Album → Track or by Genre. The search applies to every view.
+ */
+const LibraryBrowser = ({ tracks, artworkUrls, currentTrackId, onPlayTrack, renderTrackActions }) => {
+  const [storedSettings, setSettings] = useLocalStorage('musicPlayerLibraryBrowser', DEFAULT_BROWSER_SETTINGS);
+  const [query, setQuery] = useState('');
+  // Drill-down position: { artist, album } or { genre } keys
+  const [path, setPath] = useState({});
+
+  const settings = { ...DEFAULT_BROWSER_SETTINGS, ...storedSettings };
+  const { view, sortField, sortDirection } = settings;
+
+  // Keeps typing responsive while large libraries are filtered
+  const deferredQuery = useDeferredValue(query);
+
+  const matches = useMemo(() => searchTracks(tracks, deferredQuery), [tracks, deferredQuery]);
+  const sorted = useMemo(
+    () => sortTracks(matches, sortField, sortDirection),
+    [matches, sortField, sortDirection]
+  );
+  const artists = useMemo(() => (view === 'artists' ? groupByArtist(matches) : []), [view, matches]);
+  const genres = useMemo(() => (view === 'genres' ? groupByGenre(sorted) : []), [view, sorted]);
+
+  const artist = artists.find(item => item.key === path.artist) || null;
+  const album = artist?.albums.find(item => item.key === path.album) || null;
+  const genre = genres.find(item => item.key === path.genre) || null;
+
+  const selectView = (id) => {
+    setSettings({ ...settings, view: id });
+    setPath({});
+  };
+
+  const selectSort = (field) => {
+    if (field.id === sortField) {
+      setSettings({
+        ...settings,
+        sortDirection: sortDirection === SORT_ASCENDING ? SORT_DESCENDING : SORT_ASCENDING
+      });
+    } else {
+      // Numbers are most interesting largest first (longest, newest, most played)
+      setSettings({
+        ...settings,
+        sortField: field.id,
+        sortDirection: field.numeric ? SORT_DESCENDING : SORT_ASCENDING
+      });
+    }
+  };
+
+  const renderTrack = (track, { showArtwork = true, number = null } = {}) => (
+    <motion.div
+      key={track.id}
+      role="button"
+      tabIndex={0}
+      onClick={() => onPlayTrack(track, LIBRARY_PLAYLIST_ID)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') onPlayTrack(track, LIBRARY_PLAYLIST_ID);
+      }}
+      className={`p-2 rounded cursor-pointer transition-colors focus:outline-none focus:ring-1 focus:ring-white/30 ${
+        currentTrackId === track.id
+          ? 'bg-white/20 text-white'
+          : 'bg-white/5 text-white/70 hover:bg-white/10'
+      }`}
+      whileHover={{ scale: 1.02 }}
+      whileTap={{ scale: 0.98 }}
+    >
+      <div className="flex items-center gap-2">
+        {number !== null && <span className="w-5 text-right text-xs text-white/40">{number}</span>}
+        {showArtwork && <TrackArtwork src={artworkUrls[track.id]} />}
+        <div className="flex-1 min-w-0">
+          <div className="text-sm truncate">{getTrackTitle(track)}</div>
+          {getTrackSubtitle(track) && (
+            <div className="text-xs text-white/50 truncate">{getTrackSubtitle(track)}</div>
+          )}
+        </div>
+        <span className="text-xs text-white/40 whitespace-nowrap">{getRowValue(track, sortField)}</span>
+        {renderTrackActions(track)}
+      </div>
+    </motion.div>
+  );
+
+  const renderBreadcrumbs = (crumbs) => (
+    <nav className="flex items-center gap-1 mb-2 text-xs text-white/60 min-w-0" aria-label="Library location">
+      {crumbs.map((crumb, index) => (
+        <React.Fragment key={index}>
+          {index > 0 && <ChevronRight className="w-3 h-3 flex-shrink-0" />}
+          {crumb.onClick ? (
+            <button onClick={crumb.onClick} className="hover:text-white truncate">{crumb.label}</button>
+          ) : (
+            <span className="text-white truncate">{crumb.label}</span>
+          )}
+        </React.Fragment>
+      ))}
+    </nav>
+  );
+
+  const renderArtists = () => {
+    if (album) {
+      return (
+        <>
+          {renderBreadcrumbs([
+            { label: 'Artists', onClick: () => setPath({}) },
+            { label: artist.name, onClick: () => setPath({ artist: artist.key }) },
+            { label: album.name }
+          ])}
+          <div className="flex items-center gap-3 mb-2">
+            <TrackArtwork
+              src={artworkUrls[album.artworkTrackId]}
+              alt={`${album.name} cover`}
+              className="w-16 h-16"
+              iconClassName="w-6 h-6"
+            />
+            <div className="min-w-0 text-xs text-white/60">
+              <div className="text-sm text-white truncate">{album.name}</div>
+              <div>
+                {[album.year, `${album.tracks.length} tracks`, formatTotalDuration(album.duration)]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </div>
+            </div>
+          </div>
+          <div className="space-y-1">
+            {album.tracks.map(track => (
+              renderTrack(track, { showArtwork: false, number: track.trackNumber || '' })
+            ))}
+          </div>
+        </>
+      );
+    }
+
+    if (artist) {
+      return (
+        <>
+          {renderBreadcrumbs([{ label: 'Artists', onClick: () => setPath({}) }, { label: artist.name }])}
+          <div className="space-y-1">
+            {artist.albums.map(item => (
+              <button
+                key={item.key}
+                onClick={() => setPath({ artist: artist.key, album: item.key })}
+                className={groupRowClass}
+              >
+                <TrackArtwork
+                  src={artworkUrls[item.artworkTrackId]}
+                  alt={`${item.name} cover`}
+                  className="w-10 h-10"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm truncate">{item.name}</div>
+                  <div className="text-xs text-white/50">
+                    {[item.year, `${item.tracks.length} tracks`].filter(Boolean).join(' · ')}
+                  </div>
+                </div>
+                <span className="text-xs text-white/40 whitespace-nowrap">{formatTotalDuration(item.duration)}</span>
+                <ChevronRight className="w-3 h-3 text-white/40" />
+              </button>
+            ))}
+          </div>
+        </>
+      );
+    }
+
+    return (
+      <div className="space-y-1">
+        {artists.map(item => (
+          <button key={item.key} onClick={() => setPath({ artist: item.key })} className={groupRowClass}>
+            <div className="flex-1 min-w-0">
+              <div className="text-sm truncate">{item.name}</div>
+              <div className="text-xs text-white/50">
+                {item.albums.length} {item.albums.length === 1 ? 'album' : 'albums'} · {item.trackCount} tracks
+              </div>
+            </div>
+            <span className="text-xs text-white/40 whitespace-nowrap">{formatTotalDuration(item.duration)}</span>
+            <ChevronRight className="w-3 h-3 text-white/40" />
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  const renderGenres = () => {
+    if (genre) {
+      return (
+        <>
+          {renderBreadcrumbs([{ label: 'Genres', onClick: () => setPath({}) }, { label: genre.name }])}
+          <div className="space-y-1">{genre.tracks.map(track => renderTrack(track))}</div>
+        </>
+      );
+    }
+
+    return (
+      <div className="space-y-1">
+        {genres.map(item => (
+          <button key={item.key} onClick={() => setPath({ genre: item.key })} className={groupRowClass}>
+            <div className="flex-1 min-w-0 text-sm truncate">{item.name}</div>
+            <span className="text-xs text-white/40 whitespace-nowrap">
+              {item.tracks.length} tracks · {formatTotalDuration(item.duration)}
+            </span>
+            <ChevronRight className="w-3 h-3 text-white/40" />
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (matches.length === 0) {
+      return (
+        <p className="py-4 text-center text-white/50 text-xs">
+          {tracks.length === 0 ? 'Your library is empty' : `Nothing matches "${deferredQuery}"`}
+        </p>
+      );
+    }
+
+    if (view === 'artists') return renderArtists();
+    if (view === 'genres') return renderGenres();
+    return <div className="space-y-1">{sorted.map(track => renderTrack(track))}</div>;
+  };
+
+  return (
+    <div>
+      {/* Search */}
+      <div className="flex items-center gap-2 mb-2 px-2 rounded bg-white/10">
+        <Search className="w-3 h-3 text-white/50" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') setQuery('');
+          }}
+          placeholder="Search title, artist, album or file"
+          className="flex-1 min-w-0 bg-transparent py-1 text-sm text-white placeholder-white/40 outline-none"
+          aria-label="Search library"
+        />
+        {query && (
+          <button
+            onClick={() => setQuery('')}
+            className="p-1 rounded-full text-white/60 hover:bg-white/20 transition-colors"
+            aria-label="Clear search"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+
+      {/* Views and sorting */}
+      <div className="flex items-center gap-1 mb-2" role="tablist" aria-label="Library view">
+        {VIEWS.map(item => (
+          <button
+            key={item.id}
+            role="tab"
+            aria-selected={view === item.id}
+            onClick={() => selectView(item.id)}
+            className={`px-2 py-0.5 rounded-full text-xs transition-colors ${
+              view === item.id ? 'bg-white/20 text-white' : 'text-white/60 hover:bg-white/10'
+            }`}
+          >
+            {item.label}
+          </button>
+        ))}
+        <span className="ml-auto text-xs text-white/40">
+          {matches.length === tracks.length ? `${tracks.length} tracks` : `${matches.length} of ${tracks.length}`}
+        </span>
+      </div>
+
+      {(view === 'tracks' || genre) && (
+        <div className="flex flex-wrap items-center gap-1 mb-2 text-xs" aria-label="Sort by">
+          {LIBRARY_SORT_FIELDS.map(field => {
+            const isActive = field.id === sortField;
+            const ArrowIcon = sortDirection === SORT_ASCENDING ? ArrowUp : ArrowDown;
+
+            return (
+              <button
+                key={field.id}
+                onClick={() => selectSort(field)}
+                className={`flex items-center gap-0.5 px-2 py-0.5 rounded transition-colors ${
+                  isActive ? 'bg-white/10 text-white' : 'text-white/50 hover:bg-white/10'
+                }`}
+                aria-pressed={isActive}
+                aria-label={`Sort by ${field.label.toLowerCase()}${
+                  isActive ? (sortDirection === SORT_ASCENDING ? ', ascending' : ', descending') : ''
+                }`}
+              >
+                {field.label}
+                {isActive && <ArrowIcon className="w-3 h-3" />}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <motion.div layoutScroll className="max-h-96 overflow-y-auto">
+        {renderContent()}
+      </motion.div>
+    </div>
+  );
+};
+
+export default LibraryBrowser;
@@ -0,0 +1,193 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FileText, Minus, Plus, Trash2 } from 'lucide-react';
+import {
+  LRC_ACCEPT,
+  formatLyricsOffset,
+  getActiveLineIndex,
+  getActiveWordIndex,
+  parseLrc
+} from '../utils/lyrics';
+
+const OFFSET_STEP_SECONDS = 0.1;
+// Auto-scroll waits this long after the user scrolls the lyrics themselves
+const MANUAL_SCROLL_PAUSE_MS = 4000;
+
+/**
+ * Lyrics for the playing track. Synced lyrics highlight and follow the
+ * current line (and word, for enhanced LRC); clicking a line seeks to it.
+ * The timing offset is saved per track.
+ */
+const LyricsPanel = ({ track, currentTime, onSeek, onChange }) => {
+  const [importError, setImportError] = useState('');
+  const fileInputRef = useRef(null);
+  const containerRef = useRef(null);
+  const lineRefs = useRef([]);
+  const manualScrollAtRef = useRef(0);
+
+  const lyrics = track?.lyrics || null;
+  const lines = lyrics?.lines || [];
+  const userOffset = track?.lyricsOffset || 0;
+  // Positive offsets show lyrics earlier
+  const offset = (lyrics?.offset || 0) + userOffset;
+  const lyricsTime = currentTime + offset;
+
+  const activeIndex = lyrics?.synced ? getActiveLineIndex(lines, lyricsTime) : -1;
+  const activeWordIndex = activeIndex >= 0 ? getActiveWordIndex(lines[activeIndex], lyricsTime) : -1;
+
+  // Keep the current line in the middle of the panel
+  useEffect(() => {
+    const container = containerRef.current;
+    const line = lineRefs.current[activeIndex];
+    if (!container || !line) return;
+    if (Date.now() - manualScrollAtRef.current < MANUAL_SCROLL_PAUSE_MS) return;
+
+    container.scrollTo({
+      top: line.offsetTop - container.clientHeight / 2 + line.offsetHeight / 2,
+      behavior: 'smooth'
+    });
+  }, [activeIndex]);
+
+  const handleAttach = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = parseLrc(await file.text());
+      if (parsed.lines.length === 0) {
+        setImportError(`"${file.name}" has no lyrics`);
+        return;
+      }
+
+      setImportError('');
+      onChange({ lyrics: { ...parsed, source: 'lrc' }, lyricsOffset: 0 });
+    } catch (error) {
+      console.error('Failed to read lyrics:', error);
+      setImportError(`Could not read "${file.name}"`);
+    }
+  };
+
+  const changeOffset = (delta) => {
+    onChange({ lyricsOffset: Math.round((userOffset + delta) * 10) / 10 });
+  };
+
+  const markManualScroll = () => {
+    manualScrollAtRef.current = Date.now();
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={LRC_ACCEPT}
+          onChange={handleAttach}
+          className="hidden"
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center gap-1 px-2 py-1 rounded text-xs text-white/70 hover:bg-white/10 transition-colors"
+        >
+          <FileText className="w-3 h-3" />
+          {lyrics ? 'Replace' : 'Attach .lrc'}
+        </button>
+
+        {lyrics?.synced && (
+          <div className="flex items-center gap-1 ml-auto text-xs text-white/70">
+            <button
+              onClick={() => changeOffset(-OFFSET_STEP_SECONDS)}
+              className="p-1 rounded-full hover:bg-white/20 transition-colors"
+              aria-label="Show lyrics later"
+            >
+              <Minus className="w-3 h-3" />
+            </button>
+            <button
+              onClick={() => onChange({ lyricsOffset: 0 })}
+              className="w-12 text-center font-mono rounded hover:bg-white/10"
+              title="Timing offset (click to reset)"
+            >
+              {formatLyricsOffset(userOffset)}
+            </button>
+            <button
+              onClick={() => changeOffset(OFFSET_STEP_SECONDS)}
+              className="p-1 rounded-full hover:bg-white/20 transition-colors"
+              aria-label="Show lyrics earlier"
+            >
+              <Plus className="w-3 h-3" />
+            </button>
+          </div>
+        )}
+
+        {lyrics && (
+          <button
+            onClick={() => onChange({ lyrics: null, lyricsOffset: 0 })}
+            className={`p-1 rounded-full text-white/50 hover:bg-white/20 transition-colors ${lyrics.synced ? '' : 'ml-auto'}`}
+            aria-label="Remove lyrics"
+            title="Remove lyrics"
+          >
+            <Trash2 className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+
+      {importError && <p className="mb-2 text-red-400 text-xs">{importError}</p>}
+
+      {!lyrics ? (
+        <p className="py-4 text-center text-white/50 text-sm">
+          No lyrics for this track. Attach an .lrc file to show them here.
+        </p>
+      ) : (
+        <div
+          ref={containerRef}
+          className="relative max-h-56 overflow-y-auto space-y-1 py-2 text-center"
+          onWheel={markManualScroll}
+          onTouchMove={markManualScroll}
+        >
+          {lines.map((line, index) => {
+            const isActive = index === activeIndex;
+            const isPast = lyrics.synced && index < activeIndex;
+
+            const content = isActive && line.words
+              ? line.words.map((word, wordIndex) => (
+                <span key={wordIndex} className={wordIndex <= activeWordIndex ? 'text-pink-300' : 'text-white'}>
+                  {word.text}
+                </span>
+              ))
+              : line.text || ' ';
+
+            if (!lyrics.synced) {
+              return (
+                <p key={index} className="text-sm text-white/80">
+                  {content}
+                </p>
+              );
+            }
+
+            return (
+              <button
+                key={index}
+                ref={(element) => {
+                  lineRefs.current[index] = element;
+                }}
+                onClick={() => onSeek(Math.max(line.time - offset, 0))}
+                className={`block w-full px-2 py-0.5 rounded transition-colors hover:bg-white/10 ${
+                  isActive
+                    ? 'text-white text-base font-semibold'
+                    : isPast
+                      ? 'text-white/40 text-sm'
+                      : 'text-white/70 text-sm'
+                }`}
+                aria-current={isActive ? 'true' : undefined}
+              >
+                {content}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LyricsPanel;
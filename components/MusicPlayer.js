@@ -1,98 +1,442 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { forwardRef, useImperativeHandle, useState, useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Play, Pause, Volume2, SkipBack, SkipForward } from 'lucide-react';
+import {
+  Play,
+  Pause,
+  Volume2,
+  VolumeX,
+  SkipBack,
+  SkipForward,
+  Waves,
+  Shuffle,
+  Repeat,
+  Repeat1,
+  SlidersHorizontal,
+  Gauge,
+  MicVocal,
+  Rabbit,
+  Flag,
+  X
+} from 'lucide-react';
 import { Button } from './ui/button';
 import { Card } from './ui/card';
+import TrackArtwork from './TrackArtwork';
+import Equalizer from './Equalizer';
+import WaveformSeekBar from './WaveformSeekBar';
+import LyricsPanel from './LyricsPanel';
+import StarRating from './StarRating';
+import SleepTimer from './SleepTimer';
+import { getTrackSubtitle, getTrackTitle } from '../utils/audioUtils';
+import {
+  createAbLoop,
+  createPlaybackEngine,
+  getTrackPlaybackSettings,
+  MAX_CROSSFADE_SECONDS,
+  MAX_PLAYBACK_RATE,
+  MIN_LOOP_SECONDS,
+  MIN_PLAYBACK_RATE,
+  PLAYBACK_RATE_STEP
+} from '../utils/playbackEngine';
+import { createEqualizer } from '../utils/equalizer';
+import { useAudioEngine } from '../hooks/useAudioEngine';
+import { useLocalStorage } from '../hooks/useLocalStorage';
+import { usePlayOrder } from '../hooks/usePlayOrder';
+import { useEqualizer } from '../hooks/useEqualizer';
+import { useMediaSession } from '../hooks/useMediaSession';
+import { useWaveformPeaks } from '../hooks/useWaveformPeaks';
+import { useSleepTimer } from '../hooks/useSleepTimer';
+import { useListeningHistory } from '../hooks/useListeningHistory';
+import { REPEAT_OFF, REPEAT_ONE } from '../utils/playOrder';
+import {
+  NORMALIZATION_MODES,
+  NORMALIZATION_OFF,
+  NORMALIZATION_TRACK,
+  getNormalizationGain
+} from '../utils/loudness';
 
-const MusicPlayer = ({ currentTrack, playlist, onTrackChange }) => {
+// Default skip for seek backward/forward
+const SEEK_STEP_SECONDS = 10;
+
+/**
+ * Player card. The ref exposes the transport controls for keyboard shortcuts
+ * and the command palette.
+ */
+const MusicPlayer = forwardRef(({
+  currentTrack,
+  playlist,
+  queue,
+  onTrackChange,
+  onDequeue,
+  artworkUrl,
+  albumLoudness,
+  getTrackUrl,
+  releaseTrackUrl,
+  onPlayingChange,
+  onUpdateTrack,
+  onLogPlay,
+  session,
+  onSessionChange
+}, ref) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const audioRef = useRef(null);
-  const progressRef = useRef(null);
+  const [volume, setVolume] = useState(session?.volume ?? 1);
+  const [isMuted, setIsMuted] = useState(session?.isMuted ?? false);
+  const [crossfade, setCrossfade] = useLocalStorage('musicPlayerCrossfade', 0);
+  const [normalizationMode, setNormalizationMode] = useLocalStorage(
+    'musicPlayerNormalization',
+    NORMALIZATION_TRACK
+  );
+  const [playlistPositionId, setPlaylistPositionId] = useState(session?.playlistPositionId ?? null);
+  const [showEqualizer, setShowEqualizer] = useState(false);
+  const [showLyrics, setShowLyrics] = useState(false);
+  const audioEngine = useAudioEngine();
+  const engineRef = useRef(null);
+  // Track started from the queue, which mustn't move the playlist position
+  const queuedTrackIdRef = useRef(
+    session?.playlistPositionId && session.playlistPositionId !== session.currentTrackId
+      ? session.currentTrackId
+      : null
+  );
+  // Saved session to pick up from when its track is first loaded
+  const restoreRef = useRef(session || null);
+
+  // Latest props for the engine callbacks, which are created once
+  const propsRef = useRef({});
+  propsRef.current = {
+    playlist,
+    queue,
+    onTrackChange,
+    onDequeue,
+    releaseTrackUrl,
+    onPlayingChange
+  };
+
+  const currentTrackId = currentTrack?.id;
+  const peaks = useWaveformPeaks(currentTrack);
+
+  const {
+    repeatMode,
+    cycleRepeatMode,
+    isShuffled,
+    toggleShuffle,
+    upcomingTrack,
+    getNextTrack,
+    takePreviousTrack
+  } = usePlayOrder(playlist, currentTrackId, playlistPositionId || currentTrackId);
+
+  const {
+    settings: equalizerSettings,
+    presets: equalizerPresets,
+    selectPreset,
+    setBandGain,
+    setPreamp,
+    setEnabled: setEqualizerEnabled,
+    saveCustomPreset,
+    deleteCustomPreset
+  } = useEqualizer();
+
+  const sleepTimer = useSleepTimer({
+    track: currentTrack,
+    currentTime,
+    duration,
+    queue: queue || [],
+    isPlaying,
+    onFadeOut: (seconds) => engineRef.current?.fadeOut(seconds),
+    onCancelFadeOut: () => engineRef.current?.cancelFadeOut(),
+    onSleep: () => engineRef.current?.pause()
+  });
+  useListeningHistory({ track: currentTrack, currentTime, duration, isPlaying, onLogPlay });
 
+  const trackEndedRef = useRef(null);
+  trackEndedRef.current = sleepTimer.handleTrackEnded;
+
+  // The track that plays automatically after this one: the queue comes first.
+  // Nothing follows when the sleep timer stops at the end of this track.
+  const nextQueued = queue?.[0] || null;
+  const playsNext = nextQueued && repeatMode !== REPEAT_ONE ? nextQueued.track : upcomingTrack;
+  const upcoming = sleepTimer.stopsAtTrackEnd ? null : playsNext;
+  const upcomingTrackId = upcoming?.id;
+
+  // Loudness normalization for the playing and preloaded tracks
+  const currentGain = getNormalizationGain(currentTrack, normalizationMode, albumLoudness);
+  const upcomingGain = getNormalizationGain(upcoming, normalizationMode, albumLoudness);
+
+  // Speed, pitch and A–B loop are saved on each track
+  const { rate: playbackRate, preservesPitch } = getTrackPlaybackSettings(currentTrack);
+  const { rate: upcomingRate, preservesPitch: upcomingPreservesPitch } = getTrackPlaybackSettings(upcoming);
+  const abLoop = currentTrack?.abLoop || null;
+  const loopStart = abLoop?.start ?? null;
+  const loopEnd = abLoop?.end ?? null;
+
+  // The playlist resumes after the last track that didn't come from the queue
   useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio || !currentTrack) return;
+    if (!currentTrackId || currentTrackId === queuedTrackIdRef.current) return;
 
-    const updateTime = () => setCurrentTime(audio.currentTime);
-    const updateDuration = () => setDuration(audio.duration);
-    const handleEnded = () => {
-      setIsPlaying(false);
-      handleNext();
-    };
+    queuedTrackIdRef.current = null;
+    setPlaylistPositionId(currentTrackId);
+  }, [currentTrackId]);
+
+  useEffect(() => {
+    const engine = createPlaybackEngine(audioEngine, {
+      onTimeUpdate: setCurrentTime,
+      onDurationChange: (value) => setDuration(Number.isFinite(value) ? value : 0),
+      onPlayingChange: (playing) => {
+        setIsPlaying(playing);
+        propsRef.current.onPlayingChange?.(playing);
+      },
+      onTrackChange: (track) => {
+        const { playlist: tracks, queue: queued, onDequeue: dequeue } = propsRef.current;
 
-    audio.addEventListener('timeupdate', updateTime);
-    audio.addEventListener('loadedmetadata', updateDuration);
-    audio.addEventListener('ended', handleEnded);
+        // The preloaded track was the head of the queue, which may come from outside the playlist
+        const head = queued?.[0]?.trackId === track.id ? queued[0] : null;
+        if (head) {
+          queuedTrackIdRef.current = track.id;
+          dequeue?.(head.id);
+        }
 
-    // Load new track
-    audio.src = currentTrack.url;
-    audio.load();
+        const next = tracks?.find(item => item.id === track.id) || head?.track;
+        if (next) propsRef.current.onTrackChange(next);
+      },
+      onEnded: () => trackEndedRef.current?.(),
+      onTrackRelease: (track) => propsRef.current.releaseTrackUrl?.(track.id),
+      onError: (error) => console.error('Playback error:', error)
+    });
+    engineRef.current = engine;
 
     return () => {
-      audio.removeEventListener('timeupdate', updateTime);
-      audio.removeEventListener('loadedmetadata', updateDuration);
-      audio.removeEventListener('ended', handleEnded);
+      engine.destroy();
+      engineRef.current = null;
     };
-  }, [currentTrack]);
+  }, [audioEngine]);
 
+  // Load the selected track, keeping playback going if it was already playing.
+  // The first load of the saved session's track starts at its saved position.
   useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
+    const engine = engineRef.current;
+    if (!engine) return;
 
-    if (isPlaying) {
-      audio.play().catch(console.error);
-    } else {
-      audio.pause();
+    if (!currentTrackId) {
+      engine.stop();
+      return;
     }
-  }, [isPlaying]);
 
+    // Already on a deck after a gapless/crossfade transition
+    if (engine.getCurrentTrack()?.id === currentTrackId) return;
+
+    let cancelled = false;
+    const wasPlaying = engine.isPlaying();
+
+    getTrackUrl(currentTrackId)
+      .then(url => {
+        if (cancelled || !url) return;
+        const restore = restoreRef.current?.currentTrackId === currentTrackId ? restoreRef.current : null;
+        restoreRef.current = null;
+
+        engine.load({ id: currentTrackId, url }, restore?.position || 0);
+        if (wasPlaying || restore?.resume) return engine.play();
+      })
+      .catch(error => console.error('Error loading track:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentTrackId, getTrackUrl]);
+
+  // Preload the upcoming track on the idle deck
   useEffect(() => {
-    const audio = audioRef.current;
-    if (audio) {
-      audio.volume = volume;
+    const engine = engineRef.current;
+    if (!engine || !currentTrackId) return;
+
+    if (!upcomingTrackId || upcomingTrackId === currentTrackId) {
+      engine.preload(null);
+      return;
     }
-  }, [volume]);
+
+    let cancelled = false;
+    getTrackUrl(upcomingTrackId)
+      .then(url => {
+        if (!cancelled && url) engine.preload({ id: upcomingTrackId, url });
+      })
+      .catch(error => console.error('Error preloading track:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentTrackId, upcomingTrackId, getTrackUrl]);
+
+  useEffect(() => {
+    engineRef.current?.setVolume(isMuted ? 0 : volume);
+  }, [volume, isMuted]);
+
+  // Report what a reload should restore
+  useEffect(() => {
+    onSessionChange?.({ volume, isMuted });
+  }, [volume, isMuted, onSessionChange]);
+
+  useEffect(() => {
+    // Until its track is loaded, the saved position would be overwritten with 0
+    if (!currentTrackId || restoreRef.current?.currentTrackId === currentTrackId) return;
+
+    onSessionChange?.({ position: currentTime, wasPlaying: isPlaying, playlistPositionId });
+  }, [currentTrackId, currentTime, isPlaying, playlistPositionId, onSessionChange]);
+
+  useEffect(() => {
+    engineRef.current?.setCrossfade(crossfade);
+  }, [crossfade]);
+
+  useEffect(() => {
+    engineRef.current?.setLoop(repeatMode === REPEAT_ONE && !sleepTimer.stopsAtTrackEnd);
+  }, [repeatMode, sleepTimer.stopsAtTrackEnd]);
+
+  // The equalizer sits in the shared engine's effect chain
+  const equalizerSettingsRef = useRef(equalizerSettings);
+  equalizerSettingsRef.current = equalizerSettings;
+
+  useEffect(() => {
+    return audioEngine.addEffect('equalizer', (context) => {
+      const equalizer = createEqualizer(context);
+      equalizer.apply(equalizerSettingsRef.current);
+      return equalizer;
+    });
+  }, [audioEngine]);
+
+  useEffect(() => {
+    audioEngine.getEffect('equalizer')?.apply(equalizerSettings);
+  }, [audioEngine, equalizerSettings]);
+
+  useEffect(() => {
+    engineRef.current?.setTrackGain(currentTrackId, currentGain);
+  }, [currentTrackId, currentGain]);
+
+  useEffect(() => {
+    engineRef.current?.setTrackGain(upcomingTrackId, upcomingGain);
+  }, [upcomingTrackId, upcomingGain]);
+
+  useEffect(() => {
+    engineRef.current?.setTrackPlayback(currentTrackId, { rate: playbackRate, preservesPitch });
+  }, [currentTrackId, playbackRate, preservesPitch]);
+
+  useEffect(() => {
+    engineRef.current?.setTrackPlayback(upcomingTrackId, {
+      rate: upcomingRate,
+      preservesPitch: upcomingPreservesPitch
+    });
+  }, [upcomingTrackId, upcomingRate, upcomingPreservesPitch]);
+
+  useEffect(() => {
+    engineRef.current?.setTrackLoop(
+      currentTrackId,
+      loopStart === null ? null : { start: loopStart, end: loopEnd }
+    );
+  }, [currentTrackId, loopStart, loopEnd]);
 
   const togglePlayPause = () => {
-    setIsPlaying(!isPlaying);
+    const engine = engineRef.current;
+    if (!engine) return;
+
+    if (isPlaying) {
+      engine.pause();
+    } else {
+      engine.play().catch(error => console.error('Error playing audio:', error));
+    }
   };
 
-  const handleProgressClick = (e) => {
-    const audio = audioRef.current;
-    if (!audio || !progressRef.current) return;
-
-    const rect = progressRef.current.getBoundingClientRect();
-    const clickX = e.clientX - rect.left;
-    const width = rect.width;
-    const newTime = (clickX / width) * duration;
-    
-    audio.currentTime = newTime;
-    setCurrentTime(newTime);
+  const changeVolume = (value) => {
+    setVolume(Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100);
+    setIsMuted(false);
   };
 
   const handleVolumeChange = (e) => {
-    setVolume(parseFloat(e.target.value));
+    changeVolume(parseFloat(e.target.value));
+  };
+
+  const seekBy = (seconds) => {
+    if (!engineRef.current || !duration) return;
+    engineRef.current.seek(Math.min(Math.max(currentTime + seconds, 0), duration));
+  };
+
+  const updateCurrentTrack = (changes) => {
+    if (currentTrack) onUpdateTrack?.(currentTrack.id, changes);
+  };
+
+  const handlePlaybackRateChange = (e) => {
+    updateCurrentTrack({ playbackRate: parseFloat(e.target.value) });
+  };
+
+  // A or B at the current time; the other end stays if the loop is still long enough
+  const setLoopStart = () => {
+    const end = abLoop && abLoop.end - currentTime >= MIN_LOOP_SECONDS ? abLoop.end : duration;
+    const loop = createAbLoop(currentTime, end, duration);
+    if (loop) updateCurrentTrack({ abLoop: loop });
+  };
+
+  const setLoopEnd = () => {
+    const start = abLoop && currentTime - abLoop.start >= MIN_LOOP_SECONDS ? abLoop.start : 0;
+    const loop = createAbLoop(start, currentTime, duration);
+    if (loop) updateCurrentTrack({ abLoop: loop });
+  };
+
+  const handleCrossfadeChange = (e) => {
+    setCrossfade(parseInt(e.target.value, 10));
   };
 
   const handlePrevious = () => {
-    if (!playlist || playlist.length === 0) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    const prevIndex = currentIndex > 0 ? currentIndex - 1 : playlist.length - 1;
-    onTrackChange(playlist[prevIndex]);
+    const previous = takePreviousTrack();
+    if (previous) onTrackChange(previous);
   };
 
   const handleNext = () => {
-    if (!playlist || playlist.length === 0) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    const nextIndex = currentIndex < playlist.length - 1 ? currentIndex + 1 : 0;
-    onTrackChange(playlist[nextIndex]);
+    if (nextQueued) {
+      queuedTrackIdRef.current = nextQueued.trackId;
+      onDequeue?.(nextQueued.id);
+
+      if (nextQueued.trackId === currentTrackId) {
+        engineRef.current?.seek(0);
+      } else {
+        onTrackChange(nextQueued.track);
+      }
+      return;
+    }
+
+    const next = getNextTrack();
+    if (next) onTrackChange(next);
   };
 
+  // Media keys, headset buttons and lock-screen controls
+  useMediaSession({
+    track: currentTrack,
+    artworkUrl,
+    isPlaying,
+    currentTime,
+    duration,
+    playbackRate,
+    handlers: {
+      play: () => engineRef.current?.play().catch(error => console.error('Error playing audio:', error)),
+      pause: () => engineRef.current?.pause(),
+      stop: () => {
+        engineRef.current?.pause();
+        engineRef.current?.seek(0);
+      },
+      previoustrack: handlePrevious,
+      nexttrack: handleNext,
+      seekto: ({ seekTime }) => engineRef.current?.seek(seekTime),
+      seekbackward: ({ seekOffset }) => engineRef.current?.seek(currentTime - (seekOffset || SEEK_STEP_SECONDS)),
+      seekforward: ({ seekOffset }) => engineRef.current?.seek(currentTime + (seekOffset || SEEK_STEP_SECONDS))
+    }
+  });
+
+  useImperativeHandle(ref, () => ({
+    togglePlay: togglePlayPause,
+    next: handleNext,
+    previous: handlePrevious,
+    seekBy,
+    changeVolumeBy: (delta) => changeVolume((isMuted ? 0 : volume) + delta),
+    toggleMute: () => setIsMuted(!isMuted),
+    toggleShuffle,
+    cycleRepeat: cycleRepeatMode
+  }));
+
   const formatTime = (time) => {
     if (isNaN(time)) return '0:00';
     const minutes = Math.floor(time / 60);
@@ -100,8 +444,6 @@ const MusicPlayer = ({ currentTrack, playlist, onTrackChange }) => {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
-  const progressPercentage = duration ? (currentTime / duration) * 100 : 0;
-
   if (!currentTrack) {
     return (
       <Card className="p-6 backdrop-blur-xl bg-white/10 border border-white/20 shadow-2xl">
@@ -120,37 +462,63 @@ const MusicPlayer = ({ currentTrack, playlist, onTrackChange }) => {
       transition={{ duration: 0.5 }}
     >
       <Card className="p-6 backdrop-blur-xl bg-white/10 border border-white/20 shadow-2xl">
-        <audio ref={audioRef} preload="metadata" />
-        
         {/* Track Info */}
         <div className="text-center mb-6">
-          <h3 className="text-xl font-semibold text-white mb-2 truncate">
-            {currentTrack.name}
+          {artworkUrl && (
+            <div className="flex justify-center mb-4">
+              <TrackArtwork
+                src={artworkUrl}
+                alt={`${getTrackTitle(currentTrack)} cover`}
+                className="w-40 h-40 shadow-lg border border-white/20"
+              />
+            </div>
+          )}
+          <h3 className="text-xl font-semibold text-white mb-1 truncate">
+            {getTrackTitle(currentTrack)}
           </h3>
+          {getTrackSubtitle(currentTrack) && (
+            <p className="text-white/60 text-sm mb-2 truncate">
+              {getTrackSubtitle(currentTrack)}
+            </p>
+          )}
           <p className="text-white/70 text-sm">
             {formatTime(currentTime)} / {formatTime(duration)}
           </p>
+          {currentTrack && (
+            <div className="mt-1">
+              <StarRating
+                rating={currentTrack.rating || 0}
+                onChange={(rating) => updateCurrentTrack({ rating })}
+              />
+            </div>
+          )}
         </div>
 
-        {/* Progress Bar */}
+        {/* Waveform Seek Bar */}
         <div className="mb-6">
-          <div
-            ref={progressRef}
-            className="w-full h-2 bg-white/20 rounded-full cursor-pointer relative overflow-hidden"
-            onClick={handleProgressClick}
-          >
-            <motion.div
-              className="h-full bg-gradient-to-r from-purple-400 to-pink-400 rounded-full"
-              style={{ width: `${progressPercentage}%` }}
-              initial={{ width: 0 }}
-              animate={{ width: `${progressPercentage}%` }}
-              transition={{ duration: 0.1 }}
-            />
-          </div>
+          <WaveformSeekBar
+            peaks={peaks}
+            currentTime={currentTime}
+            duration={duration}
+            onSeek={(time) => engineRef.current?.seek(time)}
+            loop={abLoop}
+            onLoopChange={(loop) => updateCurrentTrack({ abLoop: loop })}
+          />
         </div>
 
         {/* Controls */}
         <div className="flex items-center justify-center gap-4 mb-6">
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={toggleShuffle}
+            className={`hover:bg-white/20 h-10 w-10 ${isShuffled ? 'text-pink-400' : 'text-white/50'}`}
+            aria-label={isShuffled ? 'Turn shuffle off' : 'Turn shuffle on'}
+            aria-pressed={isShuffled}
+          >
+            <Shuffle className="h-4 w-4" />
+          </Button>
+
           <Button
             variant="ghost"
             size="icon"
@@ -179,25 +547,212 @@ const MusicPlayer = ({ currentTrack, playlist, onTrackChange }) => {
             size="icon"
             onClick={handleNext}
             className="text-white hover:bg-white/20 h-10 w-10"
-            disabled={!playlist || playlist.length <= 1}
+            disabled={!nextQueued && (!playlist || playlist.length <= 1)}
           >
             <SkipForward className="h-5 w-5" />
           </Button>
+
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={cycleRepeatMode}
+            className={`hover:bg-white/20 h-10 w-10 ${repeatMode !== REPEAT_OFF ? 'text-pink-400' : 'text-white/50'}`}
+            aria-label={`Repeat: ${repeatMode}`}
+          >
+            {repeatMode === REPEAT_ONE ? (
+              <Repeat1 className="h-4 w-4" />
+            ) : (
+              <Repeat className="h-4 w-4" />
+            )}
+          </Button>
         </div>
 
         {/* Volume Control */}
         <div className="flex items-center gap-3">
-          <Volume2 className="h-4 w-4 text-white/70" />
+          <button
+            onClick={() => setIsMuted(!isMuted)}
+            className="p-1 -m-1 rounded-full text-white/70 hover:bg-white/20 transition-colors"
+            aria-label={isMuted ? 'Unmute' : 'Mute'}
+            aria-pressed={isMuted}
+          >
+            {isMuted ? <VolumeX className="h-4 w-4" /> : <Volume2 className="h-4 w-4" />}
+          </button>
           <input
             type="range"
             min="0"
             max="1"
             step="0.1"
-            value={volume}
+            value={isMuted ? 0 : volume}
             onChange={handleVolumeChange}
             className="flex-1 h-2 bg-white/20 rounded-full appearance-none cursor-pointer slider"
+            aria-label="Volume"
+          />
+          <SleepTimer
+            timer={sleepTimer.timer}
+            remaining={sleepTimer.remaining}
+            onStart={sleepTimer.start}
+            onStartAtEnd={sleepTimer.startAtEnd}
+            onExtend={sleepTimer.extend}
+            onCancel={sleepTimer.cancel}
           />
         </div>
+
+        {/* Playback Speed */}
+        <div className="flex items-center gap-3 mt-4">
+          <Rabbit className="h-4 w-4 text-white/70" />
+          <input
+            type="range"
+            min={MIN_PLAYBACK_RATE}
+            max={MAX_PLAYBACK_RATE}
+            step={PLAYBACK_RATE_STEP}
+            value={playbackRate}
+            onChange={handlePlaybackRateChange}
+            className="flex-1 h-2 bg-white/20 rounded-full appearance-none cursor-pointer slider"
+            aria-label="Playback speed"
+          />
+          <button
+            onClick={() => updateCurrentTrack({ playbackRate: 1 })}
+            className={`w-12 text-right text-xs font-mono rounded hover:bg-white/10 ${
+              playbackRate !== 1 ? 'text-pink-400' : 'text-white/70'
+            }`}
+            title="Playback speed (click to reset)"
+          >
+            {playbackRate.toFixed(2)}×
+          </button>
+          <button
+            onClick={() => updateCurrentTrack({ preservesPitch: !preservesPitch })}
+            className="w-20 px-2 py-1 rounded bg-white/10 text-xs text-white/70 hover:bg-white/20 transition-colors"
+            aria-pressed={preservesPitch}
+            title={preservesPitch ? 'Pitch stays the same at any speed' : 'Pitch follows the speed, like a turntable'}
+          >
+            {preservesPitch ? 'Keep pitch' : 'Varispeed'}
+          </button>
+        </div>
+
+        {/* A–B Loop */}
+        <div className="flex items-center gap-3 mt-4">
+          <Flag className={`h-4 w-4 ${abLoop ? 'text-yellow-300' : 'text-white/70'}`} />
+          <button
+            onClick={setLoopStart}
+            className="px-2 py-1 rounded bg-white/10 text-xs text-white/70 hover:bg-white/20 transition-colors"
+            disabled={!duration}
+            title="Set loop start (A) at the current time"
+          >
+            Set A
+          </button>
+          <button
+            onClick={setLoopEnd}
+            className="px-2 py-1 rounded bg-white/10 text-xs text-white/70 hover:bg-white/20 transition-colors"
+            disabled={!duration}
+            title="Set loop end (B) at the current time"
+          >
+            Set B
+          </button>
+          <span className="flex-1 text-right text-xs font-mono text-white/70">
+            {abLoop ? `${formatTime(abLoop.start)} – ${formatTime(abLoop.end)}` : 'No loop'}
+          </span>
+          {abLoop && (
+            <button
+              onClick={() => updateCurrentTrack({ abLoop: null })}
+              className="p-1 rounded-full text-white/70 hover:bg-white/20 transition-colors"
+              aria-label="Clear loop"
+              title="Clear loop"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+
+        {/* Crossfade Control */}
+        <div className="flex items-center gap-3 mt-4">
+          <Waves className="h-4 w-4 text-white/70" />
+          <input
+            type="range"
+            min="0"
+            max={MAX_CROSSFADE_SECONDS}
+            step="1"
+            value={crossfade}
+            onChange={handleCrossfadeChange}
+            className="flex-1 h-2 bg-white/20 rounded-full appearance-none cursor-pointer slider"
+            aria-label="Crossfade duration"
+          />
+          <span className="text-white/70 text-xs w-16 text-right">
+            {crossfade > 0 ? `${crossfade}s fade` : 'Gapless'}
+          </span>
+          <button
+            onClick={() => setShowEqualizer(!showEqualizer)}
+            className={`p-1 rounded-full hover:bg-white/20 transition-colors ${
+              showEqualizer ? 'text-pink-400' : 'text-white/70'
+            }`}
+            aria-label={showEqualizer ? 'Hide equalizer' : 'Show equalizer'}
+            aria-expanded={showEqualizer}
+            title="Equalizer"
+          >
+            <SlidersHorizontal className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => setShowLyrics(!showLyrics)}
+            className={`p-1 rounded-full hover:bg-white/20 transition-colors ${
+              showLyrics ? 'text-pink-400' : 'text-white/70'
+            }`}
+            aria-label={showLyrics ? 'Hide lyrics' : 'Show lyrics'}
+            aria-expanded={showLyrics}
+            title="Lyrics"
+          >
+            <MicVocal className="h-4 w-4" />
+          </button>
+        </div>
+
+        {/* Loudness Normalization */}
+        <div className="flex items-center gap-3 mt-4">
+          <Gauge className="h-4 w-4 text-white/70" />
+          <span className="text-white/70 text-xs">Normalize</span>
+          <select
+            value={normalizationMode}
+            onChange={(e) => setNormalizationMode(e.target.value)}
+            className="flex-1 bg-white/10 rounded px-2 py-1 text-xs text-white outline-none"
+            aria-label="Loudness normalization"
+          >
+            {NORMALIZATION_MODES.map(mode => (
+              <option key={mode.id} value={mode.id} className="text-black">
+                {mode.label}
+              </option>
+            ))}
+          </select>
+          <span className="text-white/70 text-xs w-16 text-right">
+            {normalizationMode === NORMALIZATION_OFF
+              ? ''
+              : `${currentGain > 0 ? '+' : ''}${currentGain.toFixed(1)} dB`}
+          </span>
+        </div>
+
+        {/* Equalizer */}
+        {showEqualizer && (
+          <div className="mt-4 pt-4 border-t border-white/10">
+            <Equalizer
+              settings={equalizerSettings}
+              presets={equalizerPresets}
+              onSelectPreset={selectPreset}
+              onBandChange={setBandGain}
+              onPreampChange={setPreamp}
+              onEnabledChange={setEqualizerEnabled}
+              onSavePreset={saveCustomPreset}
+              onDeletePreset={deleteCustomPreset}
+            />
+          </div>
+        )}
+
+        {/* Lyrics */}
+        {showLyrics && currentTrack && (
+          <div className="mt-4 pt-4 border-t border-white/10">
+            <LyricsPanel
+              track={currentTrack}
+              currentTime={currentTime}
+              onSeek={(time) => engineRef.current?.seek(time)}
+              onChange={(changes) => onUpdateTrack?.(currentTrack.id, changes)}
+            />
+          </div>
+        )}
       </Card>
 
       <style jsx>{`
@@ -237,6 +792,8 @@ const MusicPlayer = ({ currentTrack, playlist, onTrackChange }) => {
       `}</style>
     </motion.div>
   );
-};
+});
+
+MusicPlayer.displayName = 'MusicPlayer';
 
 export default MusicPlayer;
\ No newline at end of file
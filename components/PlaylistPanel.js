@@ -0,0 +1,549 @@
+import React, { useRef, useState } from 'react';
+import { motion, Reorder } from 'framer-motion';
+import {
+  Copy,
+  Download,
+  FileUp,
+  GripVertical,
+  ListFilter,
+  ListMusic,
+  ListPlus,
+  ListStart,
+  Pencil,
+  Plus,
+  Trash2,
+  WandSparkles,
+  X
+} from 'lucide-react';
+import { Card } from './ui/card';
+import TrackArtwork from './TrackArtwork';
+import LibraryBrowser from './LibraryBrowser';
+import SmartPlaylistEditor from './SmartPlaylistEditor';
+import { getTrackSubtitle, getTrackTitle } from '../utils/audioUtils';
+import { LIBRARY_PLAYLIST_ID } from '../hooks/usePlaylists';
+import {
+  PLAYLIST_ACCEPT,
+  PLAYLIST_FORMATS,
+  downloadPlaylist,
+  downloadPlaylistFile
+} from '../utils/playlistFormats';
+import {
+  DEFAULT_SMART_DEFINITION,
+  SMART_PLAYLIST_EXTENSION,
+  SMART_PLAYLIST_MIME_TYPE,
+  serializeSmartPlaylist
+} from '../utils/smartPlaylists';
+
+const iconButtonClass = 'p-1 rounded-full hover:bg-white/20 transition-colors';
+
+const TrackInfo = ({ track, artworkUrl }) => (
+  <>
+    <TrackArtwork src={artworkUrl} />
+    <div className="flex-1 min-w-0">
+      <div className="text-sm truncate">{getTrackTitle(track)}</div>
+      {getTrackSubtitle(track) && (
+        <div className="text-xs text-white/50 truncate">{getTrackSubtitle(track)}</div>
+      )}
+    </div>
+  </>
+);
+
+/**
+ * Library and named playlists, switched with tabs. Playlist tracks can be
+ * dragged, or moved with Alt+Up/Down when focused. Smart playlists list
+ * whatever their rules match and are edited through their rules.
+ */
+const PlaylistPanel = ({
+  libraryTracks,
+  playlists,
+  activeListId,
+  onSelectList,
+  currentTrackId,
+  artworkUrls,
+  onPlayTrack,
+  onPlayNext,
+  onAddToQueue,
+  onDeleteTrack,
+  onCreatePlaylist,
+  onCreateSmartPlaylist,
+  onUpdateSmartPlaylist,
+  onRenamePlaylist,
+  onDuplicatePlaylist,
+  onDeletePlaylist,
+  onAddToPlaylist,
+  onRemoveFromPlaylist,
+  onReorderPlaylist,
+  onMoveInPlaylist,
+  onImportPlaylist
+}) => {
+  const [editingName, setEditingName] = useState(null);
+  const [menuTrackId, setMenuTrackId] = useState(null);
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+  const [importReport, setImportReport] = useState(null);
+  const [isEditingRules, setIsEditingRules] = useState(false);
+  const importInputRef = useRef(null);
+  // Set while dragging so the click that ends a drag doesn't play the track
+  const draggingRef = useRef(false);
+
+  const activePlaylist = playlists.find(playlist => playlist.id === activeListId) || null;
+  const isLibrary = !activePlaylist;
+  const isSmart = Boolean(activePlaylist?.smart);
+  const tracks = isLibrary ? libraryTracks : activePlaylist.tracks;
+  // Smart playlists choose their own tracks
+  const manualPlaylists = playlists.filter(playlist => !playlist.smart);
+
+  const selectList = (id) => {
+    setIsEditingRules(false);
+    onSelectList(id);
+  };
+
+  const handleCreate = () => {
+    const name = `Playlist ${playlists.length + 1}`;
+    selectList(onCreatePlaylist(name));
+    setEditingName(name);
+  };
+
+  const handleCreateSmart = () => {
+    const name = `Smart playlist ${playlists.filter(playlist => playlist.smart).length + 1}`;
+    onSelectList(onCreateSmartPlaylist(name, DEFAULT_SMART_DEFINITION));
+    setEditingName(name);
+    setIsEditingRules(true);
+  };
+
+  const handleSaveRules = (definition) => {
+    onUpdateSmartPlaylist(activePlaylist.id, definition);
+    setIsEditingRules(false);
+  };
+
+  const commitRename = () => {
+    if (activePlaylist && editingName !== null) {
+      onRenamePlaylist(activePlaylist.id, editingName);
+    }
+    setEditingName(null);
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') commitRename();
+    if (e.key === 'Escape') setEditingName(null);
+  };
+
+  const handleDelete = () => {
+    if (!activePlaylist) return;
+    if (!window.confirm(`Delete the playlist "${activePlaylist.name}"? The tracks stay in your library.`)) return;
+
+    onDeletePlaylist(activePlaylist.id);
+    selectList(LIBRARY_PLAYLIST_ID);
+  };
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const report = await onImportPlaylist(file);
+      selectList(report.playlistId);
+      setImportReport(report);
+    } catch (error) {
+      console.error('Error importing playlist:', error);
+      setImportReport({ error: error.message || `Couldn't import ${file.name}` });
+    }
+  };
+
+  const handleExport = (formatId) => {
+    downloadPlaylist(isLibrary ? 'Library' : activePlaylist.name, tracks, formatId);
+    setIsExportMenuOpen(false);
+  };
+
+  const handleExportRules = () => {
+    downloadPlaylistFile(
+      activePlaylist.name,
+      serializeSmartPlaylist(activePlaylist.name, activePlaylist.smart),
+      SMART_PLAYLIST_EXTENSION,
+      SMART_PLAYLIST_MIME_TYPE
+    );
+    setIsExportMenuOpen(false);
+  };
+
+  const handleItemKeyDown = (e, track) => {
+    if (e.key === 'Enter') {
+      onPlayTrack(track, activeListId);
+      return;
+    }
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+
+    e.preventDefault();
+    onMoveInPlaylist(activePlaylist.id, track.id, e.key === 'ArrowUp' ? -1 : 1);
+  };
+
+  const rowClass = (track) => `p-2 rounded cursor-pointer transition-colors ${
+    currentTrackId === track.id
+      ? 'bg-white/20 text-white'
+      : 'bg-white/5 text-white/70 hover:bg-white/10'
+  }`;
+
+  const renderActions = (track) => (
+    <>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          onPlayNext(track);
+        }}
+        className={iconButtonClass}
+        aria-label={`Play ${getTrackTitle(track)} next`}
+        title="Play next"
+      >
+        <ListStart className="w-3 h-3" />
+      </button>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          onAddToQueue(track);
+        }}
+        className={iconButtonClass}
+        aria-label={`Add ${getTrackTitle(track)} to queue`}
+        title="Add to queue"
+      >
+        <ListPlus className="w-3 h-3" />
+      </button>
+      <div className="relative">
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setMenuTrackId(menuTrackId === track.id ? null : track.id);
+          }}
+          className={iconButtonClass}
+          aria-label={`Add ${getTrackTitle(track)} to a playlist`}
+          aria-expanded={menuTrackId === track.id}
+          title="Add to playlist"
+        >
+          <ListMusic className="w-3 h-3" />
+        </button>
+        {menuTrackId === track.id && (
+          <div
+            className="absolute right-0 top-6 z-10 w-40 py-1 rounded bg-gray-900/95 border border-white/20 shadow-xl"
+            onClick={(e) => e.stopPropagation()}
+          >
+            {manualPlaylists.map(playlist => (
+              <button
+                key={playlist.id}
+                onClick={() => {
+                  onAddToPlaylist(playlist.id, track);
+                  setMenuTrackId(null);
+                }}
+                className="block w-full px-3 py-1 text-left text-xs text-white/80 truncate hover:bg-white/10"
+              >
+                {playlist.name}
+              </button>
+            ))}
+            <button
+              onClick={() => {
+                selectList(onCreatePlaylist(`Playlist ${playlists.length + 1}`, [track.id]));
+                setMenuTrackId(null);
+              }}
+              className="flex items-center gap-1 w-full px-3 py-1 text-left text-xs text-white/60 hover:bg-white/10"
+            >
+              <Plus className="w-3 h-3" />
+              New playlist
+            </button>
+          </div>
+        )}
+      </div>
+      {isLibrary ? (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onDeleteTrack(track);
+          }}
+          className="p-1 rounded-full hover:bg-red-500/20 transition-colors"
+          aria-label={`Delete ${getTrackTitle(track)} from library`}
+        >
+          <Trash2 className="w-3 h-3 text-red-400" />
+        </button>
+      ) : !isSmart && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemoveFromPlaylist(activePlaylist.id, track.id);
+          }}
+          className={iconButtonClass}
+          aria-label={`Remove ${getTrackTitle(track)} from ${activePlaylist.name}`}
+        >
+          <X className="w-3 h-3" />
+        </button>
+      )}
+    </>
+  );
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+    >
+      <Card className="backdrop-blur-xl bg-white/10 border-white/20 shadow-2xl p-6">
+        {/* Tabs */}
+        <div className="flex items-center gap-1 mb-3 overflow-x-auto" role="tablist">
+          {[{ id: LIBRARY_PLAYLIST_ID, name: 'Library' }, ...playlists].map(list => (
+            <button
+              key={list.id}
+              role="tab"
+              aria-selected={(activePlaylist?.id || LIBRARY_PLAYLIST_ID) === list.id}
+              onClick={() => {
+                commitRename();
+                selectList(list.id);
+              }}
+              className={`flex items-center gap-1 px-3 py-1 rounded-full text-xs whitespace-nowrap transition-colors ${
+                (activePlaylist?.id || LIBRARY_PLAYLIST_ID) === list.id
+                  ? 'bg-white/20 text-white'
+                  : 'text-white/60 hover:bg-white/10'
+              }`}
+            >
+              {list.smart && <WandSparkles className="w-3 h-3" />}
+              {list.name}
+            </button>
+          ))}
+          <button
+            onClick={handleCreate}
+            className={`${iconButtonClass} text-white/60 flex-shrink-0`}
+            aria-label="New playlist"
+            title="New playlist"
+          >
+            <Plus className="w-4 h-4" />
+          </button>
+          <button
+            onClick={handleCreateSmart}
+            className={`${iconButtonClass} text-white/60 flex-shrink-0`}
+            aria-label="New smart playlist"
+            title="New smart playlist"
+          >
+            <WandSparkles className="w-4 h-4" />
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept={`${PLAYLIST_ACCEPT},${SMART_PLAYLIST_EXTENSION}`}
+            onChange={handleImport}
+            className="hidden"
+          />
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className={`${iconButtonClass} text-white/60 flex-shrink-0`}
+            aria-label="Import playlist (M3U, PLS, XSPF or smart playlist JSON)"
+            title="Import playlist"
+          >
+            <FileUp className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Import report */}
+        {importReport && (
+          <div className="mb-3 p-2 rounded bg-black/20 border border-white/10 text-xs">
+            <div className="flex items-start gap-2">
+              <p className={`flex-1 ${importReport.error ? 'text-red-400' : 'text-white/70'}`}>
+                {importReport.error || (importReport.smart
+                  ? `Imported the smart playlist "${importReport.name}": ${importReport.matched} tracks match.`
+                  : `Imported "${importReport.name}": ${importReport.matched} of ${importReport.total} tracks found in your library.`)}
+              </p>
+              <button
+                onClick={() => setImportReport(null)}
+                className={`${iconButtonClass} text-white/60`}
+                aria-label="Dismiss import report"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+            {importReport.unmatched?.length > 0 && (
+              <>
+                <p className="mt-1 text-white/50">Not found:</p>
+                <ul className="mt-1 max-h-24 overflow-y-auto text-white/50 list-disc list-inside">
+                  {importReport.unmatched.map((entry, index) => (
+                    <li key={index} className="truncate">{entry}</li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Playlist header */}
+        <div className="flex items-center gap-2 mb-2">
+          {editingName !== null && activePlaylist ? (
+            <input
+              autoFocus
+              value={editingName}
+              onChange={(e) => setEditingName(e.target.value)}
+              onBlur={commitRename}
+              onKeyDown={handleRenameKeyDown}
+              className="flex-1 min-w-0 bg-white/10 rounded px-2 py-1 text-sm text-white outline-none"
+              aria-label="Playlist name"
+            />
+          ) : (
+            <h3 className="flex-1 min-w-0 text-white/70 text-sm font-medium truncate">
+              {isLibrary ? 'Library' : activePlaylist.name}
+              <span className="text-white/40"> ({tracks.length})</span>
+            </h3>
+          )}
+          <div className="relative text-white/70">
+            <button
+              onClick={() => setIsExportMenuOpen(!isExportMenuOpen)}
+              className={iconButtonClass}
+              aria-label="Export playlist"
+              aria-expanded={isExportMenuOpen}
+              title="Export"
+              disabled={tracks.length === 0 && !isSmart}
+            >
+              <Download className="w-3 h-3" />
+            </button>
+            {isExportMenuOpen && (
+              <div className="absolute right-0 top-6 z-10 w-28 py-1 rounded bg-gray-900/95 border border-white/20 shadow-xl">
+                {PLAYLIST_FORMATS.map(format => (
+                  <button
+                    key={format.id}
+                    onClick={() => handleExport(format.id)}
+                    className="block w-full px-3 py-1 text-left text-xs text-white/80 hover:bg-white/10"
+                  >
+                    {format.label}
+                  </button>
+                ))}
+                {isSmart && (
+                  <button
+                    onClick={handleExportRules}
+                    className="block w-full px-3 py-1 text-left text-xs text-white/80 hover:bg-white/10 border-t border-white/10"
+                  >
+                    Rules (JSON)
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+          {activePlaylist && (
+            <div className="flex items-center gap-1 text-white/70">
+              {isSmart && (
+                <button
+                  onClick={() => setIsEditingRules(!isEditingRules)}
+                  className={`${iconButtonClass} ${isEditingRules ? 'text-pink-400' : ''}`}
+                  aria-label="Edit rules"
+                  aria-expanded={isEditingRules}
+                  title="Edit rules"
+                >
+                  <ListFilter className="w-3 h-3" />
+                </button>
+              )}
+              <button
+                onClick={() => setEditingName(activePlaylist.name)}
+                className={iconButtonClass}
+                aria-label="Rename playlist"
+                title="Rename"
+              >
+                <Pencil className="w-3 h-3" />
+              </button>
+              <button
+                onClick={() => selectList(onDuplicatePlaylist(activePlaylist.id))}
+                className={iconButtonClass}
+                aria-label="Duplicate playlist"
+                title="Duplicate"
+              >
+                <Copy className="w-3 h-3" />
+              </button>
+              <button
+                onClick={handleDelete}
+                className="p-1 rounded-full hover:bg-red-500/20 transition-colors"
+                aria-label="Delete playlist"
+                title="Delete"
+              >
+                <Trash2 className="w-3 h-3 text-red-400" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        {isSmart && isEditingRules && (
+          <SmartPlaylistEditor
+            key={activePlaylist.id}
+            definition={activePlaylist.smart}
+            tracks={libraryTracks}
+            onSave={handleSaveRules}
+            onCancel={() => setIsEditingRules(false)}
+          />
+        )}
+
+        {/* Tracks */}
+        {isLibrary ? (
+          <LibraryBrowser
+            tracks={tracks}
+            artworkUrls={artworkUrls}
+            currentTrackId={currentTrackId}
+            onPlayTrack={onPlayTrack}
+            renderTrackActions={renderActions}
+          />
+        ) : isSmart ? (
+          <div className="max-h-64 overflow-y-auto space-y-1">
+            {tracks.length === 0 && (
+              <p className="py-4 text-center text-white/50 text-xs">
+                No tracks match these rules yet
+              </p>
+            )}
+
+            {tracks.map(track => (
+              <div
+                key={track.id}
+                tabIndex={0}
+                onClick={() => onPlayTrack(track, activePlaylist.id)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') onPlayTrack(track, activePlaylist.id);
+                }}
+                className={`${rowClass(track)} flex items-center gap-2 focus:outline-none focus:ring-1 focus:ring-white/30`}
+              >
+                <TrackInfo track={track} artworkUrl={artworkUrls[track.id]} />
+                {renderActions(track)}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <motion.div layoutScroll className="max-h-64 overflow-y-auto">
+            {tracks.length === 0 && (
+              <p className="py-4 text-center text-white/50 text-xs">
+                Add tracks from the library with the playlist button
+              </p>
+            )}
+
+            <Reorder.Group
+              axis="y"
+              values={tracks}
+              onReorder={(reordered) => onReorderPlaylist(activePlaylist.id, reordered.map(track => track.id))}
+              className="space-y-1"
+            >
+              {tracks.map((track) => (
+                <Reorder.Item
+                  key={track.id}
+                  value={track}
+                  tabIndex={0}
+                  onDragStart={() => {
+                    draggingRef.current = true;
+                  }}
+                  onDragEnd={() => setTimeout(() => {
+                    draggingRef.current = false;
+                  })}
+                  onClick={() => {
+                    if (!draggingRef.current) onPlayTrack(track, activePlaylist.id);
+                  }}
+                  onKeyDown={(e) => handleItemKeyDown(e, track)}
+                  className={`${rowClass(track)} focus:outline-none focus:ring-1 focus:ring-white/30`}
+                >
+                  <div className="flex items-center gap-2">
+                    <GripVertical className="w-3 h-3 text-white/30 cursor-grab" />
+                    <TrackInfo track={track} artworkUrl={artworkUrls[track.id]} />
+                    {renderActions(track)}
+                  </div>
+                </Reorder.Item>
+              ))}
+            </Reorder.Group>
+          </motion.div>
+        )}
+      </Card>
+    </motion.div>
+  );
+};
+
+export default PlaylistPanel;
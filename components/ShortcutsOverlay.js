@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Keyboard, RotateCcw, X } from 'lucide-react';
+import { Card } from './ui/card';
+import { SHORTCUT_ACTIONS, formatKeyCombo, getKeyCombo } from '../utils/shortcuts';
+
+/**
+ * Lists every keyboard shortcut. Clicking a key starts recording a new
+ * binding for that action; Escape cancels recording or closes the overlay.
+ */
+const ShortcutsOverlay = ({ bindings, onSetBinding, onResetBinding, onResetAll, onClose }) => {
+  const [recordingId, setRecordingId] = useState(null);
+
+  // Capture phase runs before the global shortcut listener, which skips handled events
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        if (recordingId) {
+          setRecordingId(null);
+        } else {
+          onClose();
+        }
+        return;
+      }
+
+      if (!recordingId) return;
+
+      const combo = getKeyCombo(e);
+      e.preventDefault();
+      e.stopPropagation();
+      if (!combo) return;
+
+      onSetBinding(recordingId, combo);
+      setRecordingId(null);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recordingId, onSetBinding, onClose]);
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.95 }}
+        className="w-full max-w-md"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Keyboard shortcuts"
+      >
+        <Card className="backdrop-blur-xl bg-slate-900/80 border border-white/20 shadow-2xl p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="flex items-center gap-2 text-white font-semibold">
+              <Keyboard className="w-4 h-4" />
+              Keyboard shortcuts
+            </h2>
+            <button
+              onClick={onClose}
+              className="p-1 rounded-full text-white/70 hover:bg-white/20 transition-colors"
+              aria-label="Close"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <ul className="space-y-1">
+            {SHORTCUT_ACTIONS.map(action => {
+              const isRecording = recordingId === action.id;
+              const isDefault = bindings[action.id] === action.defaultKey;
+
+              return (
+                <li key={action.id} className="flex items-center gap-2 text-sm text-white/80">
+                  <span className="flex-1">{action.label}</span>
+                  {!isDefault && (
+                    <button
+                      onClick={() => onResetBinding(action.id)}
+                      className="p-1 rounded-full text-white/40 hover:bg-white/20 hover:text-white/70 transition-colors"
+                      aria-label={`Reset ${action.label} to ${formatKeyCombo(action.defaultKey)}`}
+                      title="Reset to default"
+                    >
+                      <RotateCcw className="w-3 h-3" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setRecordingId(isRecording ? null : action.id)}
+                    className={`min-w-16 px-2 py-1 rounded border text-xs font-mono transition-colors ${
+                      isRecording
+                        ? 'border-pink-400 text-pink-300 bg-pink-400/10'
+                        : 'border-white/20 text-white bg-white/10 hover:bg-white/20'
+                    }`}
+                    aria-label={`Change shortcut for ${action.label}`}
+                  >
+                    {isRecording ? 'Press a key…' : formatKeyCombo(bindings[action.id])}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="flex items-center justify-between mt-4 text-xs text-white/50">
+            <span>Click a key to change it</span>
+            <button
+              onClick={onResetAll}
+              className="px-2 py-1 rounded hover:bg-white/10 hover:text-white/70 transition-colors"
+            >
+              Reset all
+            </button>
+          </div>
+        </Card>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ShortcutsOverlay;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Moon, Plus, X } from 'lucide-react';
+import {
+  MAX_SLEEP_MINUTES,
+  SLEEP_END_OF_QUEUE,
+  SLEEP_END_OF_TRACK,
+  SLEEP_EXTEND_MINUTES,
+  SLEEP_TIMER_MINUTES,
+  formatCountdown
+} from '../utils/sleepTimer';
+
+const END_OPTIONS = [
+  { mode: SLEEP_END_OF_TRACK, label: 'End of track' },
+  { mode: SLEEP_END_OF_QUEUE, label: 'End of queue' }
+];
+
+const menuButtonClass = 'px-2 py-1 rounded text-xs text-white/80 hover:bg-white/10 text-left';
+
+/**
+ * Sleep timer button with its countdown, and a menu to start, extend or
+ * cancel the timer.
+ */
+const SleepTimer = ({ timer, remaining, onStart, onStartAtEnd, onExtend, onCancel }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [customMinutes, setCustomMinutes] = useState('');
+
+  const close = () => setIsOpen(false);
+
+  const handleCustomSubmit = (e) => {
+    e.preventDefault();
+    const minutes = parseInt(customMinutes, 10);
+    if (!(minutes > 0)) return;
+
+    onStart(minutes);
+    setCustomMinutes('');
+    close();
+  };
+
+  const endLabel = END_OPTIONS.find(option => option.mode === timer?.mode)?.label;
+
+  return (
+    <div
+      className="relative"
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') close();
+      }}
+    >
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center gap-1 p-1 rounded-full hover:bg-white/20 transition-colors ${
+          timer ? 'text-pink-400' : 'text-white/70'
+        }`}
+        aria-label="Sleep timer"
+        aria-expanded={isOpen}
+        title={timer ? `Sleep timer${endLabel ? `: ${endLabel.toLowerCase()}` : ''}` : 'Sleep timer'}
+      >
+        <Moon className="h-4 w-4" />
+        {timer && (
+          <span className="text-xs font-mono" aria-live="off">
+            {remaining === null ? '…' : formatCountdown(remaining)}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 bottom-8 z-10 w-48 p-2 rounded bg-gray-900/95 border border-white/20 shadow-xl">
+          {timer && (
+            <div className="flex items-center gap-1 mb-2 pb-2 border-b border-white/10">
+              <button
+                onClick={() => onExtend(SLEEP_EXTEND_MINUTES)}
+                className={`flex items-center gap-1 flex-1 ${menuButtonClass}`}
+              >
+                <Plus className="w-3 h-3" />
+                {SLEEP_EXTEND_MINUTES} min
+              </button>
+              <button
+                onClick={() => {
+                  onCancel();
+                  close();
+                }}
+                className={`flex items-center gap-1 ${menuButtonClass}`}
+              >
+                <X className="w-3 h-3" />
+                Cancel timer
+              </button>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-1">
+            {SLEEP_TIMER_MINUTES.map(minutes => (
+              <button
+                key={minutes}
+                onClick={() => {
+                  onStart(minutes);
+                  close();
+                }}
+                className={menuButtonClass}
+              >
+                {minutes} min
+              </button>
+            ))}
+            {END_OPTIONS.map(option => (
+              <button
+                key={option.mode}
+                onClick={() => {
+                  onStartAtEnd(option.mode);
+                  close();
+                }}
+                className={`${menuButtonClass} ${timer?.mode === option.mode ? 'text-pink-400' : ''}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <form onSubmit={handleCustomSubmit} className="flex items-center gap-1 mt-2">
+            <input
+              type="number"
+              min="1"
+              max={MAX_SLEEP_MINUTES}
+              value={customMinutes}
+              onChange={(e) => setCustomMinutes(e.target.value)}
+              placeholder="Minutes"
+              className="flex-1 min-w-0 bg-white/10 rounded px-2 py-1 text-xs text-white outline-none"
+              aria-label="Custom sleep timer in minutes"
+            />
+            <button type="submit" className={menuButtonClass} disabled={!(parseInt(customMinutes, 10) > 0)}>
+              Set
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SleepTimer;
@@ -0,0 +1,286 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowDown, ArrowUp, Plus, X } from 'lucide-react';
+import { SORT_ASCENDING, SORT_DESCENDING } from '../utils/library';
+import {
+  MATCH_ALL,
+  MATCH_ANY,
+  MAX_SMART_LIMIT,
+  SMART_FIELDS,
+  SMART_OPERATORS,
+  SMART_SORT_FIELDS,
+  createSmartGroup,
+  createSmartRule,
+  evaluateSmartPlaylist,
+  getFieldOperators,
+  getSmartField,
+  validateSmartDefinition
+} from '../utils/smartPlaylists';
+
+const iconButtonClass = 'p-1 rounded-full hover:bg-white/20 transition-colors';
+const inputClass = 'min-w-0 bg-white/10 rounded px-2 py-1 text-xs text-white outline-none';
+
+// Empty number inputs stay empty (and invalid) instead of becoming 0
+const parseNumberInput = (value) => (value === '' ? '' : Number(value));
+
+const MatchSelect = ({ value, onChange, label }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className={inputClass}
+    aria-label={label}
+  >
+    <option value={MATCH_ALL} className="text-black">all</option>
+    <option value={MATCH_ANY} className="text-black">any</option>
+  </select>
+);
+
+const RuleValue = ({ rule, field, onChange }) => {
+  if (field.options) {
+    return (
+      <select
+        value={rule.value}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${inputClass} flex-1`}
+        aria-label={field.label}
+      >
+        {field.options.map(option => (
+          <option key={option.id} value={option.id} className="text-black">{option.label}</option>
+        ))}
+      </select>
+    );
+  }
+
+  if (field.type === 'text') {
+    return (
+      <input
+        value={rule.value}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${inputClass} flex-1`}
+        aria-label={field.label}
+      />
+    );
+  }
+
+  if (field.type === 'date' && rule.operator !== 'inLast') {
+    return (
+      <input
+        type="date"
+        value={rule.value}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${inputClass} flex-1 [color-scheme:dark]`}
+        aria-label={field.label}
+      />
+    );
+  }
+
+  return (
+    <>
+      <input
+        type="number"
+        value={rule.value}
+        min={rule.operator === 'inLast' ? 1 : field.min}
+        max={field.max}
+        step={field.id === 'duration' ? 'any' : 1}
+        onChange={(e) => onChange(parseNumberInput(e.target.value))}
+        className={`${inputClass} flex-1 w-16`}
+        aria-label={field.label}
+      />
+      {rule.operator === 'inLast' && <span className="text-white/50">days</span>}
+    </>
+  );
+};
+
+const RuleRow = ({ rule, onChange, onRemove }) => {
+  const field = getSmartField(rule.field) || SMART_FIELDS[0];
+
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        value={field.id}
+        onChange={(e) => onChange(createSmartRule(e.target.value, rule))}
+        className={inputClass}
+        aria-label="Field"
+      >
+        {SMART_FIELDS.map(item => (
+          <option key={item.id} value={item.id} className="text-black">{item.label}</option>
+        ))}
+      </select>
+      <select
+        value={rule.operator}
+        onChange={(e) => onChange(createSmartRule(field.id, { ...rule, operator: e.target.value }))}
+        className={inputClass}
+        aria-label="Condition"
+      >
+        {getFieldOperators(field).map(id => (
+          <option key={id} value={id} className="text-black">{SMART_OPERATORS[id][field.type]}</option>
+        ))}
+      </select>
+      <RuleValue rule={rule} field={field} onChange={(value) => onChange({ ...rule, value })} />
+      <button onClick={onRemove} className={`${iconButtonClass} text-white/60`} aria-label="Remove rule">
+        <X className="w-3 h-3" />
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Rules combined with AND ("all") or OR ("any"). Groups can be nested one
+ * level deep from the editor; deeper groups from imported files still show.
+ */
+const RuleGroup = ({ group, onChange, onRemove, depth = 0 }) => {
+  const updateItem = (index, item) => {
+    onChange({ ...group, rules: group.rules.map((current, i) => (i === index ? item : current)) });
+  };
+
+  const removeItem = (index) => {
+    onChange({ ...group, rules: group.rules.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className={`space-y-1 ${depth > 0 ? 'p-2 rounded border border-white/10 bg-black/10' : ''}`}>
+      <div className="flex items-center gap-1 text-white/70">
+        <span>Match</span>
+        <MatchSelect
+          value={group.match}
+          onChange={(match) => onChange({ ...group, match })}
+          label={depth > 0 ? 'Group match' : 'Match'}
+        />
+        <span className="flex-1">of {depth > 0 ? 'these' : 'the following'}</span>
+        {onRemove && (
+          <button onClick={onRemove} className={`${iconButtonClass} text-white/60`} aria-label="Remove group">
+            <X className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+
+      {group.rules.map((item, index) => (Array.isArray(item.rules) ? (
+        <RuleGroup
+          key={index}
+          group={item}
+          depth={depth + 1}
+          onChange={(next) => updateItem(index, next)}
+          onRemove={() => removeItem(index)}
+        />
+      ) : (
+        <RuleRow
+          key={index}
+          rule={item}
+          onChange={(next) => updateItem(index, next)}
+          onRemove={() => removeItem(index)}
+        />
+      )))}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => onChange({ ...group, rules: [...group.rules, createSmartRule(SMART_FIELDS[0].id)] })}
+          className="flex items-center gap-1 px-2 py-0.5 rounded text-white/60 hover:bg-white/10"
+        >
+          <Plus className="w-3 h-3" />
+          Rule
+        </button>
+        {depth === 0 && (
+          <button
+            onClick={() => onChange({ ...group, rules: [...group.rules, createSmartGroup()] })}
+            className="flex items-center gap-1 px-2 py-0.5 rounded text-white/60 hover:bg-white/10"
+          >
+            <Plus className="w-3 h-3" />
+            Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Edits a smart playlist's rules, sort order and limit, previewing how many
+ * library tracks match
+ */
+const SmartPlaylistEditor = ({ definition, tracks, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(definition);
+
+  const validation = useMemo(() => validateSmartDefinition(draft), [draft]);
+  const matchCount = useMemo(() => (
+    validation.definition ? evaluateSmartPlaylist(tracks, validation.definition).length : null
+  ), [validation, tracks]);
+
+  const ArrowIcon = draft.sort.direction === SORT_ASCENDING ? ArrowUp : ArrowDown;
+
+  return (
+    <div className="mb-3 p-2 rounded bg-black/20 border border-white/10 text-xs space-y-3">
+      <RuleGroup
+        group={draft}
+        onChange={(group) => setDraft({ ...draft, match: group.match, rules: group.rules })}
+      />
+
+      <div className="flex flex-wrap items-center gap-1 text-white/70">
+        <span>Sort by</span>
+        <select
+          value={draft.sort.field}
+          onChange={(e) => setDraft({ ...draft, sort: { ...draft.sort, field: e.target.value } })}
+          className={inputClass}
+          aria-label="Sort by"
+        >
+          {SMART_SORT_FIELDS.map(field => (
+            <option key={field.id} value={field.id} className="text-black">{field.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setDraft({
+            ...draft,
+            sort: {
+              ...draft.sort,
+              direction: draft.sort.direction === SORT_ASCENDING ? SORT_DESCENDING : SORT_ASCENDING
+            }
+          })}
+          className={iconButtonClass}
+          aria-label={draft.sort.direction === SORT_ASCENDING ? 'Ascending' : 'Descending'}
+          title={draft.sort.direction === SORT_ASCENDING ? 'Ascending' : 'Descending'}
+        >
+          <ArrowIcon className="w-3 h-3" />
+        </button>
+
+        <label className="flex items-center gap-1 ml-2">
+          <input
+            type="checkbox"
+            checked={draft.limit !== null}
+            onChange={(e) => setDraft({ ...draft, limit: e.target.checked ? 25 : null })}
+          />
+          Limit to
+        </label>
+        {draft.limit !== null && (
+          <>
+            <input
+              type="number"
+              value={draft.limit}
+              min={1}
+              max={MAX_SMART_LIMIT}
+              onChange={(e) => setDraft({ ...draft, limit: parseNumberInput(e.target.value) })}
+              className={`${inputClass} w-16`}
+              aria-label="Track limit"
+            />
+            <span>tracks</span>
+          </>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <p className={`flex-1 ${validation.error ? 'text-red-400' : 'text-white/50'}`}>
+          {validation.error || `${matchCount} track${matchCount === 1 ? '' : 's'} match`}
+        </p>
+        <button onClick={onCancel} className="px-2 py-1 rounded text-white/60 hover:bg-white/10">
+          Cancel
+        </button>
+        <button
+          onClick={() => onSave(validation.definition)}
+          disabled={!validation.definition}
+          className="px-2 py-1 rounded bg-white/20 text-white hover:bg-white/30 disabled:opacity-40"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SmartPlaylistEditor;
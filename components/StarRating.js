@@ -0,0 +1,30 @@
+import React from 'react';
+import { Star } from 'lucide-react';
+import { MAX_RATING } from '../utils/smartPlaylists';
+
+/**
+ * Star rating. Clicking the current rating clears it.
+ */
+const StarRating = ({ rating = 0, onChange, className = 'w-4 h-4' }) => (
+  <div className="inline-flex items-center" role="radiogroup" aria-label="Rating">
+    {Array.from({ length: MAX_RATING }, (_, index) => {
+      const value = index + 1;
+      const isFilled = value <= rating;
+
+      return (
+        <button
+          key={value}
+          onClick={() => onChange(value === rating ? 0 : value)}
+          className="p-0.5 rounded-full hover:bg-white/20 transition-colors"
+          role="radio"
+          aria-checked={value === rating}
+          aria-label={`${value} star${value === 1 ? '' : 's'}`}
+        >
+          <Star className={`${className} ${isFilled ? 'fill-yellow-400 text-yellow-400' : 'text-white/30'}`} />
+        </button>
+      );
+    })}
+  </div>
+);
+
+export default StarRating;
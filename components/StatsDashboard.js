@@ -0,0 +1,316 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { BarChart3, X } from 'lucide-react';
+import { format, isValid, parse, subDays } from 'date-fns';
+import {
+  Bar,
+  BarChart,
+  Cell,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis
+} from 'recharts';
+import { Card } from './ui/card';
+import { getHistoryEntries } from '../utils/libraryDb';
+import { STATS_RANGES, getListeningStats, getStatsInterval } from '../utils/listeningHistory';
+import { formatTotalDuration } from '../utils/library';
+
+const DATE_INPUT_FORMAT = 'yyyy-MM-dd';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TOP_LISTS = [
+  { id: 'topTracks', label: 'Tracks' },
+  { id: 'topArtists', label: 'Artists' },
+  { id: 'topAlbums', label: 'Albums' }
+];
+
+const AXIS_PROPS = { stroke: 'rgba(255,255,255,0.5)', fontSize: 10, tickLine: false, axisLine: false };
+const TOOLTIP_PROPS = {
+  contentStyle: { background: 'rgba(15,23,42,0.95)', border: '1px solid rgba(255,255,255,0.2)', borderRadius: 4, fontSize: 12 },
+  itemStyle: { color: '#fff' },
+  labelStyle: { color: 'rgba(255,255,255,0.7)' },
+  cursor: { fill: 'rgba(255,255,255,0.1)' }
+};
+
+const parseDateInput = (value) => {
+  const date = parse(value, DATE_INPUT_FORMAT, new Date());
+  return isValid(date) ? date : null;
+};
+
+const formatMinutes = (minutes) => formatTotalDuration(minutes * 60);
+
+const Stat = ({ label, value }) => (
+  <div className="flex-1 min-w-0 rounded bg-white/5 px-2 py-1.5 text-center">
+    <div className="text-white font-semibold truncate">{value}</div>
+    <div className="text-white/50 text-xs">{label}</div>
+  </div>
+);
+
+/**
+ * Listening statistics over a date range: top tracks, artists and albums,
+ * listening time, time of day and skip rate. Escape closes the dashboard.
+ */
+const StatsDashboard = ({ tracks, onClose }) => {
+  const [rangeId, setRangeId] = useState(STATS_RANGES[0].id);
+  const [customStart, setCustomStart] = useState(() => format(subDays(new Date(), 29), DATE_INPUT_FORMAT));
+  const [customEnd, setCustomEnd] = useState(() => format(new Date(), DATE_INPUT_FORMAT));
+  const [topList, setTopList] = useState(TOP_LISTS[0].id);
+  const [byWeek, setByWeek] = useState(false);
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+
+  const interval = useMemo(() => getStatsInterval(rangeId, {
+    start: parseDateInput(customStart),
+    end: parseDateInput(customEnd)
+  }), [rangeId, customStart, customEnd]);
+
+  const startTime = interval.start.getTime();
+  const endTime = interval.end.getTime();
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+
+    getHistoryEntries(startTime, endTime)
+      .then(result => {
+        if (!cancelled) setEntries(result);
+      })
+      .catch(err => {
+        console.error('Failed to load listening history:', err);
+        if (!cancelled) setError('Could not load listening history');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [startTime, endTime]);
+
+  const stats = useMemo(() => {
+    if (!entries) return null;
+    const tracksById = new Map(tracks.map(track => [track.id, track]));
+    return getListeningStats(entries, interval, tracksById);
+  }, [entries, interval, tracks]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      onClose();
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [onClose]);
+
+  const heatmapMax = stats ? Math.max(...stats.heatmap.flat(), 0) : 0;
+  const topItems = stats ? stats[topList] : [];
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95 }}
+        animate={{ scale: 1 }}
+        exit={{ scale: 0.95 }}
+        className="w-full max-w-2xl"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Listening statistics"
+      >
+        <Card className="backdrop-blur-xl bg-slate-900/80 border border-white/20 shadow-2xl p-6 max-h-[90vh] overflow-y-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="flex items-center gap-2 text-white font-semibold">
+              <BarChart3 className="w-4 h-4" />
+              Listening statistics
+            </h2>
+            <button
+              onClick={onClose}
+              className="p-1 rounded-full text-white/70 hover:bg-white/20 transition-colors"
+              aria-label="Close"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mb-4 text-xs text-white/70">
+            <select
+              value={rangeId}
+              onChange={(e) => setRangeId(e.target.value)}
+              className="bg-white/10 rounded px-2 py-1 text-xs text-white outline-none"
+              aria-label="Date range"
+            >
+              {STATS_RANGES.map(range => (
+                <option key={range.id} value={range.id} className="text-black">
+                  {range.label}
+                </option>
+              ))}
+            </select>
+            {rangeId === 'custom' && (
+              <>
+                <input
+                  type="date"
+                  value={customStart}
+                  max={customEnd}
+                  onChange={(e) => setCustomStart(e.target.value)}
+                  className="bg-white/10 rounded px-2 py-1 text-white outline-none [color-scheme:dark]"
+                  aria-label="From"
+                />
+                <span>to</span>
+                <input
+                  type="date"
+                  value={customEnd}
+                  min={customStart}
+                  onChange={(e) => setCustomEnd(e.target.value)}
+                  className="bg-white/10 rounded px-2 py-1 text-white outline-none [color-scheme:dark]"
+                  aria-label="To"
+                />
+              </>
+            )}
+          </div>
+
+          {error && <p className="text-sm text-red-300">{error}</p>}
+          {!error && !stats && <p className="text-sm text-white/50">Loading…</p>}
+          {stats && stats.totals.starts === 0 && (
+            <p className="text-sm text-white/50">Nothing played in this period yet.</p>
+          )}
+
+          {stats && stats.totals.starts > 0 && (
+            <div className="space-y-6">
+              <div className="flex gap-2">
+                <Stat label="Plays" value={stats.totals.plays} />
+                <Stat label="Listened" value={formatMinutes(stats.totals.minutes)} />
+                <Stat label="Skip rate" value={`${Math.round(stats.totals.skipRate * 100)}%`} />
+              </div>
+
+              <section>
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-sm text-white font-medium">Top</h3>
+                  <div className="flex gap-1" role="tablist">
+                    {TOP_LISTS.map(list => (
+                      <button
+                        key={list.id}
+                        onClick={() => setTopList(list.id)}
+                        className={`px-2 py-0.5 rounded text-xs transition-colors ${
+                          topList === list.id ? 'bg-white/20 text-white' : 'text-white/50 hover:text-white'
+                        }`}
+                        role="tab"
+                        aria-selected={topList === list.id}
+                      >
+                        {list.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {topItems.length === 0 ? (
+                  <p className="text-xs text-white/50">No counted plays yet.</p>
+                ) : (
+                  <ResponsiveContainer width="100%" height={topItems.length * 24 + 16}>
+                    <BarChart data={topItems} layout="vertical" margin={{ left: 0, right: 16 }}>
+                      <XAxis type="number" dataKey="plays" allowDecimals={false} hide />
+                      <YAxis type="category" dataKey="name" width={140} {...AXIS_PROPS} />
+                      <Tooltip
+                        {...TOOLTIP_PROPS}
+                        formatter={(value) => [value, 'Plays']}
+                        labelFormatter={(name, payload) => {
+                          const artist = payload?.[0]?.payload?.artist;
+                          return artist ? `${name} · ${artist}` : name;
+                        }}
+                      />
+                      <Bar dataKey="plays" fill="#f472b6" radius={[0, 3, 3, 0]} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                )}
+              </section>
+
+              <section>
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-sm text-white font-medium">Listening time</h3>
+                  <button
+                    onClick={() => setByWeek(!byWeek)}
+                    className="px-2 py-0.5 rounded text-xs text-white/50 hover:text-white transition-colors"
+                  >
+                    {byWeek ? 'Per week' : 'Per day'}
+                  </button>
+                </div>
+                <ResponsiveContainer width="100%" height={160}>
+                  <BarChart data={byWeek ? stats.perWeek : stats.perDay}>
+                    <XAxis dataKey="label" minTickGap={16} {...AXIS_PROPS} />
+                    <YAxis allowDecimals={false} width={32} {...AXIS_PROPS} />
+                    <Tooltip {...TOOLTIP_PROPS} formatter={(value) => [formatMinutes(value), 'Listened']} />
+                    <Bar dataKey="minutes" fill="#818cf8" radius={[3, 3, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </section>
+
+              <section>
+                <h3 className="text-sm text-white font-medium mb-2">Time of day</h3>
+                <div className="grid gap-px text-[10px] text-white/50" style={{ gridTemplateColumns: 'auto repeat(24, 1fr)' }}>
+                  {stats.heatmap.map((hours, day) => (
+                    <React.Fragment key={WEEKDAYS[day]}>
+                      <span className="pr-1">{WEEKDAYS[day]}</span>
+                      {hours.map((minutes, hour) => (
+                        <div
+                          key={hour}
+                          className="h-3 rounded-sm bg-pink-400"
+                          style={{ opacity: heatmapMax > 0 ? 0.08 + 0.92 * (minutes / heatmapMax) : 0.08 }}
+                          title={`${WEEKDAYS[day]} ${hour}:00 – ${formatMinutes(minutes)}`}
+                        />
+                      ))}
+                    </React.Fragment>
+                  ))}
+                  <span />
+                  {Array.from({ length: 24 }, (_, hour) => (
+                    <span key={hour} className="text-center">{hour % 6 === 0 ? hour : ''}</span>
+                  ))}
+                </div>
+              </section>
+
+              <section className="flex items-center gap-4">
+                <ResponsiveContainer width={96} height={96}>
+                  <PieChart>
+                    <Pie
+                      data={[
+                        { name: 'Plays', value: stats.totals.plays },
+                        { name: 'Skips', value: stats.totals.skips },
+                        { name: 'Other', value: stats.totals.starts - stats.totals.plays - stats.totals.skips }
+                      ]}
+                      dataKey="value"
+                      innerRadius={28}
+                      outerRadius={44}
+                      stroke="none"
+                      isAnimationActive={false}
+                    >
+                      <Cell fill="#f472b6" />
+                      <Cell fill="#64748b" />
+                      <Cell fill="#818cf8" />
+                    </Pie>
+                    <Tooltip {...TOOLTIP_PROPS} />
+                  </PieChart>
+                </ResponsiveContainer>
+                <div className="text-xs text-white/70 space-y-1">
+                  <p>
+                    {stats.totals.skips} of {stats.totals.starts} starts skipped
+                    ({Math.round(stats.totals.skipRate * 100)}%)
+                  </p>
+                  <p className="text-white/50">
+                    A play counts after half the track or four minutes. Leaving earlier is a skip.
+                  </p>
+                </div>
+              </section>
+            </div>
+          )}
+        </Card>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default StatsDashboard;
@@ -0,0 +1,22 @@
+import React from 'react';
+import Image from 'next/image';
+import { Music } from 'lucide-react';
+
+const TrackArtwork = ({ src, alt = '', className = 'w-8 h-8', iconClassName = 'w-4 h-4' }) => {
+  if (!src) {
+    return (
+      <div className={`${className} rounded bg-white/10 flex items-center justify-center flex-shrink-0`}>
+        <Music className={`${iconClassName} text-white/40`} />
+      </div>
+    );
+  }
+
+  // Covers are local blob URLs, so they skip the image optimizer
+  return (
+    <div className={`${className} relative rounded overflow-hidden flex-shrink-0`}>
+      <Image src={src} alt={alt} fill unoptimized className="object-cover" />
+    </div>
+  );
+};
+
+export default TrackArtwork;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { motion, Reorder } from 'framer-motion';
+import { GripVertical, ListX, X } from 'lucide-react';
+import { Card } from './ui/card';
+import TrackArtwork from './TrackArtwork';
+import { getTrackSubtitle, getTrackTitle } from '../utils/audioUtils';
+
+/**
+ * "Up next" panel listing the play queue. Entries can be dragged, or moved
+ * with Alt+Up/Down when focused.
+ */
+const UpNext = ({ queue, artworkUrls, onReorder, onMove, onRemove, onClear }) => {
+  if (!queue || queue.length === 0) return null;
+
+  const handleKeyDown = (e, entry) => {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+
+    e.preventDefault();
+    onMove(entry.id, e.key === 'ArrowUp' ? -1 : 1);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+    >
+      <Card className="backdrop-blur-xl bg-white/10 border-white/20 shadow-2xl p-6 max-h-64 overflow-y-auto">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-white/70 text-sm font-medium">
+            Up next <span className="text-white/40">({queue.length})</span>
+          </h3>
+          <button
+            onClick={onClear}
+            className="flex items-center gap-1 px-2 py-1 rounded text-xs text-white/60 hover:bg-white/10 transition-colors"
+          >
+            <ListX className="w-3 h-3" />
+            Clear
+          </button>
+        </div>
+
+        <Reorder.Group axis="y" values={queue} onReorder={onReorder} className="space-y-1">
+          {queue.map((entry) => (
+            <Reorder.Item
+              key={entry.id}
+              value={entry}
+              tabIndex={0}
+              onKeyDown={(e) => handleKeyDown(e, entry)}
+              className="p-2 rounded bg-white/5 text-white/70 hover:bg-white/10 focus:outline-none focus:ring-1 focus:ring-white/30"
+            >
+              <div className="flex items-center gap-2">
+                <GripVertical className="w-3 h-3 text-white/30 cursor-grab" />
+                <TrackArtwork src={artworkUrls[entry.trackId]} />
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm truncate">{getTrackTitle(entry.track)}</div>
+                  {getTrackSubtitle(entry.track) && (
+                    <div className="text-xs text-white/50 truncate">{getTrackSubtitle(entry.track)}</div>
+                  )}
+                </div>
+                <button
+                  onClick={() => onRemove(entry.id)}
+                  className="p-1 rounded-full hover:bg-white/20 transition-colors"
+                  aria-label={`Remove ${getTrackTitle(entry.track)} from queue`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </div>
+            </Reorder.Item>
+          ))}
+        </Reorder.Group>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default UpNext;
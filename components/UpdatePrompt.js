@@ -0,0 +1,36 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { RefreshCw, X } from 'lucide-react';
+
+/**
+ * Tells the user a new version has been downloaded. Reloading switches to
+ * it; playback resumes from the saved session.
+ */
+const UpdatePrompt = ({ onReload, onDismiss }) => (
+  <motion.div
+    initial={{ opacity: 0, y: 20 }}
+    animate={{ opacity: 1, y: 0 }}
+    exit={{ opacity: 0, y: 20 }}
+    className="fixed bottom-4 left-1/2 z-40 -translate-x-1/2 flex items-center gap-3 px-4 py-2 rounded-full backdrop-blur-xl bg-slate-900/80 border border-white/20 shadow-2xl text-sm text-white"
+    role="status"
+  >
+    <span>A new version is available</span>
+    <button
+      onClick={onReload}
+      className="flex items-center gap-1 px-3 py-1 rounded-full bg-white/20 hover:bg-white/30 transition-colors"
+    >
+      <RefreshCw className="w-3 h-3" />
+      Reload
+    </button>
+    <button
+      onClick={onDismiss}
+      className="p-1 rounded-full text-white/60 hover:bg-white/20 transition-colors"
+      aria-label="Later"
+      title="Later"
+    >
+      <X className="w-4 h-4" />
+    </button>
+  </motion.div>
+);
+
+export default UpdatePrompt;
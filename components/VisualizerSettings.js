@@ -0,0 +1,104 @@
+import React from 'react';
+import {
+  VISUALIZER_COLOR_SCHEMES,
+  VISUALIZER_FFT_SIZES,
+  VISUALIZER_FPS_OPTIONS,
+  VISUALIZER_MODES
+} from '../utils/visualizer';
+
+const selectClassName = 'bg-white/10 rounded px-2 py-1 text-white outline-none';
+
+/**
+ * Visualizer mode picker plus the selected mode's FFT size, smoothing and
+ * colours, and the frame rate settings shared by all modes
+ */
+const VisualizerSettings = ({ settings, modeSettings, onChange, onModeChange }) => {
+  return (
+    <div className="grid grid-cols-2 gap-x-3 gap-y-2 text-xs text-white/70">
+      <label className="flex items-center justify-between gap-2">
+        Mode
+        <select
+          value={settings.mode}
+          onChange={(e) => onChange({ mode: e.target.value })}
+          className={selectClassName}
+        >
+          {VISUALIZER_MODES.map(mode => (
+            <option key={mode.id} value={mode.id} className="text-black">
+              {mode.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center justify-between gap-2">
+        Colors
+        <select
+          value={modeSettings.colorScheme}
+          onChange={(e) => onModeChange({ colorScheme: e.target.value })}
+          className={selectClassName}
+        >
+          {VISUALIZER_COLOR_SCHEMES.map(scheme => (
+            <option key={scheme.id} value={scheme.id} className="text-black">
+              {scheme.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center justify-between gap-2">
+        FFT size
+        <select
+          value={modeSettings.fftSize}
+          onChange={(e) => onModeChange({ fftSize: parseInt(e.target.value, 10) })}
+          className={selectClassName}
+        >
+          {VISUALIZER_FFT_SIZES.map(size => (
+            <option key={size} value={size} className="text-black">
+              {size}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center justify-between gap-2">
+        Smoothing
+        <input
+          type="range"
+          min="0"
+          max="0.95"
+          step="0.05"
+          value={modeSettings.smoothing}
+          onChange={(e) => onModeChange({ smoothing: parseFloat(e.target.value) })}
+          className="w-20"
+          aria-label="Smoothing"
+        />
+      </label>
+
+      <label className="flex items-center justify-between gap-2">
+        Frame rate
+        <select
+          value={settings.maxFps}
+          onChange={(e) => onChange({ maxFps: parseInt(e.target.value, 10) })}
+          className={selectClassName}
+        >
+          {VISUALIZER_FPS_OPTIONS.map(fps => (
+            <option key={fps} value={fps} className="text-black">
+              {fps ? `${fps} fps` : 'Unlimited'}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={settings.showStats}
+          onChange={(e) => onChange({ showStats: e.target.checked })}
+        />
+        Frame timing
+      </label>
+    </div>
+  );
+};
+
+export default VisualizerSettings;
@@ -0,0 +1,258 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { formatTime } from '../utils/audioUtils';
+import { getBarPeaks } from '../utils/waveform';
+import { fitCanvas } from '../utils/visualizer';
+import { MIN_LOOP_SECONDS } from '../utils/playbackEngine';
+
+const BAR_WIDTH = 2;
+const BAR_GAP = 1;
+const KEY_STEP_SECONDS = 5;
+const PAGE_STEP_SECONDS = 30;
+const MARKER_STEP_SECONDS = 0.5;
+
+/**
+ * Seek bar drawn as the track's waveform (a plain bar until the peaks are
+ * ready). Dragging previews the position and seeks on release; hovering shows
+ * the time under the pointer. An A–B loop is shown as a shaded region whose
+ * markers can be dragged.
+ */
+const WaveformSeekBar = ({ peaks, currentTime, duration, onSeek, loop, onLoopChange }) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0, dpr: 1 });
+  const [hoverTime, setHoverTime] = useState(null);
+  const [dragTime, setDragTime] = useState(null);
+  // Loop being edited by dragging a marker, committed on release
+  const [dragLoop, setDragLoop] = useState(null);
+  const shownLoop = dragLoop || loop;
+
+  const shownTime = dragTime ?? currentTime;
+  const progress = duration > 0 ? Math.min(Math.max(shownTime / duration, 0), 1) : 0;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const resize = () => setSize(fitCanvas(canvas));
+    resize();
+    if (typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(resize);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const { width, height } = size;
+    if (!canvas || width <= 0 || height <= 0) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+
+    const played = ctx.createLinearGradient(0, 0, width, 0);
+    played.addColorStop(0, '#c084fc');
+    played.addColorStop(1, '#f472b6');
+    const progressX = progress * width;
+
+    if (!peaks) {
+      const barHeight = 8;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+      ctx.fillRect(0, (height - barHeight) / 2, width, barHeight);
+      ctx.fillStyle = played;
+      ctx.fillRect(0, (height - barHeight) / 2, progressX, barHeight);
+      return;
+    }
+
+    const count = Math.max(Math.floor(width / (BAR_WIDTH + BAR_GAP)), 1);
+    const bars = getBarPeaks(peaks, count);
+    // Quiet recordings still fill the bar
+    const loudest = Math.max(...bars, 0.01);
+
+    bars.forEach((peak, index) => {
+      const x = index * (BAR_WIDTH + BAR_GAP);
+      const barHeight = Math.max((peak / loudest) * height, 1);
+      ctx.fillStyle = x + BAR_WIDTH / 2 <= progressX ? played : 'rgba(255, 255, 255, 0.25)';
+      ctx.fillRect(x, (height - barHeight) / 2, BAR_WIDTH, barHeight);
+    });
+  }, [peaks, progress, size]);
+
+  /**
+   * Time under the pointer, with sub-second precision
+   * @param {PointerEvent} e - Pointer event
+   * @returns {number} - Seconds
+   */
+  const getPointerTime = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const fraction = rect.width > 0 ? (e.clientX - rect.left) / rect.width : 0;
+    return Math.min(Math.max(fraction, 0), 1) * duration;
+  };
+
+  const handlePointerDown = (e) => {
+    if (!duration || e.button !== 0) return;
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragTime(getPointerTime(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (!duration) return;
+
+    const time = getPointerTime(e);
+    setHoverTime(time);
+    if (dragTime !== null) setDragTime(time);
+  };
+
+  const handlePointerUp = (e) => {
+    if (dragTime === null) return;
+
+    onSeek(getPointerTime(e));
+    setDragTime(null);
+  };
+
+  const handlePointerCancel = () => {
+    setDragTime(null);
+  };
+
+  /**
+   * Moves one end of the loop, keeping it at least MIN_LOOP_SECONDS long
+   * @param {string} point - 'start' or 'end'
+   * @param {number} time - Requested time
+   * @returns {Object} - Updated loop
+   */
+  const moveLoopPoint = (point, time) => {
+    if (point === 'start') {
+      return { ...loop, start: Math.min(Math.max(time, 0), loop.end - MIN_LOOP_SECONDS) };
+    }
+    return { ...loop, end: Math.max(Math.min(time, duration), loop.start + MIN_LOOP_SECONDS) };
+  };
+
+  const handleMarkerPointerDown = (e) => {
+    if (e.button !== 0) return;
+
+    // Don't start a seek underneath
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragLoop(loop);
+  };
+
+  const handleMarkerPointerMove = (point) => (e) => {
+    if (!dragLoop) return;
+    setDragLoop(moveLoopPoint(point, getPointerTime(e)));
+  };
+
+  const handleMarkerPointerUp = (e) => {
+    if (!dragLoop) return;
+
+    e.stopPropagation();
+    onLoopChange(dragLoop);
+    setDragLoop(null);
+  };
+
+  const handleMarkerKeyDown = (point) => (e) => {
+    const steps = {
+      ArrowLeft: -MARKER_STEP_SECONDS,
+      ArrowDown: -MARKER_STEP_SECONDS,
+      ArrowRight: MARKER_STEP_SECONDS,
+      ArrowUp: MARKER_STEP_SECONDS
+    };
+    if (!(e.key in steps)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    onLoopChange(moveLoopPoint(point, loop[point] + steps[e.key]));
+  };
+
+  const handleKeyDown = (e) => {
+    if (!duration) return;
+
+    const steps = {
+      ArrowLeft: -KEY_STEP_SECONDS,
+      ArrowDown: -KEY_STEP_SECONDS,
+      ArrowRight: KEY_STEP_SECONDS,
+      ArrowUp: KEY_STEP_SECONDS,
+      PageDown: -PAGE_STEP_SECONDS,
+      PageUp: PAGE_STEP_SECONDS
+    };
+
+    let time;
+    if (e.key in steps) time = currentTime + steps[e.key];
+    else if (e.key === 'Home') time = 0;
+    else if (e.key === 'End') time = duration;
+    else return;
+
+    e.preventDefault();
+    onSeek(Math.min(Math.max(time, 0), duration));
+  };
+
+  const tooltipTime = dragTime ?? hoverTime;
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative w-full h-12 cursor-pointer select-none touch-none focus:outline-none focus-visible:ring-1 focus-visible:ring-white/40 rounded"
+      role="slider"
+      tabIndex={0}
+      aria-label="Seek"
+      aria-valuemin={0}
+      aria-valuemax={Math.round(duration || 0)}
+      aria-valuenow={Math.round(shownTime || 0)}
+      aria-valuetext={`${formatTime(shownTime)} of ${formatTime(duration)}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerCancel}
+      onPointerLeave={() => setHoverTime(null)}
+      onKeyDown={handleKeyDown}
+    >
+      <canvas ref={canvasRef} className="w-full h-full block" />
+
+      {shownLoop && duration > 0 && (
+        <>
+          <div
+            className="absolute top-0 bottom-0 bg-white/10 pointer-events-none"
+            style={{
+              left: `${(shownLoop.start / duration) * 100}%`,
+              width: `${((shownLoop.end - shownLoop.start) / duration) * 100}%`
+            }}
+          />
+          {['start', 'end'].map(point => (
+            <div
+              key={point}
+              className="absolute top-0 bottom-0 w-3 -translate-x-1/2 cursor-ew-resize touch-none focus:outline-none group"
+              style={{ left: `${(shownLoop[point] / duration) * 100}%` }}
+              role="slider"
+              tabIndex={0}
+              aria-label={point === 'start' ? 'Loop start (A)' : 'Loop end (B)'}
+              aria-valuemin={0}
+              aria-valuemax={Math.round(duration)}
+              aria-valuenow={Math.round(shownLoop[point])}
+              aria-valuetext={formatTime(shownLoop[point])}
+              onPointerDown={handleMarkerPointerDown}
+              onPointerMove={handleMarkerPointerMove(point)}
+              onPointerUp={handleMarkerPointerUp}
+              onPointerCancel={() => setDragLoop(null)}
+              onKeyDown={handleMarkerKeyDown(point)}
+            >
+              <div className="absolute left-1/2 top-0 bottom-0 w-0.5 -translate-x-1/2 bg-yellow-300 group-focus-visible:bg-white" />
+              <span className="absolute left-1/2 -top-1 -translate-x-1/2 -translate-y-full text-[10px] font-semibold text-yellow-300">
+                {point === 'start' ? 'A' : 'B'}
+              </span>
+            </div>
+          ))}
+        </>
+      )}
+
+      {tooltipTime !== null && duration > 0 && (
+        <div
+          className="absolute -top-7 px-1.5 py-0.5 rounded bg-black/70 text-white text-xs font-mono pointer-events-none -translate-x-1/2 whitespace-nowrap"
+          style={{ left: `${(tooltipTime / duration) * 100}%` }}
+        >
+          {formatTime(tooltipTime)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WaveformSeekBar;
@@ -0,0 +1,59 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { createAudioEngine } from '../utils/audioEngine';
+
+// Interactions that let the browser (re)start audio
+const GESTURE_EVENTS = ['pointerdown', 'keydown', 'touchend'];
+
+const AudioEngineContext = createContext(null);
+
+/**
+ * Owns the app's single audio engine. A suspended context (e.g. after the
+ * browser paused it in the background) is resumed on the next user gesture,
+ * and the context is closed when the provider unmounts.
+ */
+export const AudioEngineProvider = ({ children }) => {
+  const [engine] = useState(createAudioEngine);
+
+  useEffect(() => {
+    const resume = () => {
+      engine.resume();
+    };
+
+    GESTURE_EVENTS.forEach(name => window.addEventListener(name, resume, { capture: true, passive: true }));
+
+    return () => {
+      GESTURE_EVENTS.forEach(name => window.removeEventListener(name, resume, { capture: true }));
+      engine.destroy();
+    };
+  }, [engine]);
+
+  return <AudioEngineContext.Provider value={engine}>{children}</AudioEngineContext.Provider>;
+};
+
+/**
+ * The shared audio engine
+ * @returns {Object} - Engine created by createAudioEngine
+ */
+export const useAudioEngine = () => {
+  const engine = useContext(AudioEngineContext);
+  if (!engine) {
+    throw new Error('useAudioEngine must be used inside an AudioEngineProvider');
+  }
+  return engine;
+};
+
+/**
+ * The engine's analyser, once the audio context exists
+ * @returns {AnalyserNode|null} - Analyser node
+ */
+export const useAudioAnalyser = () => {
+  const engine = useAudioEngine();
+  const [analyser, setAnalyser] = useState(() => engine.getAnalyser());
+
+  useEffect(() => {
+    setAnalyser(engine.getAnalyser());
+    return engine.subscribe(() => setAnalyser(engine.getAnalyser()));
+  }, [engine]);
+
+  return analyser;
+};
@@ -0,0 +1,72 @@
+import { useLocalStorage } from './useLocalStorage';
+import { createTrackId } from '../utils/libraryDb';
+import { DEFAULT_EQ_SETTINGS, EQ_PRESETS, clampEqGain } from '../utils/equalizer';
+
+/**
+ * Equalizer settings and presets, persisted in localStorage
+ * @returns {Object} - Settings, presets (built-in then custom) and actions
+ */
+export const useEqualizer = () => {
+  const [settings, setSettings] = useLocalStorage('musicPlayerEqualizer', DEFAULT_EQ_SETTINGS);
+  const [customPresets, setCustomPresets] = useLocalStorage('musicPlayerEqualizerPresets', []);
+
+  const presets = [...EQ_PRESETS, ...customPresets.map(preset => ({ ...preset, custom: true }))];
+
+  const selectPreset = (id) => {
+    const preset = presets.find(item => item.id === id);
+    if (!preset) return;
+
+    setSettings({ ...settings, presetId: preset.id, preamp: preset.preamp, gains: [...preset.gains] });
+  };
+
+  // Moving a slider turns the current preset into unsaved custom settings
+  const setBandGain = (index, gain) => {
+    const gains = [...settings.gains];
+    gains[index] = clampEqGain(gain);
+    setSettings({ ...settings, presetId: null, gains });
+  };
+
+  const setPreamp = (gain) => {
+    setSettings({ ...settings, presetId: null, preamp: clampEqGain(gain) });
+  };
+
+  const setEnabled = (enabled) => {
+    setSettings({ ...settings, enabled });
+  };
+
+  /**
+   * Saves the current settings as a custom preset
+   * @param {string} name - Preset name
+   * @returns {string} - The preset's id
+   */
+  const saveCustomPreset = (name) => {
+    const preset = {
+      id: createTrackId(),
+      name: name.trim() || `Custom ${customPresets.length + 1}`,
+      preamp: settings.preamp,
+      gains: [...settings.gains]
+    };
+
+    setCustomPresets([...customPresets, preset]);
+    setSettings({ ...settings, presetId: preset.id });
+    return preset.id;
+  };
+
+  const deleteCustomPreset = (id) => {
+    setCustomPresets(customPresets.filter(preset => preset.id !== id));
+    if (settings.presetId === id) {
+      setSettings({ ...settings, presetId: null });
+    }
+  };
+
+  return {
+    settings,
+    presets,
+    selectPreset,
+    setBandGain,
+    setPreamp,
+    setEnabled,
+    saveCustomPreset,
+    deleteCustomPreset
+  };
+};
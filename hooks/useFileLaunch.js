@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Receives audio files the OS opened with the installed app (manifest
+ * `file_handlers`). Browsers without the Launch Handler API never call back.
+ * @param {Function} onFiles - Called with the opened File objects
+ */
+export const useFileLaunch = (onFiles) => {
+  const onFilesRef = useRef(onFiles);
+  onFilesRef.current = onFiles;
+
+  useEffect(() => {
+    if (!('launchQueue' in window)) return;
+
+    window.launchQueue.setConsumer(async (launchParams) => {
+      if (!launchParams.files?.length) return;
+
+      try {
+        const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+        onFilesRef.current(files);
+      } catch (err) {
+        console.error('Failed to open launched files:', err);
+      }
+    });
+  }, []);
+};
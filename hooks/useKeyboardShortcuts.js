@@ -0,0 +1,86 @@
+import { useEffect, useRef } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import { SHORTCUT_ACTIONS, getKeyCombo, getShortcutBindings, isTypingTarget } from '../utils/shortcuts';
+
+/**
+ * Checks whether a focused control handles the key itself (Space on a button,
+ * arrows on a slider), in which case the shortcut mustn't fire as well
+ * @param {KeyboardEvent} event - The keydown event
+ * @param {string} combo - Combo for the event
+ * @returns {boolean} - True if the control owns the key
+ */
+const isControlKey = (event, combo) => {
+  const target = event.target;
+  if (!target || !target.tagName) return false;
+
+  if (combo === 'Space' || combo === 'Enter') {
+    return ['BUTTON', 'A', 'INPUT'].includes(target.tagName) || target.getAttribute('role') === 'option';
+  }
+  if (combo.startsWith('Arrow')) {
+    return target.tagName === 'INPUT' || ['slider', 'option', 'tab'].includes(target.getAttribute('role'));
+  }
+  return false;
+};
+
+/**
+ * Global keyboard shortcuts with user remappable bindings
+ * @param {Object} handlers - Action id -> callback
+ * @returns {Object} - { bindings, setBinding, resetBinding, resetBindings }
+ */
+export const useKeyboardShortcuts = (handlers) => {
+  // Only remapped actions are stored so new defaults reach existing users
+  const [overrides, setOverrides] = useLocalStorage('musicPlayerShortcuts', {});
+  const bindings = getShortcutBindings(overrides);
+
+  // The listener is added once and always reads the latest values
+  const latestRef = useRef({});
+  latestRef.current = { handlers, bindings };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const { handlers: actions, bindings: combos } = latestRef.current;
+      if (event.defaultPrevented || (event.repeat && event.key === ' ')) return;
+
+      const combo = getKeyCombo(event);
+      if (!combo) return;
+
+      const actionId = Object.keys(combos).find(id => combos[id] === combo);
+      if (!actionId || !actions[actionId]) return;
+
+      // Keys typed into fields stay with the field, unless they use a modifier
+      const hasModifier = combo.includes('+');
+      if (!hasModifier && (isTypingTarget(event) || isControlKey(event, combo))) return;
+
+      event.preventDefault();
+      actions[actionId](event);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  /**
+   * Binds an action to a combo. An action already using the combo takes over
+   * the old combo of this one, so every action stays reachable.
+   */
+  const setBinding = (actionId, combo) => {
+    const next = { ...overrides, [actionId]: combo };
+    const clash = SHORTCUT_ACTIONS.find(action => action.id !== actionId && bindings[action.id] === combo);
+    if (clash) next[clash.id] = bindings[actionId];
+
+    // Drop entries that match the default again
+    SHORTCUT_ACTIONS.forEach(action => {
+      if (next[action.id] === action.defaultKey) delete next[action.id];
+    });
+    setOverrides(next);
+  };
+
+  const resetBinding = (actionId) => {
+    const action = SHORTCUT_ACTIONS.find(item => item.id === actionId);
+    if (action) setBinding(actionId, action.defaultKey);
+  };
+
+  const resetBindings = () => setOverrides({});
+
+  return { bindings, setBinding, resetBinding, resetBindings };
+};
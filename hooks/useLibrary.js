@@ -0,0 +1,501 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  addTrackToLibrary,
+  deleteTrackFromLibrary,
+  getLibraryTracks,
+  getStorageEstimate,
+  getTrackArtwork,
+  getTrackBlob,
+  isLibrarySupported,
+  updateTrackRecord,
+  addHistoryEntry,
+  updateTrackTags
+} from '../utils/libraryDb';
+import {
+  createAudioUrl,
+  getAudioMetadata,
+  getTrackTitle,
+  readAudioTags,
+  revokeAudioUrl
+} from '../utils/audioUtils';
+import { inspectAudioFile } from '../utils/audioFormats';
+import {
+  FINISHED_IMPORT_STATUSES,
+  IMPORT_STATUS,
+  filterImportFiles,
+  getImportFileName,
+  hashContent,
+  readFileWithProgress
+} from '../utils/fileImport';
+import { MAX_ANALYSIS_SECONDS, analyzeLoudness } from '../utils/loudness';
+
+// Older versions kept the whole playlist, audio included, under this key
+const LEGACY_PLAYLIST_KEY = 'musicPlayerPlaylist';
+
+/**
+ * Reads tracks saved by the old localStorage player so they can be imported.
+ * Entries that can't be decoded are left out.
+ * @returns {Promise<Object[]|null>} - { entry, file } with files rebuilt from the
+ *   stored data URLs, or null if there is no old playlist
+ */
+const readLegacyPlaylist = async () => {
+  const saved = window.localStorage.getItem(LEGACY_PLAYLIST_KEY);
+  if (saved === null) return null;
+
+  let entries = [];
+  try {
+    entries = JSON.parse(saved);
+  } catch (err) {
+    console.error('Failed to parse the old playlist:', err);
+  }
+
+  const items = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    if (!entry?.url?.startsWith('data:')) continue;
+
+    try {
+      const blob = await (await fetch(entry.url)).blob();
+      items.push({ entry, file: new File([blob], `${entry.name}.mp3`, { type: blob.type || 'audio/mpeg' }) });
+    } catch (err) {
+      console.error(`Failed to decode "${entry.name}" from the old playlist:`, err);
+    }
+  }
+
+  return items;
+};
+
+export const useLibrary = () => {
+  const [tracks, setTracks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [storage, setStorage] = useState(null);
+  const [artworkUrls, setArtworkUrls] = useState({});
+  // { items: [{ id, name, size, status, progress, reason }], isRunning }
+  const [importJob, setImportJob] = useState(null);
+
+  // Blob URLs handed out by createTrackUrl, keyed by track id
+  const urlsRef = useRef(new Map());
+  // URLs still being created, so concurrent requests for a track share one
+  const pendingUrlsRef = useRef(new Map());
+  const artworkUrlsRef = useRef({});
+  // Tracks waiting for loudness analysis, processed one at a time
+  const analysisQueueRef = useRef([]);
+  const isAnalyzingRef = useRef(false);
+  const importControllerRef = useRef(null);
+
+  // Create cover image URLs for any tracks that have embedded artwork
+  const loadArtwork = useCallback(async (trackList) => {
+    const loaded = {};
+
+    for (const track of trackList) {
+      if (!track.hasArtwork || artworkUrlsRef.current[track.id]) continue;
+
+      const blob = await getTrackArtwork(track.id);
+      if (blob) loaded[track.id] = URL.createObjectURL(blob);
+    }
+
+    if (Object.keys(loaded).length > 0) {
+      artworkUrlsRef.current = { ...artworkUrlsRef.current, ...loaded };
+      setArtworkUrls(artworkUrlsRef.current);
+    }
+  }, []);
+
+  const releaseArtwork = useCallback((id) => {
+    const { [id]: url, ...rest } = artworkUrlsRef.current;
+    if (!url) return;
+
+    URL.revokeObjectURL(url);
+    artworkUrlsRef.current = rest;
+    setArtworkUrls(rest);
+  }, []);
+
+  // Read tags for tracks imported before the library stored them
+  const backfillTags = useCallback(async (trackList) => {
+    const updated = [];
+
+    for (const track of trackList) {
+      if (track.tagsReadAt) continue;
+
+      const blob = await getTrackBlob(track.id);
+      if (!blob) continue;
+
+      updated.push(await updateTrackTags(track, await readAudioTags(blob)));
+    }
+
+    if (updated.length > 0) {
+      const byId = new Map(updated.map(track => [track.id, track]));
+      setTracks(prev => prev.map(track => byId.get(track.id) || track));
+    }
+
+    return updated;
+  }, []);
+
+  const runLoudnessAnalysis = useCallback(async () => {
+    if (isAnalyzingRef.current) return;
+    isAnalyzingRef.current = true;
+
+    while (analysisQueueRef.current.length > 0) {
+      const track = analysisQueueRef.current.shift();
+      let loudness;
+
+      try {
+        if (track.duration > MAX_ANALYSIS_SECONDS) {
+          throw new Error('Track is too long to analyze');
+        }
+        const blob = await getTrackBlob(track.id);
+        if (!blob) continue;
+
+        loudness = { ...(await analyzeLoudness(blob)), analyzedAt: Date.now() };
+      } catch (err) {
+        // Remember the failure so the track isn't decoded again on every load
+        console.error(`Loudness analysis failed for "${track.name}":`, err);
+        loudness = { integrated: null, truePeak: null, error: err.message, analyzedAt: Date.now() };
+      }
+
+      try {
+        const updated = await updateTrackRecord(track.id, { loudness });
+        if (updated) {
+          setTracks(prev => prev.map(item => (item.id === track.id ? { ...item, loudness } : item)));
+        }
+      } catch (err) {
+        console.error('Failed to save loudness analysis:', err);
+      }
+    }
+
+    isAnalyzingRef.current = false;
+  }, []);
+
+  // Measure loudness for tracks that haven't been analysed yet
+  const queueLoudnessAnalysis = useCallback((trackList) => {
+    const queued = new Set(analysisQueueRef.current.map(track => track.id));
+    trackList.forEach(track => {
+      if (!track.loudness && !queued.has(track.id)) {
+        analysisQueueRef.current.push(track);
+      }
+    });
+    runLoudnessAnalysis();
+  }, [runLoudnessAnalysis]);
+
+  const refreshStorage = useCallback(async () => {
+    setStorage(await getStorageEstimate());
+  }, []);
+
+  const updateImportItem = useCallback((id, changes) => {
+    setImportJob(prev => prev && {
+      ...prev,
+      items: prev.items.map(item => (item.id === id ? { ...item, ...changes } : item))
+    });
+  }, []);
+
+  /**
+   * Finds a library track with the same contents. Only tracks of the same
+   * size can match; older tracks get their hash computed on the way.
+   * @param {Object[]} known - Library track records
+   * @param {number} size - File size
+   * @param {string} contentHash - SHA-256 of the file, never null
+   * @returns {Promise<Object|null>} - The existing track
+   */
+  const findDuplicate = useCallback(async (known, size, contentHash) => {
+    for (const track of known) {
+      if (track.size !== size) continue;
+
+      if (!track.contentHash) {
+        const blob = await getTrackBlob(track.id);
+        if (!blob) continue;
+        track.contentHash = await hashContent(await blob.arrayBuffer());
+        await updateTrackRecord(track.id, { contentHash: track.contentHash });
+      }
+      if (track.contentHash === contentHash) return track;
+    }
+
+    return null;
+  }, []);
+
+  /**
+   * Imports audio files one at a time, tracking each file's progress in
+   * `importJob`. Unplayable files are rejected and files already in the
+   * library are skipped.
+   * @param {File[]|FileList} files - Files to import
+   * @returns {Promise<Object|null>} - { imported, failed }, or null if another import
+   *   is running. `imported` holds the library tracks for the files, in order: added
+   *   ones and the existing tracks of duplicates. `failed` holds the files that
+   *   failed or were cancelled, which might import on another try.
+   */
+  const runImport = useCallback(async (files) => {
+    const list = filterImportFiles(files);
+    if (list.length === 0) return { imported: [], failed: [] };
+    if (importControllerRef.current) {
+      setError('Wait for the current import to finish');
+      return null;
+    }
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    importControllerRef.current = controller;
+
+    const items = list.map((file, index) => ({
+      id: `${Date.now()}-${index}`,
+      name: getImportFileName(file),
+      size: file.size,
+      status: IMPORT_STATUS.PENDING,
+      progress: 0,
+      reason: null
+    }));
+    setImportJob({ items, isRunning: true });
+
+    const added = [];
+    const imported = [];
+    // Files that won't import any differently next time
+    const settled = new Set();
+
+    try {
+      const known = await getLibraryTracks();
+
+      for (const [index, file] of list.entries()) {
+        const { id } = items[index];
+        if (signal.aborted) break;
+
+        try {
+          updateImportItem(id, { status: IMPORT_STATUS.READING });
+          const { playable, error: reason } = await inspectAudioFile(file);
+          if (!playable) {
+            updateImportItem(id, { status: IMPORT_STATUS.REJECTED, reason });
+            settled.add(file);
+            continue;
+          }
+
+          const contentHash = await hashContent(await readFileWithProgress(file, {
+            signal,
+            onProgress: (fraction) => updateImportItem(id, { progress: fraction * 0.8 })
+          }));
+          // No hash on insecure origins, where duplicates go undetected
+          const duplicate = contentHash && await findDuplicate(known, file.size, contentHash);
+          if (duplicate) {
+            imported.push(duplicate);
+            updateImportItem(id, {
+              status: IMPORT_STATUS.DUPLICATE,
+              progress: 1,
+              reason: `Already in your library as "${getTrackTitle(duplicate)}"`
+            });
+            settled.add(file);
+            continue;
+          }
+
+          updateImportItem(id, { status: IMPORT_STATUS.SAVING, progress: 0.9 });
+          const metadata = await getAudioMetadata(file);
+          revokeAudioUrl(metadata.url);
+          if (signal.aborted) break;
+
+          const track = await addTrackToLibrary(file, metadata, contentHash);
+          added.push(track);
+          imported.push(track);
+          known.push(track);
+          updateImportItem(id, { status: IMPORT_STATUS.ADDED, progress: 1 });
+          settled.add(file);
+        } catch (err) {
+          if (err?.name === 'AbortError') break;
+
+          console.error(`Failed to import "${file.name}":`, err);
+          updateImportItem(id, {
+            status: IMPORT_STATUS.FAILED,
+            reason: err?.name === 'QuotaExceededError'
+              ? 'Not enough storage space'
+              : 'The file could not be read'
+          });
+        }
+      }
+    } catch (err) {
+      console.error('Import failed:', err);
+      setError('Could not import your files');
+    } finally {
+      importControllerRef.current = null;
+      // Whatever didn't get its turn was cancelled
+      setImportJob(prev => prev && {
+        isRunning: false,
+        items: prev.items.map(item => (
+          FINISHED_IMPORT_STATUSES.includes(item.status)
+            ? item
+            : { ...item, status: IMPORT_STATUS.CANCELLED, progress: 0 }
+        ))
+      });
+    }
+
+    if (added.length > 0) {
+      setTracks(prev => [...prev, ...added]);
+      loadArtwork(added);
+      queueLoudnessAnalysis(added);
+    }
+    refreshStorage();
+
+    return { imported, failed: list.filter(file => !settled.has(file)) };
+  }, [findDuplicate, loadArtwork, queueLoudnessAnalysis, refreshStorage, updateImportItem]);
+
+  /**
+   * Imports audio files (see runImport)
+   * @param {File[]|FileList} files - Files to import
+   * @returns {Promise<Object[]>} - Library tracks for the files, in order: added ones
+   *   and the existing tracks of duplicates
+   */
+  const importFiles = useCallback(async (files) => {
+    const result = await runImport(files);
+    return result ? result.imported : [];
+  }, [runImport]);
+
+  const cancelImport = useCallback(() => {
+    importControllerRef.current?.abort();
+  }, []);
+
+  // Closes the report of a finished import
+  const dismissImport = useCallback(() => {
+    setImportJob(prev => (prev?.isRunning ? prev : null));
+  }, []);
+
+  // Load the library on mount, importing anything left by the localStorage player
+  useEffect(() => {
+    if (!isLibrarySupported()) {
+      setError('Your browser does not support offline storage');
+      setIsLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadLibrary = async () => {
+      try {
+        const stored = await getLibraryTracks();
+        if (cancelled) return;
+        setTracks(stored);
+        await loadArtwork(stored);
+        await loadArtwork(await backfillTags(stored));
+        queueLoudnessAnalysis(stored);
+
+        const legacy = await readLegacyPlaylist();
+        if (cancelled || !legacy) return;
+
+        const result = legacy.length > 0 ? await runImport(legacy.map(item => item.file)) : { failed: [] };
+        // Keep only the tracks worth another try on the next load: all of them
+        // if the importer was busy, none that imported or can never import
+        const retry = result ? legacy.filter(item => result.failed.includes(item.file)) : legacy;
+        if (retry.length > 0) {
+          window.localStorage.setItem(LEGACY_PLAYLIST_KEY, JSON.stringify(retry.map(item => item.entry)));
+        } else {
+          window.localStorage.removeItem(LEGACY_PLAYLIST_KEY);
+        }
+      } catch (err) {
+        console.error('Failed to load library:', err);
+        if (!cancelled) setError('Could not load your library');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadLibrary();
+    refreshStorage();
+
+    return () => {
+      cancelled = true;
+      analysisQueueRef.current = [];
+    };
+  }, [backfillTags, loadArtwork, queueLoudnessAnalysis, refreshStorage, runImport]);
+
+  // Release every outstanding blob URL on unmount
+  useEffect(() => {
+    const urls = urlsRef.current;
+    return () => {
+      urls.forEach(url => revokeAudioUrl(url));
+      urls.clear();
+      Object.values(artworkUrlsRef.current).forEach(url => URL.revokeObjectURL(url));
+      artworkUrlsRef.current = {};
+    };
+  }, []);
+
+  const createTrackUrl = useCallback((id) => {
+    const cached = urlsRef.current.get(id);
+    if (cached) return Promise.resolve(cached);
+
+    const pendingUrls = pendingUrlsRef.current;
+    if (!pendingUrls.has(id)) {
+      const request = (async () => {
+        const blob = await getTrackBlob(id);
+        if (!blob) return null;
+
+        const url = await createAudioUrl(blob);
+        urlsRef.current.set(id, url);
+        return url;
+      })().finally(() => pendingUrls.delete(id));
+
+      pendingUrls.set(id, request);
+    }
+    return pendingUrls.get(id);
+  }, []);
+
+  const releaseTrackUrl = useCallback((id) => {
+    revokeAudioUrl(urlsRef.current.get(id));
+    urlsRef.current.delete(id);
+  }, []);
+
+  /**
+   * Saves changes to a track record (lyrics, playback preferences, ...)
+   * @param {string} id - Track id
+   * @param {Object} changes - Fields to set
+   */
+  const updateTrack = useCallback(async (id, changes) => {
+    setTracks(prev => prev.map(track => (track.id === id ? { ...track, ...changes } : track)));
+
+    try {
+      await updateTrackRecord(id, changes);
+    } catch (err) {
+      console.error('Failed to update track:', err);
+      setError('Could not save track changes');
+    }
+  }, []);
+
+  /**
+   * Saves a listening history entry, picking up the new play count
+   * @param {Object} entry - Entry from createHistoryEntry
+   */
+  const logPlay = useCallback(async (entry) => {
+    try {
+      const updated = await addHistoryEntry(entry);
+      if (!updated) return;
+
+      const { playCount, lastPlayedAt } = updated;
+      setTracks(prev => prev.map(track => (
+        track.id === updated.id ? { ...track, playCount, lastPlayedAt } : track
+      )));
+    } catch (err) {
+      console.error('Failed to log play:', err);
+    }
+  }, []);
+
+  const removeTrack = useCallback(async (id) => {
+    try {
+      await deleteTrackFromLibrary(id);
+      releaseTrackUrl(id);
+      releaseArtwork(id);
+      setTracks(prev => prev.filter(track => track.id !== id));
+      refreshStorage();
+    } catch (err) {
+      console.error('Failed to delete track:', err);
+      setError('Could not delete track');
+    }
+  }, [refreshStorage, releaseArtwork, releaseTrackUrl]);
+
+  return {
+    tracks,
+    isLoading,
+    error,
+    storage,
+    artworkUrls,
+    importFiles,
+    importJob,
+    cancelImport,
+    dismissImport,
+    removeTrack,
+    updateTrack,
+    logPlay,
+    createTrackUrl,
+    releaseTrackUrl,
+    clearError: () => setError('')
+  };
+};
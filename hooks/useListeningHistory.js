@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { createHistoryEntry } from '../utils/listeningHistory';
+import { MAX_CROSSFADE_SECONDS } from '../utils/playbackEngine';
+
+// Larger jumps between time updates are seeks, not listening
+const MAX_TIME_STEP_SECONDS = 3;
+// Within this much of the end, a track counts as finished (crossfades end early)
+const END_TOLERANCE_SECONDS = MAX_CROSSFADE_SECONDS + 1;
+
+/**
+ * Logs each play of the current track with how long it was actually heard.
+ * A play ends when the track changes, restarts, or the page is closed.
+ * @param {Object} options - Playback state
+ * @param {Object|null} options.track - Playing track
+ * @param {number} options.currentTime - Position in the track (seconds)
+ * @param {number} options.duration - Track duration (seconds)
+ * @param {boolean} options.isPlaying - Whether audio is playing
+ * @param {Function} options.onLogPlay - Saves a history entry
+ */
+export const useListeningHistory = ({ track, currentTime, duration, isPlaying, onLogPlay }) => {
+  // { track, startedAt, listened, lastTime, duration }
+  const playRef = useRef(null);
+  const onLogPlayRef = useRef(onLogPlay);
+  onLogPlayRef.current = onLogPlay;
+
+  const finishPlay = useCallback(() => {
+    const play = playRef.current;
+    playRef.current = null;
+    if (!play || play.listened <= 0) return;
+
+    onLogPlayRef.current?.(createHistoryEntry(play.track, {
+      startedAt: play.startedAt,
+      listened: play.listened,
+      duration: play.duration,
+      reachedEnd: play.duration > 0 && play.lastTime >= play.duration - END_TOLERANCE_SECONDS
+    }));
+  }, []);
+
+  const trackId = track?.id;
+
+  useEffect(() => {
+    return finishPlay;
+  }, [trackId, finishPlay]);
+
+  useEffect(() => {
+    let play = playRef.current;
+
+    // Repeat One, or replaying a finished track, starts a new play
+    const restarted = play && play.duration > 0 &&
+      play.lastTime >= play.duration - MAX_TIME_STEP_SECONDS && currentTime < MAX_TIME_STEP_SECONDS;
+    if (restarted) {
+      finishPlay();
+      play = null;
+    }
+
+    if (!play) {
+      if (!track || !isPlaying) return;
+      play = { track, startedAt: Date.now(), listened: 0, lastTime: currentTime, duration };
+      playRef.current = play;
+      return;
+    }
+
+    const step = currentTime - play.lastTime;
+    if (isPlaying && step > 0 && step <= MAX_TIME_STEP_SECONDS) play.listened += step;
+    play.lastTime = currentTime;
+    if (duration > 0) play.duration = duration;
+  }, [track, currentTime, duration, isPlaying, finishPlay]);
+
+  // Log the play in progress when the page goes away
+  useEffect(() => {
+    window.addEventListener('pagehide', finishPlay);
+    return () => window.removeEventListener('pagehide', finishPlay);
+  }, [finishPlay]);
+};
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 
 export const useLocalStorage = (key, initialValue) => {
   // State to store our value
@@ -19,12 +19,17 @@ export const useLocalStorage = (key, initialValue) => {
     }
   });
 
+  // Latest value, including updates React hasn't rendered yet, so several
+  // updates in one tick build on each other
+  const latestValueRef = useRef(storedValue);
+
   // Return a wrapped version of useState's setter function that ...
   // ... persists the new value to localStorage.
-  const setValue = (value) => {
+  const setValue = useCallback((value) => {
     try {
       // Allow value to be a function so we have the same API as useState
-      const valueToStore = value instanceof Function ? value(storedValue) : value;
+      const valueToStore = value instanceof Function ? value(latestValueRef.current) : value;
+      latestValueRef.current = valueToStore;
       // Save state
       setStoredValue(valueToStore);
       // Save to local storage
@@ -35,11 +40,12 @@ export const useLocalStorage = (key, initialValue) => {
       // A more advanced implementation would handle the error case
       console.error(`Error setting localStorage key "${key}":`, error);
     }
-  };
+  }, [key]);
 
   // Remove from localStorage
   const removeValue = () => {
     try {
+      latestValueRef.current = initialValue;
       setStoredValue(initialValue);
       if (typeof window !== 'undefined') {
         window.localStorage.removeItem(key);
@@ -54,7 +60,9 @@ export const useLocalStorage = (key, initialValue) => {
     const handleStorageChange = (e) => {
       if (e.key === key && e.newValue !== null) {
         try {
-          setStoredValue(JSON.parse(e.newValue));
+          const value = JSON.parse(e.newValue);
+          latestValueRef.current = value;
+          setStoredValue(value);
         } catch (error) {
           console.error(`Error parsing localStorage value for key "${key}":`, error);
         }
@@ -0,0 +1,102 @@
+import { useEffect, useRef } from 'react';
+import { getTrackTitle } from '../utils/audioUtils';
+
+const MEDIA_SESSION_ACTIONS = [
+  'play',
+  'pause',
+  'stop',
+  'previoustrack',
+  'nexttrack',
+  'seekto',
+  'seekbackward',
+  'seekforward'
+];
+
+const hasMediaSession = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+/**
+ * Publishes the playing track to the OS (media keys, lock screen, headset buttons)
+ * through the Media Session API. Does nothing where the API is missing.
+ * @param {Object} options - { track, artworkUrl, isPlaying, currentTime, duration, playbackRate, handlers }
+ *   where handlers maps Media Session actions (play, pause, seekto, ...) to callbacks
+ */
+export const useMediaSession = ({
+  track,
+  artworkUrl,
+  isPlaying,
+  currentTime,
+  duration,
+  playbackRate = 1,
+  handlers
+}) => {
+  // Handlers are registered once and always call the latest callbacks
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    const { mediaSession } = navigator;
+    const registered = [];
+
+    MEDIA_SESSION_ACTIONS.forEach(action => {
+      try {
+        mediaSession.setActionHandler(action, (details) => handlersRef.current?.[action]?.(details));
+        registered.push(action);
+      } catch (error) {
+        // Older browsers throw for actions they don't know
+      }
+    });
+
+    return () => {
+      registered.forEach(action => {
+        try {
+          mediaSession.setActionHandler(action, null);
+        } catch (error) {
+          // Ignore
+        }
+      });
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    if (!track || typeof window.MediaMetadata === 'undefined') {
+      navigator.mediaSession.metadata = null;
+      return;
+    }
+
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title: getTrackTitle(track),
+      artist: track.artist || '',
+      album: track.album || '',
+      artwork: artworkUrl ? [{ src: artworkUrl }] : []
+    });
+  }, [track, artworkUrl]);
+
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    navigator.mediaSession.playbackState = !track ? 'none' : isPlaying ? 'playing' : 'paused';
+  }, [track, isPlaying]);
+
+  useEffect(() => {
+    if (!hasMediaSession() || !navigator.mediaSession.setPositionState) return;
+
+    try {
+      if (!track || !Number.isFinite(duration) || duration <= 0) {
+        navigator.mediaSession.setPositionState();
+        return;
+      }
+
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate,
+        position: Math.min(Math.max(currentTime || 0, 0), duration)
+      });
+    } catch (error) {
+      console.error('Failed to update media session position:', error);
+    }
+  }, [track, currentTime, duration, playbackRate]);
+};
@@ -0,0 +1,158 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import {
+  REPEAT_ALL,
+  REPEAT_OFF,
+  REPEAT_ONE,
+  createShuffleSeed,
+  getNextCycleOrder,
+  getNextRepeatMode,
+  reconcileShuffleOrder,
+  shuffleIds
+} from '../utils/playOrder';
+
+const MAX_HISTORY = 500;
+
+/**
+ * Shuffle, repeat and history-based previous for the playlist
+ * @param {Object[]} playlist - Tracks in playlist order
+ * @param {string} currentTrackId - Track that is playing
+ * @param {string} [positionId] - Where the playlist resumes from; differs from the
+ *   current track while something from the up-next queue is playing
+ * @returns {Object} - Play order state and actions
+ */
+export const usePlayOrder = (playlist, currentTrackId, positionId = currentTrackId) => {
+  const [repeatMode, setRepeatMode] = useLocalStorage('musicPlayerRepeatMode', REPEAT_OFF);
+  const [shuffle, setShuffle] = useLocalStorage('musicPlayerShuffle', {
+    enabled: false,
+    seed: 0,
+    order: []
+  });
+
+  // Tracks played before the current one, most recent last
+  const historyRef = useRef([]);
+  const previousIdRef = useRef(null);
+  const previousPositionRef = useRef(null);
+  const goingBackRef = useRef(false);
+
+  const ids = useMemo(() => (playlist || []).map(track => track.id), [playlist]);
+  const tracksById = useMemo(
+    () => new Map((playlist || []).map(track => [track.id, track])),
+    [playlist]
+  );
+
+  const sequence = shuffle.enabled ? shuffle.order : ids;
+  const nextCycleOrder = useMemo(
+    () => (shuffle.enabled ? getNextCycleOrder(shuffle.order, shuffle.seed) : []),
+    [shuffle]
+  );
+
+  // Keep the shuffle order in step with tracks being added or removed
+  useEffect(() => {
+    // An empty list means the library is still loading; keep the saved order
+    if (!shuffle.enabled || ids.length === 0) return;
+
+    const order = reconcileShuffleOrder(shuffle.order, ids, positionId, shuffle.seed);
+    if (order !== shuffle.order) {
+      setShuffle({ ...shuffle, order });
+    }
+  }, [ids, positionId, shuffle, setShuffle]);
+
+  // Record play history
+  useEffect(() => {
+    const previousId = previousIdRef.current;
+    previousIdRef.current = currentTrackId;
+    if (!previousId || !currentTrackId || previousId === currentTrackId) return;
+
+    if (goingBackRef.current) {
+      goingBackRef.current = false;
+    } else {
+      historyRef.current = [...historyRef.current, previousId].slice(-MAX_HISTORY);
+    }
+  }, [currentTrackId]);
+
+  // Roll over into the next shuffle pass once the last track has played.
+  // Runs for shuffle changes too, but only acts when the position moved.
+  useEffect(() => {
+    const previousId = previousPositionRef.current;
+    previousPositionRef.current = positionId;
+    if (!previousId || !positionId || previousId === positionId) return;
+
+    const { order } = shuffle;
+    if (
+      shuffle.enabled &&
+      order.length > 1 &&
+      previousId === order[order.length - 1] &&
+      positionId === nextCycleOrder[0]
+    ) {
+      setShuffle({ enabled: true, seed: (shuffle.seed + 1) >>> 0, order: nextCycleOrder });
+    }
+  }, [positionId, shuffle, nextCycleOrder, setShuffle]);
+
+  /**
+   * Works out which track follows the current one
+   * @param {boolean} auto - True when a track ended by itself (honours Repeat One)
+   * @returns {Object|null} - The next track or null if playback should stop
+   */
+  const getNextTrack = (auto = false) => {
+    if (sequence.length === 0) return null;
+    if (auto && repeatMode === REPEAT_ONE) return tracksById.get(currentTrackId) || null;
+
+    const index = sequence.indexOf(positionId);
+    if (index === -1) return tracksById.get(sequence[0]) || null;
+    if (index < sequence.length - 1) return tracksById.get(sequence[index + 1]) || null;
+
+    // End of the list: stop unless repeating (the Next button always wraps)
+    if (auto && repeatMode !== REPEAT_ALL) return null;
+    const firstId = shuffle.enabled ? nextCycleOrder[0] : sequence[0];
+    return tracksById.get(firstId) || null;
+  };
+
+  /**
+   * Steps back through the play history, falling back to the play order
+   * @returns {Object|null} - The previous track
+   */
+  const takePreviousTrack = () => {
+    const history = historyRef.current;
+    let previous = null;
+
+    while (history.length > 0 && !previous) {
+      const id = history.pop();
+      if (id !== currentTrackId) previous = tracksById.get(id) || null;
+    }
+
+    if (!previous && sequence.length > 0) {
+      const index = sequence.indexOf(positionId);
+      const previousId = index > 0 ? sequence[index - 1] : sequence[sequence.length - 1];
+      previous = tracksById.get(previousId) || null;
+    }
+
+    if (previous && previous.id !== currentTrackId) {
+      goingBackRef.current = true;
+    }
+    return previous;
+  };
+
+  const toggleShuffle = () => {
+    if (shuffle.enabled) {
+      setShuffle({ enabled: false, seed: shuffle.seed, order: [] });
+    } else {
+      const seed = createShuffleSeed();
+      setShuffle({ enabled: true, seed, order: shuffleIds(ids, seed, positionId) });
+    }
+  };
+
+  const cycleRepeatMode = () => {
+    setRepeatMode(getNextRepeatMode(repeatMode));
+  };
+
+  return {
+    repeatMode,
+    cycleRepeatMode,
+    isShuffled: shuffle.enabled,
+    toggleShuffle,
+    upcomingTrack: getNextTrack(true),
+    getNextTrack,
+    takePreviousTrack
+  };
+};
@@ -0,0 +1,259 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import { createTrackId } from '../utils/libraryDb';
+import {
+  describePlaylistEntry,
+  matchPlaylistEntries,
+  parsePlaylist
+} from '../utils/playlistFormats';
+import {
+  SMART_PLAYLIST_EXTENSION,
+  evaluateSmartPlaylist,
+  getMsUntilNextDay,
+  parseSmartPlaylist,
+  usesRelativeDates,
+  validateSmartDefinition
+} from '../utils/smartPlaylists';
+
+// Pseudo playlist id for "all tracks in the library"
+export const LIBRARY_PLAYLIST_ID = 'library';
+
+/**
+ * Moves an item within an array
+ * @param {Array} items - Source array
+ * @param {number} from - Current index
+ * @param {number} to - Target index
+ * @returns {Array} - New array (the same one if the move is out of range)
+ */
+const moveItem = (items, from, to) => {
+  if (from < 0 || to < 0 || from >= items.length || to >= items.length || from === to) {
+    return items;
+  }
+
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+/**
+ * Named playlists. Playlists store library track ids, so the same track can be
+ * in several playlists and tag updates show up everywhere. Smart playlists
+ * store rules (`smart`) instead and are re-evaluated whenever the library,
+ * including play counts, changes.
+ * @param {Object[]} tracks - Library tracks
+ * @returns {Object} - Playlists (with resolved `tracks`) and actions
+ */
+export const usePlaylists = (tracks) => {
+  const [storedPlaylists, setStoredPlaylists] = useLocalStorage('musicPlayerPlaylists', []);
+  // Advanced at midnight so "in the last N days" rules move on
+  const [now, setNow] = useState(() => Date.now());
+
+  const hasRelativeDates = storedPlaylists.some(playlist => playlist.smart && usesRelativeDates(playlist.smart));
+
+  useEffect(() => {
+    if (!hasRelativeDates) return;
+
+    const timer = setTimeout(() => setNow(Date.now()), getMsUntilNextDay(now));
+    return () => clearTimeout(timer);
+  }, [hasRelativeDates, now]);
+
+  // Resolve ids to library tracks, skipping any that were deleted
+  const playlists = useMemo(() => {
+    const tracksById = new Map(tracks.map(track => [track.id, track]));
+    return storedPlaylists.map(playlist => ({
+      ...playlist,
+      tracks: playlist.smart
+        ? evaluateSmartPlaylist(tracks, playlist.smart, now)
+        : playlist.trackIds.map(id => tracksById.get(id)).filter(Boolean)
+    }));
+  }, [storedPlaylists, tracks, now]);
+
+  const updatePlaylist = (id, update) => {
+    setStoredPlaylists(prev => prev.map(playlist => (
+      playlist.id === id ? { ...playlist, ...update(playlist), updatedAt: Date.now() } : playlist
+    )));
+  };
+
+  /**
+   * Creates a playlist
+   * @param {string} name - Playlist name
+   * @param {string[]} [trackIds] - Initial tracks
+   * @returns {string} - The new playlist's id
+   */
+  const createPlaylist = (name, trackIds = []) => {
+    const now = Date.now();
+    const playlist = {
+      id: createTrackId(),
+      name: name.trim() || 'Untitled playlist',
+      trackIds: [...new Set(trackIds)],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    setStoredPlaylists(prev => [...prev, playlist]);
+    return playlist.id;
+  };
+
+  /**
+   * Creates a smart playlist
+   * @param {string} name - Playlist name
+   * @param {Object} definition - { match, rules, sort, limit }
+   * @returns {string} - The new playlist's id
+   * @throws {Error} - If the rules are invalid
+   */
+  const createSmartPlaylist = (name, definition) => {
+    const { definition: smart, error } = validateSmartDefinition(definition);
+    if (error) throw new Error(error);
+
+    const now = Date.now();
+    const playlist = {
+      id: createTrackId(),
+      name: name.trim() || 'Smart playlist',
+      trackIds: [],
+      smart,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    setStoredPlaylists(prev => [...prev, playlist]);
+    return playlist.id;
+  };
+
+  /**
+   * Replaces a smart playlist's rules
+   * @param {string} id - Playlist id
+   * @param {Object} definition - { match, rules, sort, limit }
+   * @throws {Error} - If the rules are invalid
+   */
+  const updateSmartPlaylist = (id, definition) => {
+    const { definition: smart, error } = validateSmartDefinition(definition);
+    if (error) throw new Error(error);
+
+    updatePlaylist(id, () => ({ smart }));
+  };
+
+  const renamePlaylist = (id, name) => {
+    const trimmed = name.trim();
+    if (trimmed) updatePlaylist(id, () => ({ name: trimmed }));
+  };
+
+  /**
+   * Copies a playlist, placing the copy right after the original
+   * @param {string} id - Playlist to copy
+   * @returns {string|null} - The copy's id
+   */
+  const duplicatePlaylist = (id) => {
+    const original = storedPlaylists.find(playlist => playlist.id === id);
+    if (!original) return null;
+
+    const now = Date.now();
+    const copy = {
+      ...original,
+      id: createTrackId(),
+      name: `${original.name} (copy)`,
+      trackIds: [...original.trackIds],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    setStoredPlaylists(prev => {
+      const index = prev.findIndex(playlist => playlist.id === id);
+      return [...prev.slice(0, index + 1), copy, ...prev.slice(index + 1)];
+    });
+    return copy.id;
+  };
+
+  const deletePlaylist = (id) => {
+    setStoredPlaylists(prev => prev.filter(playlist => playlist.id !== id));
+  };
+
+  // Tracks already in the playlist are not added twice. Smart playlists pick their own tracks.
+  const addTracksToPlaylist = (id, trackIds) => {
+    updatePlaylist(id, playlist => (playlist.smart ? {} : {
+      trackIds: [...playlist.trackIds, ...trackIds.filter(trackId => !playlist.trackIds.includes(trackId))]
+    }));
+  };
+
+  const removeTrackFromPlaylist = (id, trackId) => {
+    updatePlaylist(id, playlist => ({
+      trackIds: playlist.trackIds.filter(item => item !== trackId)
+    }));
+  };
+
+  const reorderPlaylist = (id, trackIds) => {
+    updatePlaylist(id, playlist => {
+      // Keep ids of tracks that aren't loaded (so weren't shown) at the end
+      const hidden = playlist.trackIds.filter(trackId => !trackIds.includes(trackId));
+      return { trackIds: [...trackIds, ...hidden] };
+    });
+  };
+
+  const moveTrackInPlaylist = (id, trackId, offset) => {
+    updatePlaylist(id, playlist => {
+      const from = playlist.trackIds.indexOf(trackId);
+      return { trackIds: moveItem(playlist.trackIds, from, from + offset) };
+    });
+  };
+
+  /**
+   * Imports an M3U/M3U8, PLS or XSPF file as a new playlist, matching its
+   * entries against tracks already in the library. Exported smart playlist
+   * rules (JSON) become a smart playlist.
+   * @param {File} file - Playlist file
+   * @returns {Promise<Object>} - { playlistId, name, total, matched, unmatched (descriptions) },
+   *   or { playlistId, name, smart: true, matched } for smart playlists
+   */
+  const importPlaylist = async (file) => {
+    if (file.name.toLowerCase().endsWith(SMART_PLAYLIST_EXTENSION)) {
+      const { name, definition } = parseSmartPlaylist(await file.text());
+      return {
+        playlistId: createSmartPlaylist(name, definition),
+        name,
+        smart: true,
+        matched: evaluateSmartPlaylist(tracks, definition).length
+      };
+    }
+
+    const { name, entries } = parsePlaylist(await file.text(), file.name);
+    if (entries.length === 0) {
+      throw new Error(`${file.name} doesn't contain any tracks`);
+    }
+
+    const { trackIds, unmatched } = matchPlaylistEntries(entries, tracks);
+    const playlistId = createPlaylist(name, trackIds);
+
+    return {
+      playlistId,
+      name,
+      total: entries.length,
+      matched: entries.length - unmatched.length,
+      unmatched: unmatched.map(describePlaylistEntry)
+    };
+  };
+
+  // Drops a deleted library track from every playlist
+  const forgetTrack = (trackId) => {
+    setStoredPlaylists(prev => prev.map(playlist => (
+      playlist.trackIds.includes(trackId)
+        ? { ...playlist, trackIds: playlist.trackIds.filter(item => item !== trackId) }
+        : playlist
+    )));
+  };
+
+  return {
+    playlists,
+    createPlaylist,
+    createSmartPlaylist,
+    updateSmartPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    addTracksToPlaylist,
+    removeTrackFromPlaylist,
+    reorderPlaylist,
+    moveTrackInPlaylist,
+    importPlaylist,
+    forgetTrack
+  };
+};
@@ -0,0 +1,67 @@
+import { useCallback, useMemo, useState } from 'react';
+import { createTrackId } from '../utils/libraryDb';
+
+/**
+ * Up-next queue that plays before the playlist continues. Entries have their
+ * own id so the same track can be queued more than once.
+ * @param {Object[]} playlist - Library tracks, used to resolve queued ids
+ * @param {Object[]} [initialEntries] - Saved entries ({ id, trackId }) to start with
+ * @returns {Object} - Queue entries ({ id, trackId, track }) and actions
+ */
+export const useQueue = (playlist, initialEntries = []) => {
+  const [entries, setEntries] = useState(initialEntries);
+
+  // Resolve entries to tracks, dropping any whose track has been deleted
+  const queue = useMemo(() => {
+    const tracksById = new Map(playlist.map(track => [track.id, track]));
+    return entries
+      .filter(entry => tracksById.has(entry.trackId))
+      .map(entry => ({ ...entry, track: tracksById.get(entry.trackId) }));
+  }, [entries, playlist]);
+
+  const createEntry = (track) => ({ id: createTrackId(), trackId: track.id });
+
+  const playNext = useCallback((track) => {
+    setEntries(prev => [createEntry(track), ...prev]);
+  }, []);
+
+  const addToQueue = useCallback((track) => {
+    setEntries(prev => [...prev, createEntry(track)]);
+  }, []);
+
+  // Accepts the queue in its new order (e.g. from a drag and drop)
+  const reorderQueue = useCallback((reordered) => {
+    setEntries(reordered.map(({ id, trackId }) => ({ id, trackId })));
+  }, []);
+
+  const moveQueueEntry = useCallback((entryId, offset) => {
+    setEntries(prev => {
+      const from = prev.findIndex(entry => entry.id === entryId);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= prev.length) return prev;
+
+      const next = [...prev];
+      const [entry] = next.splice(from, 1);
+      next.splice(to, 0, entry);
+      return next;
+    });
+  }, []);
+
+  const removeFromQueue = useCallback((entryId) => {
+    setEntries(prev => prev.filter(entry => entry.id !== entryId));
+  }, []);
+
+  const clearQueue = useCallback(() => {
+    setEntries([]);
+  }, []);
+
+  return {
+    queue,
+    playNext,
+    addToQueue,
+    reorderQueue,
+    moveQueueEntry,
+    removeFromQueue,
+    clearQueue
+  };
+};
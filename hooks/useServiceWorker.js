@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// Deployments are noticed on reload too; this catches long-running sessions
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Registers the offline service worker and reports when a new build is
+ * waiting to take over. Only registered in production builds, since caching
+ * would get in the way of `next dev`.
+ * @returns {Object} - { isUpdateAvailable, applyUpdate, dismissUpdate }
+ */
+export const useServiceWorker = () => {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+    let registration = null;
+    let intervalId = null;
+    let cancelled = false;
+
+    // A worker installed while another controls the page is an update
+    const trackInstalling = (worker) => {
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller && !cancelled) {
+          setWaitingWorker(worker);
+        }
+      });
+    };
+
+    const handleUpdateFound = () => {
+      if (registration.installing) trackInstalling(registration.installing);
+    };
+
+    navigator.serviceWorker.register('/sw.js')
+      .then(result => {
+        if (cancelled) return;
+        registration = result;
+
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          setWaitingWorker(registration.waiting);
+        }
+        registration.addEventListener('updatefound', handleUpdateFound);
+        intervalId = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+      })
+      .catch(err => {
+        console.error('Service worker registration failed:', err);
+      });
+
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+      registration?.removeEventListener('updatefound', handleUpdateFound);
+    };
+  }, []);
+
+  /**
+   * Activates the waiting build and reloads once it controls the page
+   */
+  const applyUpdate = useCallback(() => {
+    if (!waitingWorker) return;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }, [waitingWorker]);
+
+  // The update still applies the next time every tab of the app is closed
+  const dismissUpdate = useCallback(() => setWaitingWorker(null), []);
+
+  return { isUpdateAvailable: Boolean(waitingWorker), applyUpdate, dismissUpdate };
+};
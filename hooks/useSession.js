@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+
+// Playback position changes constantly; write at most this often
+const SAVE_INTERVAL_MS = 1000;
+
+export const DEFAULT_SESSION = {
+  currentTrackId: null,
+  position: 0,
+  wasPlaying: false,
+  volume: 1,
+  isMuted: false,
+  queue: [],
+  activeListId: null,
+  playbackListId: null,
+  playlistPositionId: null
+};
+
+/**
+ * Listening session saved across reloads. Shuffle and repeat are stored by
+ * usePlayOrder itself.
+ * @returns {Object} - { session: as saved when the page loaded, updateSession, autoResume, setAutoResume }
+ */
+export const useSession = () => {
+  const [storedSession, setStoredSession] = useLocalStorage('musicPlayerSession', DEFAULT_SESSION);
+  const [autoResume, setAutoResume] = useLocalStorage('musicPlayerAutoResume', false);
+
+  // Later saves don't change what the page restores from
+  const [session] = useState(() => ({ ...DEFAULT_SESSION, ...storedSession }));
+  const latestRef = useRef(session);
+  const saveTimerRef = useRef(null);
+
+  const setStoredSessionRef = useRef(setStoredSession);
+  setStoredSessionRef.current = setStoredSession;
+
+  const flush = useCallback(() => {
+    if (!saveTimerRef.current) return;
+
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = null;
+    setStoredSessionRef.current(latestRef.current);
+  }, []);
+
+  /**
+   * Merges changes into the session and saves it within SAVE_INTERVAL_MS
+   * @param {Object} changes - Session fields to set
+   */
+  const updateSession = useCallback((changes) => {
+    latestRef.current = { ...latestRef.current, ...changes };
+    if (!saveTimerRef.current) {
+      saveTimerRef.current = setTimeout(() => {
+        saveTimerRef.current = null;
+        setStoredSessionRef.current(latestRef.current);
+      }, SAVE_INTERVAL_MS);
+    }
+  }, []);
+
+  // Save right away when the page is closed or hidden
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flush();
+    };
+
+    window.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      flush();
+    };
+  }, [flush]);
+
+  return { session, updateSession, autoResume, setAutoResume };
+};
@@ -0,0 +1,130 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import {
+  SLEEP_AFTER_TIME,
+  SLEEP_EXTEND_MINUTES,
+  SLEEP_FADE_SECONDS,
+  createTimedSleepTimer,
+  getSleepRemaining,
+  stopsAtTrackEnd
+} from '../utils/sleepTimer';
+
+const TICK_MS = 1000;
+
+/**
+ * Sleep timer that fades playback out over its last SLEEP_FADE_SECONDS and
+ * then pauses. The timer is stored, so a running one survives a reload.
+ * @param {Object} options - Playback state and callbacks
+ * @param {Object|null} options.track - Playing track
+ * @param {number} options.currentTime - Position in the track (seconds)
+ * @param {number} options.duration - Track duration (seconds)
+ * @param {Object[]} options.queue - Up Next entries ({ track })
+ * @param {boolean} options.isPlaying - Whether audio is playing
+ * @param {Function} options.onFadeOut - Starts fading out over the given seconds
+ * @param {Function} options.onCancelFadeOut - Restores the volume
+ * @param {Function} options.onSleep - Pauses playback
+ * @returns {Object} - Timer state and actions
+ */
+export const useSleepTimer = ({
+  track,
+  currentTime,
+  duration,
+  queue,
+  isPlaying,
+  onFadeOut,
+  onCancelFadeOut,
+  onSleep
+}) => {
+  const [timer, setTimer] = useLocalStorage('musicPlayerSleepTimer', null);
+  const [now, setNow] = useState(() => Date.now());
+  const fadingRef = useRef(false);
+
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onFadeOut, onCancelFadeOut, onSleep };
+
+  const timerMode = timer?.mode || null;
+  const remaining = getSleepRemaining(timer, { now, track, currentTime, duration, queue });
+  const isStoppingAtTrackEnd = stopsAtTrackEnd(timer, queue.length);
+
+  // Timed timers count down in real time, playing or not
+  useEffect(() => {
+    if (timerMode !== SLEEP_AFTER_TIME) return;
+
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(interval);
+  }, [timerMode]);
+
+  const stopFade = useCallback(() => {
+    if (!fadingRef.current) return;
+
+    fadingRef.current = false;
+    callbacksRef.current.onCancelFadeOut();
+  }, []);
+
+  const finish = useCallback(() => {
+    callbacksRef.current.onSleep();
+    stopFade();
+    setTimer(null);
+  }, [stopFade, setTimer]);
+
+  useEffect(() => {
+    if (remaining === null) return;
+
+    if (timerMode === SLEEP_AFTER_TIME && remaining <= 0) {
+      finish();
+      return;
+    }
+
+    // Only fade while playing, so pausing mid-fade can't leave the player silent
+    const shouldFade = isPlaying && remaining <= SLEEP_FADE_SECONDS;
+    if (shouldFade && !fadingRef.current) {
+      fadingRef.current = true;
+      callbacksRef.current.onFadeOut(remaining);
+    } else if (!shouldFade) {
+      stopFade();
+    }
+  }, [remaining, isPlaying, timerMode, finish, stopFade]);
+
+  return {
+    timer,
+    remaining,
+    stopsAtTrackEnd: isStoppingAtTrackEnd,
+
+    /**
+     * Goes off after a number of minutes
+     * @param {number} minutes - Minutes from now
+     */
+    start: (minutes) => setTimer(createTimedSleepTimer(minutes)),
+
+    /**
+     * Goes off at the end of the current track or of the queue
+     * @param {string} mode - SLEEP_END_OF_TRACK or SLEEP_END_OF_QUEUE
+     */
+    startAtEnd: (mode) => setTimer({ mode }),
+
+    /**
+     * Adds time; end-of-track timers become timed ones
+     * @param {number} [minutes] - Minutes to add
+     */
+    extend: (minutes = SLEEP_EXTEND_MINUTES) => {
+      if (!timer) return;
+
+      if (timerMode === SLEEP_AFTER_TIME) {
+        setTimer({ ...timer, endsAt: timer.endsAt + minutes * 60 * 1000 });
+      } else {
+        setTimer(createTimedSleepTimer((remaining || 0) / 60 + minutes));
+      }
+    },
+
+    cancel: () => {
+      stopFade();
+      setTimer(null);
+    },
+
+    // Called when a track finishes with nothing lined up after it
+    handleTrackEnded: () => {
+      if (isStoppingAtTrackEnd) finish();
+    }
+  };
+};
@@ -0,0 +1,30 @@
+import { useLocalStorage } from './useLocalStorage';
+import { DEFAULT_VISUALIZER_SETTINGS } from '../utils/visualizer';
+
+/**
+ * Visualizer settings, persisted in localStorage
+ * @returns {Object} - { settings, modeSettings (for the selected mode), updateSettings(changes),
+ *   updateModeSettings(changes) }
+ */
+export const useVisualizerSettings = () => {
+  const [stored, setStored] = useLocalStorage('musicPlayerVisualizer', DEFAULT_VISUALIZER_SETTINGS);
+
+  // Fill in settings (and modes) added after the value was saved
+  const modes = Object.keys(DEFAULT_VISUALIZER_SETTINGS.modes).reduce((merged, id) => {
+    merged[id] = { ...DEFAULT_VISUALIZER_SETTINGS.modes[id], ...stored.modes?.[id] };
+    return merged;
+  }, {});
+  const settings = { ...DEFAULT_VISUALIZER_SETTINGS, ...stored, modes };
+  const modeSettings = modes[settings.mode] || modes[DEFAULT_VISUALIZER_SETTINGS.mode];
+
+  const updateSettings = (changes) => {
+    setStored({ ...settings, ...changes });
+  };
+
+  // Changes the FFT size, smoothing or colours of the selected mode only
+  const updateModeSettings = (changes) => {
+    setStored({ ...settings, modes: { ...modes, [settings.mode]: { ...modeSettings, ...changes } } });
+  };
+
+  return { settings, modeSettings, updateSettings, updateModeSettings };
+};
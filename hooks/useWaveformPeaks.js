@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import { getTrackBlob, getTrackPeaks, saveTrackPeaks } from '../utils/libraryDb';
+import { MAX_ANALYSIS_SECONDS } from '../utils/loudness';
+import { PEAKS_VERSION, analyzePeaks } from '../utils/waveform';
+
+// Recently used peaks, so skipping back and forth doesn't hit IndexedDB
+const MEMORY_CACHE_SIZE = 20;
+const memoryCache = new Map();
+// Requests in flight, shared when the same track is asked for twice
+const pending = new Map();
+
+const remember = (id, peaks) => {
+  memoryCache.delete(id);
+  memoryCache.set(id, peaks);
+  if (memoryCache.size > MEMORY_CACHE_SIZE) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+};
+
+/**
+ * Loads cached peaks or decodes the track to compute (and cache) them
+ * @param {string} trackId - Library track id
+ * @param {number} [duration] - Track duration in seconds
+ * @returns {Promise<Object|null>} - Peaks, or null if the track can't be decoded
+ */
+const loadPeaks = async (trackId, duration) => {
+  const cached = await getTrackPeaks(trackId);
+  if (cached?.version === PEAKS_VERSION) return cached;
+
+  if (duration > MAX_ANALYSIS_SECONDS) return null;
+
+  const blob = await getTrackBlob(trackId);
+  if (!blob) return null;
+
+  const peaks = await analyzePeaks(blob);
+  await saveTrackPeaks(trackId, peaks);
+  return peaks;
+};
+
+/**
+ * Waveform peaks for a library track, computed once and cached per track
+ * @param {Object|null} track - Library track
+ * @returns {Object|null} - Peaks from computePeaks, or null while loading or unavailable
+ */
+export const useWaveformPeaks = (track) => {
+  const trackId = track?.id;
+  const duration = track?.duration;
+  const [result, setResult] = useState({ trackId: null, peaks: null });
+
+  useEffect(() => {
+    if (!trackId) return;
+
+    if (memoryCache.has(trackId)) {
+      setResult({ trackId, peaks: memoryCache.get(trackId) });
+      return;
+    }
+
+    let cancelled = false;
+
+    if (!pending.has(trackId)) {
+      pending.set(
+        trackId,
+        loadPeaks(trackId, duration)
+          .catch(error => {
+            console.error('Failed to compute waveform:', error);
+            return null;
+          })
+          .then(peaks => {
+            pending.delete(trackId);
+            if (peaks) remember(trackId, peaks);
+            return peaks;
+          })
+      );
+    }
+
+    pending.get(trackId).then(peaks => {
+      if (!cancelled) setResult({ trackId, peaks });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId, duration]);
+
+  return result.trackId === trackId ? result.peaks : null;
+};
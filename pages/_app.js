@@ -1,10 +1,13 @@
 import '../styles/globals.css';
 import { AnimatePresence } from 'framer-motion';
+import { AudioEngineProvider } from '../hooks/useAudioEngine';
 
 export default function App({ Component, pageProps }) {
   return (
-    <AnimatePresence mode="wait" initial={false}>
-      <Component {...pageProps} />
-    </AnimatePresence>
+    <AudioEngineProvider>
+      <AnimatePresence mode="wait" initial={false}>
+        <Component {...pageProps} />
+      </AnimatePresence>
+    </AudioEngineProvider>
   );
 }
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Lists the current build's files for the service worker, which loads this
+// with importScripts. Browsers compare imported scripts byte for byte, so a
+// new build is what makes the service worker update.
+import fs from 'fs';
+import path from 'path';
+
+const BUILD_DIR = path.join(process.cwd(), '.next');
+
+// Pages and public files the app needs offline
+const SHELL_URLS = [
+  '/',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/maskable-512.png',
+  '/icons/apple-touch-icon.png'
+];
+
+/**
+ * Lists files below a directory
+ * @param {string} dir - Directory to walk
+ * @returns {string[]} - Paths relative to `dir`, with forward slashes
+ */
+const listFiles = (dir) => {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.isDirectory()) {
+      return listFiles(path.join(dir, entry.name)).map(file => `${entry.name}/${file}`);
+    }
+    return [entry.name];
+  });
+};
+
+// The build doesn't change while the server runs
+let cachedScript = null;
+
+const createManifestScript = () => {
+  const buildIdFile = path.join(BUILD_DIR, 'BUILD_ID');
+  // `next dev` has no build id; the worker is only registered in production
+  const buildId = fs.existsSync(buildIdFile) ? fs.readFileSync(buildIdFile, 'utf8').trim() : 'development';
+  const urls = [
+    ...SHELL_URLS,
+    ...listFiles(path.join(BUILD_DIR, 'static')).map(file => `/_next/static/${file}`)
+  ];
+
+  return `self.PRECACHE_MANIFEST = ${JSON.stringify({ buildId, urls })};\n`;
+};
+
+export default function handler(req, res) {
+  if (!cachedScript || process.env.NODE_ENV !== 'production') {
+    cachedScript = createManifestScript();
+  }
+
+  res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.status(200).send(cachedScript);
+}
@@ -1,148 +1,195 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useMemo, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Upload, Play, Pause, Volume2, Music } from 'lucide-react';
-import { Button } from '../components/ui/button';
+import { HardDrive, Keyboard, Settings2, History, BarChart3 } from 'lucide-react';
 import { Card } from '../components/ui/card';
+import MusicPlayer from '../components/MusicPlayer';
+import PlaylistPanel from '../components/PlaylistPanel';
+import FileUpload from '../components/FileUpload';
+import ImportProgress from '../components/ImportProgress';
+import UpNext from '../components/UpNext';
+import AudioVisualizer from '../components/AudioVisualizer';
+import VisualizerSettings from '../components/VisualizerSettings';
+import ShortcutsOverlay from '../components/ShortcutsOverlay';
+import StatsDashboard from '../components/StatsDashboard';
+import CommandPalette from '../components/CommandPalette';
+import UpdatePrompt from '../components/UpdatePrompt';
+import { useLibrary } from '../hooks/useLibrary';
+import { useQueue } from '../hooks/useQueue';
+import { useSession } from '../hooks/useSession';
+import { useKeyboardShortcuts } from '../hooks/useKeyboardShortcuts';
+import { useVisualizerSettings } from '../hooks/useVisualizerSettings';
+import { useServiceWorker } from '../hooks/useServiceWorker';
+import { useFileLaunch } from '../hooks/useFileLaunch';
+import { LIBRARY_PLAYLIST_ID, usePlaylists } from '../hooks/usePlaylists';
+import { formatBytes } from '../utils/audioUtils';
+import { getAlbumLoudness } from '../utils/loudness';
+import { AUDIO_ACCEPT } from '../utils/audioFormats';
+import {
+  SEEK_SHORTCUT_SECONDS,
+  SHORTCUT_ACTIONS,
+  VOLUME_SHORTCUT_STEP,
+  formatKeyCombo
+} from '../utils/shortcuts';
 
 export default function Home() {
-  const [currentTrack, setCurrentTrack] = useState(null);
+  const { session, updateSession, autoResume, setAutoResume } = useSession();
+  const { isUpdateAvailable, applyUpdate, dismissUpdate } = useServiceWorker();
+
+  const [currentTrackId, setCurrentTrackId] = useState(session.currentTrackId);
+  // The list shown in the panel and the list that playback follows
+  const [activeListId, setActiveListId] = useState(session.activeListId || LIBRARY_PLAYLIST_ID);
+  const [playbackListId, setPlaybackListId] = useState(session.playbackListId || LIBRARY_PLAYLIST_ID);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [duration, setDuration] = useState(0);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const [playlist, setPlaylist] = useState([]);
-  const [audioData, setAudioData] = useState(new Uint8Array(128));
+  const [showVisualizerSettings, setShowVisualizerSettings] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showCommandPalette, setShowCommandPalette] = useState(false);
+  // Settings read from localStorage only show once mounted, so the first
+  // render matches the server's
+  const [hasMounted, setHasMounted] = useState(false);
   
-  const audioRef = useRef(null);
   const fileInputRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const analyserRef = useRef(null);
-  const dataArrayRef = useRef(null);
-  const animationRef = useRef(null);
+  const playerRef = useRef(null);
+
+  const {
+    settings: visualizerSettings,
+    modeSettings: visualizerModeSettings,
+    updateSettings: updateVisualizerSettings,
+    updateModeSettings: updateVisualizerModeSettings
+  } = useVisualizerSettings();
+
+  const {
+    tracks: libraryTracks,
+    isLoading: isLibraryLoading,
+    storage,
+    artworkUrls,
+    error: libraryError,
+    importFiles,
+    importJob,
+    cancelImport,
+    dismissImport,
+    removeTrack,
+    updateTrack,
+    logPlay,
+    createTrackUrl,
+    releaseTrackUrl
+  } = useLibrary();
+
+  const {
+    queue,
+    playNext,
+    addToQueue,
+    reorderQueue,
+    moveQueueEntry,
+    removeFromQueue,
+    clearQueue
+  } = useQueue(libraryTracks, session.queue);
+
+  const {
+    playlists,
+    createPlaylist,
+    createSmartPlaylist,
+    updateSmartPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    addTracksToPlaylist,
+    removeTrackFromPlaylist,
+    reorderPlaylist,
+    moveTrackInPlaylist,
+    importPlaylist,
+    forgetTrack
+  } = usePlaylists(libraryTracks);
+
+  // Playback follows the list the track was started from (the library if it's gone)
+  const playbackTracks = playlists.find(list => list.id === playbackListId)?.tracks || libraryTracks;
+
+  const isAutoResumeShown = hasMounted && autoResume;
+
+  const albumLoudness = useMemo(() => getAlbumLoudness(libraryTracks), [libraryTracks]);
+
+  // Look the track up by id so tag updates from the library are picked up
+  const currentTrack = libraryTracks.find(track => track.id === currentTrackId) || null;
 
-  // Load playlist from localStorage on mount
   useEffect(() => {
-    const savedPlaylist = localStorage.getItem('musicPlayerPlaylist');
-    if (savedPlaylist) {
-      setPlaylist(JSON.parse(savedPlaylist));
-    }
+    setHasMounted(true);
   }, []);
 
-  // Save playlist to localStorage whenever it changes
+  // Save the session for the next visit (the player adds position and volume)
   useEffect(() => {
-    localStorage.setItem('musicPlayerPlaylist', JSON.stringify(playlist));
-  }, [playlist]);
+    updateSession({ currentTrackId, activeListId, playbackListId });
+  }, [currentTrackId, activeListId, playbackListId, updateSession]);
 
-  // Initialize audio context and analyser
-  const initializeAudioContext = () => {
-    if (!audioContextRef.current && audioRef.current) {
-      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-      analyserRef.current = audioContextRef.current.createAnalyser();
-      const source = audioContextRef.current.createMediaElementSource(audioRef.current);
-      source.connect(analyserRef.current);
-      analyserRef.current.connect(audioContextRef.current.destination);
-      analyserRef.current.fftSize = 256;
-      dataArrayRef.current = new Uint8Array(analyserRef.current.frequencyBinCount);
-    }
-  };
+  // Queued tracks are only known once the library has loaded
+  useEffect(() => {
+    if (isLibraryLoading) return;
+    updateSession({ queue: queue.map(({ id, trackId }) => ({ id, trackId })) });
+  }, [isLibraryLoading, queue, updateSession]);
 
-  // Audio visualization loop
-  const updateVisualization = () => {
-    if (analyserRef.current && dataArrayRef.current) {
-      analyserRef.current.getByteFrequencyData(dataArrayRef.current);
-      setAudioData(new Uint8Array(dataArrayRef.current));
+  // Import files and folders, loading the first one if nothing is loaded yet
+  const handleImport = async (files) => {
+    const imported = await importFiles(files);
+    if (!currentTrack && imported.length > 0) {
+      setCurrentTrackId(imported[0].id);
     }
-    animationRef.current = requestAnimationFrame(updateVisualization);
   };
 
-  // Handle file upload
   const handleFileUpload = (event) => {
     const files = Array.from(event.target.files);
-    const mp3Files = files.filter(file => file.type === 'audio/mpeg');
-    
-    mp3Files.forEach(file => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const newTrack = {
-          id: Date.now() + Math.random(),
-          name: file.name.replace('.mp3', ''),
-          url: e.target.result,
-          file: file
-        };
-        setPlaylist(prev => [...prev, newTrack]);
-        if (!currentTrack) {
-          setCurrentTrack(newTrack);
-        }
-      };
-      reader.readAsDataURL(file);
-    });
+    event.target.value = '';
+    handleImport(files);
   };
 
-  // Play/Pause functionality
-  const togglePlayPause = async () => {
-    if (!currentTrack || !audioRef.current) return;
-
-    try {
-      if (isPlaying) {
-        audioRef.current.pause();
-        if (animationRef.current) {
-          cancelAnimationFrame(animationRef.current);
-        }
-      } else {
-        if (audioContextRef.current?.state === 'suspended') {
-          await audioContextRef.current.resume();
-        }
-        initializeAudioContext();
-        await audioRef.current.play();
-        updateVisualization();
-      }
-      setIsPlaying(!isPlaying);
-    } catch (error) {
-      console.error('Error playing audio:', error);
-    }
+  const handlePlayTrack = (track, listId) => {
+    setPlaybackListId(listId);
+    setCurrentTrackId(track.id);
   };
 
-  // Audio event handlers
-  const handleLoadedMetadata = () => {
-    if (audioRef.current) {
-      setDuration(audioRef.current.duration);
-    }
-  };
+  // Files opened with the installed app from the OS
+  useFileLaunch(async (files) => {
+    const [track] = await importFiles(files);
+    if (track) handlePlayTrack(track, LIBRARY_PLAYLIST_ID);
+  });
 
-  const handleTimeUpdate = () => {
-    if (audioRef.current) {
-      setCurrentTime(audioRef.current.currentTime);
+  // Player actions shared by the keyboard shortcuts and the command palette
+  const shortcutHandlers = {
+    togglePlay: () => playerRef.current?.togglePlay(),
+    seekBackward: () => playerRef.current?.seekBy(-SEEK_SHORTCUT_SECONDS),
+    seekForward: () => playerRef.current?.seekBy(SEEK_SHORTCUT_SECONDS),
+    volumeUp: () => playerRef.current?.changeVolumeBy(VOLUME_SHORTCUT_STEP),
+    volumeDown: () => playerRef.current?.changeVolumeBy(-VOLUME_SHORTCUT_STEP),
+    next: () => playerRef.current?.next(),
+    previous: () => playerRef.current?.previous(),
+    toggleMute: () => playerRef.current?.toggleMute(),
+    toggleShuffle: () => playerRef.current?.toggleShuffle(),
+    cycleRepeat: () => playerRef.current?.cycleRepeat(),
+    showShortcuts: () => {
+      setShowCommandPalette(false);
+      setShowShortcuts(!showShortcuts);
+    },
+    openCommandPalette: () => {
+      setShowShortcuts(false);
+      setShowCommandPalette(!showCommandPalette);
     }
   };
 
-  const handleEnded = () => {
-    setIsPlaying(false);
-    setCurrentTime(0);
-    if (animationRef.current) {
-      cancelAnimationFrame(animationRef.current);
-    }
-  };
+  const { bindings, setBinding, resetBinding, resetBindings } = useKeyboardShortcuts(shortcutHandlers);
 
-  const handleVolumeChange = (e) => {
-    const newVolume = parseFloat(e.target.value);
-    setVolume(newVolume);
-    if (audioRef.current) {
-      audioRef.current.volume = newVolume;
-    }
-  };
+  const paletteActions = [
+    ...SHORTCUT_ACTIONS
+      .filter(action => action.id !== 'openCommandPalette')
+      .map(action => ({ ...action, shortcut: bindings[action.id], run: shortcutHandlers[action.id] })),
+    { id: 'upload', label: 'Upload audio files', run: () => fileInputRef.current?.click() },
+    ...(queue.length > 0 ? [{ id: 'clearQueue', label: 'Clear up next', run: clearQueue }] : [])
+  ];
 
-  const handleSeek = (e) => {
-    const seekTime = (e.target.value / 100) * duration;
-    if (audioRef.current) {
-      audioRef.current.currentTime = seekTime;
-      setCurrentTime(seekTime);
+  // Delete a track from the library; the player stops when its track disappears
+  const handleDeleteTrack = (track) => {
+    if (currentTrack?.id === track.id) {
+      setCurrentTrackId(null);
     }
-  };
-
-  const formatTime = (time) => {
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    forgetTrack(track.id);
+    removeTrack(track.id);
   };
 
   return (
@@ -151,12 +198,45 @@ export default function Home() {
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ duration: 0.5 }}
-        className="w-full max-w-md"
+        className="w-full max-w-md space-y-4"
       >
         <Card className="backdrop-blur-xl bg-white/10 border-white/20 shadow-2xl p-6">
           {/* Header */}
           <div className="text-center mb-6">
-            <h1 className="text-2xl font-bold text-white mb-2">Music Player</h1>
+            <div className="relative">
+              <button
+                onClick={() => setAutoResume(!autoResume)}
+                className={`absolute left-0 top-1 p-1 rounded-full hover:bg-white/20 transition-colors ${
+                  isAutoResumeShown ? 'text-pink-400' : 'text-white/50 hover:text-white'
+                }`}
+                aria-label="Resume playback after reload"
+                aria-pressed={isAutoResumeShown}
+                title={`Resume playback after reload: ${isAutoResumeShown ? 'on' : 'off'}`}
+              >
+                <History className="w-4 h-4" />
+              </button>
+              <h1 className="text-2xl font-bold text-white mb-2">Music Player</h1>
+              <div className="absolute right-0 top-1 flex gap-1">
+                <button
+                  onClick={() => setShowStats(true)}
+                  className="p-1 rounded-full text-white/50 hover:bg-white/20 hover:text-white transition-colors"
+                  aria-label="Listening statistics"
+                  title="Listening statistics"
+                >
+                  <BarChart3 className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setShowShortcuts(true)}
+                  className="p-1 rounded-full text-white/50 hover:bg-white/20 hover:text-white transition-colors"
+                  aria-label="Keyboard shortcuts"
+                  title={hasMounted
+                    ? `Keyboard shortcuts (${formatKeyCombo(bindings.showShortcuts)})`
+                    : 'Keyboard shortcuts'}
+                >
+                  <Keyboard className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
             <div className="w-16 h-1 bg-gradient-to-r from-purple-400 to-blue-400 mx-auto rounded-full"></div>
           </div>
 
@@ -165,158 +245,158 @@ export default function Home() {
             <input
               ref={fileInputRef}
               type="file"
-              accept=".mp3,audio/mpeg"
+              accept={AUDIO_ACCEPT}
               multiple
               onChange={handleFileUpload}
               className="hidden"
             />
-            <Button
-              onClick={() => fileInputRef.current?.click()}
-              className="w-full bg-white/10 hover:bg-white/20 border border-white/30 text-white backdrop-blur-sm"
-              variant="outline"
-            >
-              <Upload className="w-4 h-4 mr-2" />
-              Upload MP3 Files
-            </Button>
+            <FileUpload onFilesSelect={handleImport} disabled={importJob?.isRunning} />
+            <AnimatePresence>
+              {importJob && (
+                <ImportProgress job={importJob} onCancel={cancelImport} onDismiss={dismissImport} />
+              )}
+            </AnimatePresence>
+            {libraryError && (
+              <p className="mt-2 text-red-400 text-xs text-center">{libraryError}</p>
+            )}
+            {storage && (
+              <div className="mt-2 flex items-center justify-center gap-1 text-white/50 text-xs">
+                <HardDrive className="w-3 h-3" />
+                <span>
+                  {formatBytes(storage.usage)} of {formatBytes(storage.quota)} used
+                </span>
+              </div>
+            )}
           </div>
 
           {/* Audio Visualizer */}
-          <div className="mb-6 h-24 bg-black/20 rounded-lg p-4 backdrop-blur-sm border border-white/10">
-            <div className="flex items-end justify-center h-full gap-1">
-              {Array.from({ length: 32 }).map((_, index) => {
-                const height = audioData[index] ? (audioData[index] / 255) * 100 : 0;
-                return (
-                  <motion.div
-                    key={index}
-                    className="bg-gradient-to-t from-purple-400 to-blue-400 rounded-sm flex-1 max-w-1"
-                    style={{ height: `${Math.max(height, 2)}%` }}
-                    animate={{ height: `${Math.max(height, 2)}%` }}
-                    transition={{ duration: 0.1 }}
-                  />
-                );
-              })}
-            </div>
-          </div>
-
-          {/* Current Track Display */}
-          <div className="text-center mb-6">
-            <div className="flex items-center justify-center mb-2">
-              <Music className="w-5 h-5 text-white/70 mr-2" />
-              <span className="text-white font-medium">
-                {currentTrack ? currentTrack.name : 'No track selected'}
-              </span>
-            </div>
-            <div className="text-white/70 text-sm">
-              {formatTime(currentTime)} / {formatTime(duration)}
-            </div>
-          </div>
-
-          {/* Progress Bar */}
-          <div className="mb-6">
-            <input
-              type="range"
-              min="0"
-              max="100"
-              value={duration ? (currentTime / duration) * 100 : 0}
-              onChange={handleSeek}
-              className="w-full h-2 bg-white/20 rounded-lg appearance-none cursor-pointer slider"
+          <div className="relative h-24 bg-black/20 rounded-lg p-4 backdrop-blur-sm border border-white/10">
+            <AudioVisualizer
+              isPlaying={isPlaying}
+              mode={visualizerSettings.mode}
+              fftSize={visualizerModeSettings.fftSize}
+              smoothing={visualizerModeSettings.smoothing}
+              colorScheme={visualizerModeSettings.colorScheme}
+              maxFps={visualizerSettings.maxFps}
+              showStats={hasMounted && visualizerSettings.showStats}
+              className="h-full"
             />
-          </div>
-
-          {/* Controls */}
-          <div className="flex items-center justify-center gap-4 mb-6">
-            <Button
-              onClick={togglePlayPause}
-              disabled={!currentTrack}
-              className="w-16 h-16 rounded-full bg-white/10 hover:bg-white/20 border border-white/30 backdrop-blur-sm"
-              variant="outline"
+            <button
+              onClick={() => setShowVisualizerSettings(!showVisualizerSettings)}
+              className={`absolute bottom-1 right-1 p-1 rounded-full hover:bg-white/20 transition-colors ${
+                showVisualizerSettings ? 'text-pink-400' : 'text-white/40'
+              }`}
+              aria-label={showVisualizerSettings ? 'Hide visualizer settings' : 'Show visualizer settings'}
+              aria-expanded={showVisualizerSettings}
             >
-              {isPlaying ? (
-                <Pause className="w-6 h-6 text-white" />
-              ) : (
-                <Play className="w-6 h-6 text-white ml-1" />
-              )}
-            </Button>
+              <Settings2 className="w-3 h-3" />
+            </button>
           </div>
+          {showVisualizerSettings && (
+            <div className="mt-2">
+              <VisualizerSettings
+                settings={visualizerSettings}
+                modeSettings={visualizerModeSettings}
+                onChange={updateVisualizerSettings}
+                onModeChange={updateVisualizerModeSettings}
+              />
+            </div>
+          )}
+        </Card>
 
-          {/* Volume Control */}
-          <div className="flex items-center gap-3">
-            <Volume2 className="w-4 h-4 text-white/70" />
-            <input
-              type="range"
-              min="0"
-              max="1"
-              step="0.1"
-              value={volume}
-              onChange={handleVolumeChange}
-              className="flex-1 h-2 bg-white/20 rounded-lg appearance-none cursor-pointer slider"
+        <MusicPlayer
+          ref={playerRef}
+          currentTrack={currentTrack}
+          playlist={playbackTracks}
+          queue={queue}
+          onTrackChange={(track) => setCurrentTrackId(track.id)}
+          onDequeue={removeFromQueue}
+          artworkUrl={currentTrack ? artworkUrls[currentTrack.id] : null}
+          albumLoudness={albumLoudness}
+          getTrackUrl={createTrackUrl}
+          releaseTrackUrl={releaseTrackUrl}
+          onPlayingChange={setIsPlaying}
+          onUpdateTrack={updateTrack}
+          onLogPlay={logPlay}
+          session={{ ...session, resume: autoResume && session.wasPlaying }}
+          onSessionChange={updateSession}
+        />
+
+        {/* Up Next */}
+        <AnimatePresence>
+          {queue.length > 0 && (
+            <UpNext
+              queue={queue}
+              artworkUrls={artworkUrls}
+              onReorder={reorderQueue}
+              onMove={moveQueueEntry}
+              onRemove={removeFromQueue}
+              onClear={clearQueue}
             />
-          </div>
+          )}
+        </AnimatePresence>
 
-          {/* Playlist */}
-          <AnimatePresence>
-            {playlist.length > 0 && (
-              <motion.div
-                initial={{ opacity: 0, height: 0 }}
-                animate={{ opacity: 1, height: 'auto' }}
-                exit={{ opacity: 0, height: 0 }}
-                className="mt-6 max-h-32 overflow-y-auto"
-              >
-                <h3 className="text-white/70 text-sm font-medium mb-2">Playlist</h3>
-                <div className="space-y-1">
-                  {playlist.map((track) => (
-                    <motion.div
-                      key={track.id}
-                      onClick={() => setCurrentTrack(track)}
-                      className={`p-2 rounded cursor-pointer transition-colors ${
-                        currentTrack?.id === track.id
-                          ? 'bg-white/20 text-white'
-                          : 'bg-white/5 text-white/70 hover:bg-white/10'
-                      }`}
-                      whileHover={{ scale: 1.02 }}
-                      whileTap={{ scale: 0.98 }}
-                    >
-                      <div className="text-sm truncate">{track.name}</div>
-                    </motion.div>
-                  ))}
-                </div>
-              </motion.div>
-            )}
-          </AnimatePresence>
+        {/* Library and playlists */}
+        <AnimatePresence>
+          {libraryTracks.length > 0 && (
+            <PlaylistPanel
+              libraryTracks={libraryTracks}
+              playlists={playlists}
+              activeListId={activeListId}
+              onSelectList={setActiveListId}
+              currentTrackId={currentTrackId}
+              artworkUrls={artworkUrls}
+              onPlayTrack={handlePlayTrack}
+              onPlayNext={playNext}
+              onAddToQueue={addToQueue}
+              onDeleteTrack={handleDeleteTrack}
+              onCreatePlaylist={createPlaylist}
+              onCreateSmartPlaylist={createSmartPlaylist}
+              onUpdateSmartPlaylist={updateSmartPlaylist}
+              onRenamePlaylist={renamePlaylist}
+              onDuplicatePlaylist={duplicatePlaylist}
+              onDeletePlaylist={deletePlaylist}
+              onAddToPlaylist={(playlistId, track) => addTracksToPlaylist(playlistId, [track.id])}
+              onRemoveFromPlaylist={removeTrackFromPlaylist}
+              onReorderPlaylist={reorderPlaylist}
+              onMoveInPlaylist={moveTrackInPlaylist}
+              onImportPlaylist={importPlaylist}
+            />
+          )}
+        </AnimatePresence>
+      </motion.div>
 
-          {/* Hidden Audio Element */}
-          <audio
-            ref={audioRef}
-            src={currentTrack?.url}
-            onLoadedMetadata={handleLoadedMetadata}
-            onTimeUpdate={handleTimeUpdate}
-            onEnded={handleEnded}
-            preload="metadata"
+      <AnimatePresence>
+        {showShortcuts && (
+          <ShortcutsOverlay
+            bindings={bindings}
+            onSetBinding={setBinding}
+            onResetBinding={resetBinding}
+            onResetAll={resetBindings}
+            onClose={() => setShowShortcuts(false)}
           />
-        </Card>
-      </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showStats && (
+          <StatsDashboard tracks={libraryTracks} onClose={() => setShowStats(false)} />
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {isUpdateAvailable && <UpdatePrompt onReload={applyUpdate} onDismiss={dismissUpdate} />}
+      </AnimatePresence>
 
-      <style jsx>{`
-        .slider::-webkit-slider-thumb {
-          appearance: none;
-          height: 16px;
-          width: 16px;
-          border-radius: 50%;
-          background: linear-gradient(45deg, #a855f7, #3b82f6);
-          cursor: pointer;
-          box-shadow: 0 0 10px rgba(168, 85, 247, 0.5);
-        }
-        
-        .slider::-moz-range-thumb {
-          height: 16px;
-          width: 16px;
-          border-radius: 50%;
-          background: linear-gradient(45deg, #a855f7, #3b82f6);
-          cursor: pointer;
-          border: none;
-          box-shadow: 0 0 10px rgba(168, 85, 247, 0.5);
-        }
-      `}</style>
+      <CommandPalette
+        open={showCommandPalette}
+        onOpenChange={setShowCommandPalette}
+        actions={paletteActions}
+        tracks={libraryTracks}
+        playlists={playlists}
+        onPlayTrack={(track) => handlePlayTrack(track, LIBRARY_PLAYLIST_ID)}
+        onOpenPlaylist={(playlist) => setActiveListId(playlist.id)}
+      />
     </div>
   );
 }
\ No newline at end of file
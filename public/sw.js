@@ -0,0 +1,73 @@
+/* eslint-env serviceworker */
+// Service worker: precaches the app shell and the Next.js build so the player
+// works offline. A new build installs alongside the old one and waits until
+// the page asks it to take over (the update prompt).
+
+// Defines self.PRECACHE_MANIFEST = { buildId, urls }
+importScripts('/api/precache-manifest');
+
+const CACHE_PREFIX = 'music-player-';
+const { buildId, urls } = self.PRECACHE_MANIFEST;
+const CACHE_NAME = `${CACHE_PREFIX}${buildId}`;
+const SHELL_URL = '/';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(urls))
+  );
+});
+
+// Drop the caches of older builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/**
+ * Serves from this build's cache, falling back to the network. Build files
+ * are content-hashed, so anything fetched later is cached too.
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>} - Response
+ */
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok && new URL(request.url).pathname.startsWith('/_next/static/')) {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/')) return;
+
+  // Every page is the app shell; file handler launches arrive as navigations too
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.open(CACHE_NAME)
+        .then(cache => cache.match(SHELL_URL))
+        .then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(cacheFirst(request));
+});
@@ -0,0 +1,216 @@
+// Shared Web Audio engine: one AudioContext for the whole app
+
+import { createAudioContext } from './audioUtils';
+
+/**
+ * Creates the app's audio engine. The AudioContext is only created when first
+ * needed (browsers refuse to start audio outside a user gesture), and the graph is
+ *
+ *   sources -> input -> effects (in insertion order) -> analyser -> speakers
+ *
+ * Media elements can be connected once per lifetime, so their source nodes
+ * are cached here and shared by everything that plays through the element.
+ *
+ * @returns {Object} - Engine API
+ */
+export const createAudioEngine = () => {
+  let context = null;
+  let input = null;
+  let analyser = null;
+  // Registered effects: { id, factory, node } where node is { input, output }
+  let effects = [];
+  let sources = new Map();
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener(context));
+
+  // Wire input -> effects -> analyser, skipping effects not built yet
+  const connectChain = () => {
+    if (!context) return;
+
+    input.disconnect();
+    effects.forEach(effect => effect.node?.output.disconnect());
+
+    const last = effects.reduce((previous, effect) => {
+      if (!effect.node) return previous;
+      previous.connect(effect.node.input);
+      return effect.node.output;
+    }, input);
+    last.connect(analyser);
+  };
+
+  const buildEffect = (effect) => {
+    try {
+      effect.node = effect.factory(context);
+    } catch (error) {
+      console.error(`Failed to create audio effect "${effect.id}":`, error);
+      effect.node = null;
+    }
+  };
+
+  const disconnectEffect = (effect) => {
+    if (!effect.node) return;
+    effect.node.input.disconnect();
+    effect.node.output.disconnect();
+    effect.node = null;
+  };
+
+  return {
+    /**
+     * Returns the AudioContext, creating the graph on first use.
+     * Call from a user gesture (click, key press) the first time.
+     * @returns {AudioContext|null} - Context, or null without Web Audio support
+     */
+    ensureContext() {
+      if (context) return context;
+
+      context = createAudioContext();
+      if (!context) return null;
+
+      input = context.createGain();
+
+      analyser = context.createAnalyser();
+      analyser.fftSize = 256;
+      analyser.smoothingTimeConstant = 0.8;
+      analyser.connect(context.destination);
+
+      effects.forEach(buildEffect);
+      connectChain();
+
+      context.addEventListener('statechange', notify);
+      notify();
+      return context;
+    },
+
+    /**
+     * Resumes a suspended (or interrupted) context; does nothing before it exists
+     * @returns {Promise<void>}
+     */
+    async resume() {
+      if (!context || context.state === 'running' || context.state === 'closed') return;
+
+      try {
+        await context.resume();
+      } catch (error) {
+        console.error('Failed to resume audio context:', error);
+      }
+    },
+
+    getContext() {
+      return context;
+    },
+
+    /**
+     * Node that sources connect to
+     * @returns {AudioNode|null} - Engine input, or null before the context exists
+     */
+    getInput() {
+      return input;
+    },
+
+    getAnalyser() {
+      return analyser;
+    },
+
+    /**
+     * Routes a media element through the engine (once per element)
+     * @param {HTMLMediaElement} element - Audio or video element
+     * @returns {MediaElementAudioSourceNode|null} - Its source node
+     */
+    connectMediaElement(element) {
+      if (!element || !this.ensureContext()) return null;
+
+      let source = sources.get(element);
+      if (!source) {
+        source = context.createMediaElementSource(element);
+        sources.set(element, source);
+      }
+      return source;
+    },
+
+    /**
+     * Forgets a media element whose owner is done with it
+     * @param {HTMLMediaElement} element - Element passed to connectMediaElement
+     */
+    releaseMediaElement(element) {
+      sources.get(element)?.disconnect();
+      sources.delete(element);
+    },
+
+    /**
+     * Inserts an effect before the analyser. The factory runs when the context
+     * exists, and again if the engine is rebuilt.
+     * @param {string} id - Effect id
+     * @param {Function} factory - (context) => { input, output, ... }
+     * @returns {Function} - Removes the effect
+     */
+    addEffect(id, factory) {
+      this.removeEffect(id);
+
+      const effect = { id, factory, node: null };
+      effects.push(effect);
+      if (context) {
+        buildEffect(effect);
+        connectChain();
+      }
+
+      return () => this.removeEffect(id, effect);
+    },
+
+    /**
+     * Removes an effect from the chain
+     * @param {string} id - Effect id
+     * @param {Object} [instance] - Only remove this registration (ignored if replaced since)
+     */
+    removeEffect(id, instance) {
+      const effect = effects.find(item => item.id === id);
+      if (!effect || (instance && effect !== instance)) return;
+
+      disconnectEffect(effect);
+      effects = effects.filter(item => item !== effect);
+      connectChain();
+    },
+
+    /**
+     * The built node of an effect, e.g. to change its parameters
+     * @param {string} id - Effect id
+     * @returns {Object|null} - Whatever the factory returned, or null before the context exists
+     */
+    getEffect(id) {
+      return effects.find(item => item.id === id)?.node || null;
+    },
+
+    /**
+     * Listens for the context being created or changing state
+     * @param {Function} listener - Called with the AudioContext
+     * @returns {Function} - Unsubscribes
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Closes the context. Effect registrations are kept and the graph is rebuilt
+     * on the next ensureContext(), but media elements connected so far can never
+     * be connected again: whoever owns them (e.g. the playback engine) has to be
+     * destroyed first and use new elements afterwards.
+     */
+    destroy() {
+      if (!context) return;
+
+      const closing = context;
+      closing.removeEventListener('statechange', notify);
+      effects.forEach(effect => {
+        effect.node = null;
+      });
+      sources = new Map();
+      context = null;
+      input = null;
+      analyser = null;
+
+      closing.close().catch(error => console.error('Failed to close audio context:', error));
+      notify();
+    }
+  };
+};
@@ -0,0 +1,192 @@
+// Audio format registry: detection by magic bytes and extension, browser support and tag readers
+
+import { readAscii, readBytes } from './binaryReader';
+import { getId3v2Size, readId3Tags } from './id3';
+import { readFlacTags, readOggTags } from './vorbisComment';
+import { readMp4Tags } from './mp4Atoms';
+import { readRiffTags } from './riffInfo';
+
+/**
+ * Supported formats. `playbackType` is what we ask canPlayType about.
+ */
+export const AUDIO_FORMATS = [
+  {
+    id: 'mp3',
+    label: 'MP3',
+    extensions: ['.mp3'],
+    mimeTypes: ['audio/mpeg', 'audio/mp3'],
+    playbackType: 'audio/mpeg',
+    readTags: readId3Tags
+  },
+  {
+    id: 'flac',
+    label: 'FLAC',
+    extensions: ['.flac'],
+    mimeTypes: ['audio/flac', 'audio/x-flac'],
+    playbackType: 'audio/flac',
+    readTags: readFlacTags
+  },
+  {
+    id: 'ogg',
+    label: 'Ogg Vorbis',
+    extensions: ['.ogg', '.oga'],
+    mimeTypes: ['audio/ogg', 'audio/vorbis'],
+    playbackType: 'audio/ogg; codecs="vorbis"',
+    readTags: readOggTags
+  },
+  {
+    id: 'opus',
+    label: 'Opus',
+    extensions: ['.opus'],
+    mimeTypes: ['audio/opus'],
+    playbackType: 'audio/ogg; codecs="opus"',
+    readTags: readOggTags
+  },
+  {
+    id: 'wav',
+    label: 'WAV',
+    extensions: ['.wav', '.wave'],
+    mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+    playbackType: 'audio/wav',
+    readTags: readRiffTags
+  },
+  {
+    id: 'm4a',
+    label: 'AAC/M4A',
+    extensions: ['.m4a', '.m4b', '.mp4'],
+    mimeTypes: ['audio/mp4', 'audio/x-m4a', 'audio/m4a'],
+    playbackType: 'audio/mp4; codecs="mp4a.40.2"',
+    readTags: readMp4Tags
+  },
+  {
+    id: 'aac',
+    label: 'AAC',
+    extensions: ['.aac'],
+    mimeTypes: ['audio/aac', 'audio/aacp', 'audio/x-aac'],
+    playbackType: 'audio/aac',
+    readTags: readId3Tags
+  }
+];
+
+/**
+ * Value for the `accept` attribute of audio file inputs
+ */
+export const AUDIO_ACCEPT = AUDIO_FORMATS
+  .flatMap(format => [...format.extensions, ...format.mimeTypes])
+  .join(',');
+
+/**
+ * Short list of supported format names for display
+ */
+export const AUDIO_FORMAT_LABELS = ['MP3', 'FLAC', 'OGG', 'Opus', 'WAV', 'M4A'];
+
+/**
+ * Looks up a format by id
+ * @param {string} id - Format id
+ * @returns {Object|null} - Format entry or null
+ */
+export const getFormatById = (id) => AUDIO_FORMATS.find(format => format.id === id) || null;
+
+/**
+ * Guesses a format from a file's extension or MIME type
+ * @param {File} file - The file
+ * @returns {Object|null} - Format entry or null if unknown
+ */
+export const getFormatFromFile = (file) => {
+  if (!file) return null;
+
+  const name = (file.name || '').toLowerCase();
+  const type = (file.type || '').toLowerCase().split(';')[0];
+
+  return (
+    AUDIO_FORMATS.find(format => format.extensions.some(ext => name.endsWith(ext))) ||
+    AUDIO_FORMATS.find(format => format.mimeTypes.includes(type)) ||
+    null
+  );
+};
+
+/**
+ * Identifies a format from the first bytes of the audio stream
+ * @param {Uint8Array} bytes - Bytes following any leading ID3v2 tag
+ * @returns {Object|null} - Format entry or null if unrecognised
+ */
+export const detectFormatFromBytes = (bytes) => {
+  if (bytes.length < 12) return null;
+
+  const magic = readAscii(bytes, 0, 4);
+
+  if (magic === 'fLaC') return getFormatById('flac');
+  if (magic === 'RIFF' && readAscii(bytes, 8, 4) === 'WAVE') return getFormatById('wav');
+  if (readAscii(bytes, 4, 4) === 'ftyp') return getFormatById('m4a');
+
+  if (magic === 'OggS') {
+    // The codec id sits in the first packet, just after the page header
+    const header = readAscii(bytes, 0, Math.min(bytes.length, 64));
+    if (header.includes('OpusHead')) return getFormatById('opus');
+    return getFormatById('ogg');
+  }
+
+  if (bytes[0] === 0xff) {
+    // ADTS (AAC) has layer bits 00; MPEG audio frames use 01-11
+    if ((bytes[1] & 0xf6) === 0xf0) return getFormatById('aac');
+    if ((bytes[1] & 0xe0) === 0xe0 && (bytes[1] & 0x06) !== 0) return getFormatById('mp3');
+  }
+
+  return null;
+};
+
+/**
+ * Detects a file's format, preferring magic bytes over the name and MIME type
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object|null>} - Format entry or null if unknown
+ */
+export const detectAudioFormat = async (file) => {
+  try {
+    const start = getId3v2Size(await readBytes(file, 0, 10));
+    return detectFormatFromBytes(await readBytes(file, start, 64)) || getFormatFromFile(file);
+  } catch (error) {
+    console.error('Failed to detect audio format:', error);
+    return getFormatFromFile(file);
+  }
+};
+
+const playbackSupport = new Map();
+
+/**
+ * Checks whether this browser can play a format
+ * @param {Object} format - Format entry
+ * @returns {boolean} - True if canPlayType reports any support
+ */
+export const canPlayFormat = (format) => {
+  if (!format || typeof document === 'undefined') return false;
+
+  if (!playbackSupport.has(format.id)) {
+    const audio = document.createElement('audio');
+    playbackSupport.set(format.id, audio.canPlayType(format.playbackType) !== '');
+  }
+
+  return playbackSupport.get(format.id);
+};
+
+/**
+ * Works out whether a file can be imported and played
+ * @param {File} file - The file to inspect
+ * @returns {Promise<Object>} - { format, playable, error }
+ */
+export const inspectAudioFile = async (file) => {
+  const format = await detectAudioFormat(file);
+
+  if (!format) {
+    return { format: null, playable: false, error: 'Unsupported file type' };
+  }
+
+  if (!canPlayFormat(format)) {
+    return {
+      format,
+      playable: false,
+      error: `${format.label} files can't be played in this browser`
+    };
+  }
+
+  return { format, playable: true, error: null };
+};
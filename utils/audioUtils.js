@@ -1,32 +1,28 @@
 // Audio utility functions for file handling and audio processing
 
+import { AUDIO_FORMAT_LABELS, detectAudioFormat, getFormatFromFile } from './audioFormats';
+
 /**
- * Validates if a file is a valid MP3 audio file
- * @param {File} file - The file to validate
- * @returns {boolean} - True if valid MP3, false otherwise
+ * Validates if a file is in a supported audio format. Files whose extension
+ * and MIME type say nothing are recognised by their header bytes.
+ * @param {File|Blob} file - The file to validate
+ * @returns {Promise<boolean>} - True if the format is known, false otherwise
  */
-export const validateAudioFile = (file) => {
+export const validateAudioFile = async (file) => {
   if (!file) return false;
-  
-  const validTypes = ['audio/mp3', 'audio/mpeg'];
-  const validExtensions = ['.mp3'];
-  
-  const hasValidType = validTypes.includes(file.type);
-  const hasValidExtension = validExtensions.some(ext => 
-    file.name.toLowerCase().endsWith(ext)
-  );
-  
-  return hasValidType || hasValidExtension;
+  if (getFormatFromFile(file)) return true;
+
+  return (await detectAudioFormat(file)) !== null;
 };
 
 /**
  * Creates an object URL for audio file playback
- * @param {File} file - The audio file
- * @returns {string} - Object URL for the file
+ * @param {File|Blob} file - The audio file
+ * @returns {Promise<string>} - Object URL for the file
  */
-export const createAudioUrl = (file) => {
-  if (!validateAudioFile(file)) {
-    throw new Error('Invalid audio file format. Only MP3 files are supported.');
+export const createAudioUrl = async (file) => {
+  if (!(await validateAudioFile(file))) {
+    throw new Error(`Invalid audio file format. Supported formats: ${AUDIO_FORMAT_LABELS.join(', ')}.`);
   }
   
   return URL.createObjectURL(file);
@@ -57,41 +53,110 @@ export const formatTime = (seconds) => {
 };
 
 /**
- * Gets audio metadata from file
+ * Formats a byte count as a human readable size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size string (e.g. "4.20 MB")
+ */
+export const formatBytes = (bytes) => {
+  if (!bytes || isNaN(bytes)) return '0 B';
+
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+
+  return `${exponent === 0 ? value : value.toFixed(2)} ${units[exponent]}`;
+};
+
+/**
+ * Reads the duration of an audio file through an audio element
  * @param {File} file - The audio file
- * @returns {Promise<Object>} - Audio metadata object
+ * @returns {Promise<Object>} - { duration, url }
  */
-export const getAudioMetadata = (file) => {
+const readAudioDuration = async (file) => {
+  const url = await createAudioUrl(file);
+
   return new Promise((resolve, reject) => {
-    if (!validateAudioFile(file)) {
-      reject(new Error('Invalid audio file'));
-      return;
-    }
-    
     const audio = new Audio();
-    const url = createAudioUrl(file);
-    
+
     audio.addEventListener('loadedmetadata', () => {
-      const metadata = {
-        name: file.name.replace(/\.[^/.]+$/, ''), // Remove extension
-        duration: audio.duration,
-        size: file.size,
-        type: file.type,
-        url: url
-      };
-      
-      resolve(metadata);
+      resolve({ duration: audio.duration, url });
     });
-    
+
     audio.addEventListener('error', () => {
       revokeAudioUrl(url);
       reject(new Error('Failed to load audio metadata'));
     });
-    
+
     audio.src = url;
   });
 };
 
+/**
+ * Reads embedded tags (ID3, Vorbis comments, MP4 atoms or RIFF INFO) from an audio file
+ * @param {File} file - The audio file
+ * @param {Object} [format] - Format entry, detected from the file if omitted
+ * @returns {Promise<Object>} - Tag fields (empty object if none)
+ */
+export const readAudioTags = async (file, format) => {
+  try {
+    const resolvedFormat = format || (await detectAudioFormat(file));
+    if (!resolvedFormat) return {};
+
+    return (await resolvedFormat.readTags(file)) || {};
+  } catch (error) {
+    console.error('Failed to read audio tags:', error);
+    return {};
+  }
+};
+
+/**
+ * Gets audio metadata from file
+ * @param {File} file - The audio file
+ * @returns {Promise<Object>} - Audio metadata object including any embedded tags
+ */
+export const getAudioMetadata = async (file) => {
+  // Falls back to the extension or MIME type when the header isn't recognised
+  const format = await detectAudioFormat(file);
+  if (!format) {
+    throw new Error('Invalid audio file');
+  }
+
+  const [{ duration, url }, tags] = await Promise.all([
+    readAudioDuration(file),
+    readAudioTags(file, format)
+  ]);
+
+  return {
+    ...tags,
+    name: file.name.replace(/\.[^/.]+$/, ''), // Remove extension
+    duration,
+    size: file.size,
+    type: file.type,
+    format: format?.id || null,
+    url
+  };
+};
+
+/**
+ * Gets the title to show for a track, falling back to the filename
+ * @param {Object} track - Track record
+ * @returns {string} - Display title
+ */
+export const getTrackTitle = (track) => {
+  if (!track) return '';
+  return track.title || track.name;
+};
+
+/**
+ * Gets the "Artist — Album" line to show under a track title
+ * @param {Object} track - Track record
+ * @returns {string} - Artist and album, or an empty string if untagged
+ */
+export const getTrackSubtitle = (track) => {
+  if (!track) return '';
+  return [track.artist, track.album].filter(Boolean).join(' — ');
+};
+
 /**
  * Saves audio file data to localStorage
  * @param {string} key - Storage key
@@ -138,7 +203,8 @@ export const removeFromLocalStorage = (key) => {
 };
 
 /**
- * Creates audio context for Web Audio API
+ * Creates audio context for Web Audio API. The app shares one context through
+ * the audio engine (useAudioEngine); don't call this from components.
  * @returns {AudioContext|null} - Audio context or null if not supported
  */
 export const createAudioContext = () => {
@@ -152,25 +218,22 @@ export const createAudioContext = () => {
 };
 
 /**
- * Connects audio element to analyser node for visualization
+ * Connects audio element to the shared engine's analyser for visualization.
+ * Elements can only be given one source node, so this goes through the engine
+ * rather than creating its own.
  * @param {HTMLAudioElement} audioElement - The audio element
- * @param {AudioContext} audioContext - The audio context
+ * @param {Object} audioEngine - Engine from createAudioEngine (see useAudioEngine)
  * @returns {AnalyserNode|null} - Analyser node or null if failed
  */
-export const connectAudioAnalyser = (audioElement, audioContext) => {
+export const connectAudioAnalyser = (audioElement, audioEngine) => {
   try {
-    if (!audioContext || !audioElement) return null;
-    
-    const source = audioContext.createMediaElementSource(audioElement);
-    const analyser = audioContext.createAnalyser();
-    
-    analyser.fftSize = 256;
-    analyser.smoothingTimeConstant = 0.8;
-    
-    source.connect(analyser);
-    analyser.connect(audioContext.destination);
-    
-    return analyser;
+    if (!audioEngine || !audioElement) return null;
+
+    const source = audioEngine.connectMediaElement(audioElement);
+    if (!source) return null;
+
+    source.connect(audioEngine.getInput());
+    return audioEngine.getAnalyser();
   } catch (error) {
     console.error('Failed to connect audio analyser:', error);
     return null;
@@ -0,0 +1,91 @@
+// Helpers for reading binary structures out of audio files
+
+/**
+ * Reads a byte range from a Blob
+ * @param {Blob} blob - Source file
+ * @param {number} start - Start offset
+ * @param {number} length - Number of bytes to read
+ * @returns {Promise<Uint8Array>} - The bytes (shorter if the file ends first)
+ */
+export const readBytes = async (blob, start, length) => {
+  return new Uint8Array(await blob.slice(start, start + length).arrayBuffer());
+};
+
+/**
+ * Reads an ASCII string (e.g. a chunk or atom id)
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of characters
+ * @returns {string} - Decoded string
+ */
+export const readAscii = (bytes, offset, length) => {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+};
+
+/**
+ * Reads a UTF-8 string
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {string} - Decoded string
+ */
+export const readUtf8 = (bytes, offset, length) => {
+  return new TextDecoder('utf-8').decode(bytes.subarray(offset, offset + length));
+};
+
+/**
+ * Reads an unsigned 32-bit big-endian integer
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @returns {number} - Decoded integer
+ */
+export const readUint32BE = (bytes, offset) => {
+  return new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset, false);
+};
+
+/**
+ * Reads an unsigned 32-bit little-endian integer
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @returns {number} - Decoded integer
+ */
+export const readUint32LE = (bytes, offset) => {
+  return new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset, true);
+};
+
+/**
+ * Reads an unsigned 16-bit big-endian integer
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @returns {number} - Decoded integer
+ */
+export const readUint16BE = (bytes, offset) => {
+  return new DataView(bytes.buffer, bytes.byteOffset).getUint16(offset, false);
+};
+
+/**
+ * Parses a "3/12" style position into number and total
+ * @param {string} value - Position string
+ * @returns {Object} - { number, total } (null where missing)
+ */
+export const parsePosition = (value) => {
+  const [number, total] = String(value || '').split('/').map(part => parseInt(part, 10));
+  return {
+    number: Number.isFinite(number) ? number : null,
+    total: Number.isFinite(total) ? total : null
+  };
+};
+
+/**
+ * Drops empty fields so merged tags never overwrite real values with blanks
+ * @param {Object} tags - Parsed tag fields
+ * @returns {Object} - The same object without empty fields
+ */
+export const compactTags = (tags) => {
+  Object.keys(tags).forEach(key => {
+    if (tags[key] === '' || tags[key] === null || tags[key] === undefined) {
+      delete tags[key];
+    }
+  });
+  return tags;
+};
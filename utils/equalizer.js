@@ -0,0 +1,157 @@
+// 10-band graphic equalizer: filter chain, presets and frequency response
+
+// ISO octave-band centre frequencies
+export const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+export const EQ_MIN_GAIN = -12;
+export const EQ_MAX_GAIN = 12;
+
+// Roughly one octave wide, so neighbouring bands overlap smoothly
+const EQ_Q = 1.41;
+
+const flat = () => EQ_FREQUENCIES.map(() => 0);
+
+export const EQ_PRESETS = [
+  { id: 'flat', name: 'Flat', preamp: 0, gains: flat() },
+  { id: 'rock', name: 'Rock', preamp: -4, gains: [5, 4, 3, 1, -1, -1, 1, 3, 4, 5] },
+  { id: 'pop', name: 'Pop', preamp: -3, gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+  { id: 'jazz', name: 'Jazz', preamp: -3, gains: [4, 3, 1, 2, -2, -2, 0, 1, 3, 4] },
+  { id: 'classical', name: 'Classical', preamp: -3, gains: [5, 4, 3, 2, -1, -1, 0, 2, 3, 4] },
+  { id: 'electronic', name: 'Electronic', preamp: -4, gains: [5, 4, 1, 0, -2, 2, 1, 1, 4, 5] },
+  { id: 'vocal', name: 'Vocal', preamp: -3, gains: [-2, -3, -3, 1, 4, 4, 3, 1, 0, -2] },
+  { id: 'bass-boost', name: 'Bass Boost', preamp: -6, gains: [7, 6, 5, 3, 1, 0, 0, 0, 0, 0] },
+  { id: 'treble-boost', name: 'Treble Boost', preamp: -6, gains: [0, 0, 0, 0, 0, 1, 3, 5, 6, 7] }
+];
+
+export const DEFAULT_EQ_SETTINGS = {
+  enabled: true,
+  presetId: 'flat',
+  preamp: 0,
+  gains: flat()
+};
+
+/**
+ * Clamps a gain to the slider range
+ * @param {number} value - Gain in dB
+ * @returns {number} - Gain between EQ_MIN_GAIN and EQ_MAX_GAIN
+ */
+export const clampEqGain = (value) => {
+  return Math.min(Math.max(Number(value) || 0, EQ_MIN_GAIN), EQ_MAX_GAIN);
+};
+
+/**
+ * Converts decibels to a linear gain
+ * @param {number} db - Decibels
+ * @returns {number} - Linear gain
+ */
+export const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * Gets the preamp and band gains that should actually be applied
+ * @param {Object} settings - { enabled, preamp, gains }
+ * @returns {Object} - { preamp, gains } (all zero when disabled)
+ */
+const getEffectiveSettings = (settings) => {
+  if (!settings?.enabled) return { preamp: 0, gains: flat() };
+  return {
+    preamp: clampEqGain(settings.preamp),
+    gains: EQ_FREQUENCIES.map((_, index) => clampEqGain(settings.gains?.[index]))
+  };
+};
+
+/**
+ * Creates the preamp + peaking filter chain
+ * @param {AudioContext} context - The audio context
+ * @returns {Object} - { input, output, apply(settings) }
+ */
+export const createEqualizer = (context) => {
+  const preamp = context.createGain();
+
+  const filters = EQ_FREQUENCIES.map(frequency => {
+    const filter = context.createBiquadFilter();
+    filter.type = 'peaking';
+    filter.frequency.value = frequency;
+    filter.Q.value = EQ_Q;
+    filter.gain.value = 0;
+    return filter;
+  });
+
+  filters.reduce((previous, filter) => {
+    previous.connect(filter);
+    return filter;
+  }, preamp);
+
+  return {
+    input: preamp,
+    output: filters[filters.length - 1],
+
+    apply(settings) {
+      const { preamp: preampDb, gains } = getEffectiveSettings(settings);
+      // Short time constant so slider drags don't zipper
+      preamp.gain.setTargetAtTime(dbToGain(preampDb), context.currentTime, 0.02);
+      filters.forEach((filter, index) => {
+        filter.gain.setTargetAtTime(gains[index], context.currentTime, 0.02);
+      });
+    }
+  };
+};
+
+/**
+ * Magnitude response of one peaking biquad (RBJ cookbook, as used by Web Audio)
+ * @param {number} frequency - Frequency to evaluate (Hz)
+ * @param {number} centre - Centre frequency (Hz)
+ * @param {number} gainDb - Band gain (dB)
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {number} - Response in dB
+ */
+const getPeakingResponse = (frequency, centre, gainDb, sampleRate) => {
+  if (gainDb === 0) return 0;
+
+  const A = Math.pow(10, gainDb / 40);
+  const w0 = 2 * Math.PI * centre / sampleRate;
+  const alpha = Math.sin(w0) / (2 * EQ_Q);
+  const cosW0 = Math.cos(w0);
+
+  const b = [1 + alpha * A, -2 * cosW0, 1 - alpha * A];
+  const a = [1 + alpha / A, -2 * cosW0, 1 - alpha / A];
+
+  // Evaluate H(z) at z = e^(jw)
+  const w = 2 * Math.PI * frequency / sampleRate;
+  const cos1 = Math.cos(w);
+  const sin1 = Math.sin(w);
+  const cos2 = Math.cos(2 * w);
+  const sin2 = Math.sin(2 * w);
+
+  const numRe = b[0] + b[1] * cos1 + b[2] * cos2;
+  const numIm = -(b[1] * sin1 + b[2] * sin2);
+  const denRe = a[0] + a[1] * cos1 + a[2] * cos2;
+  const denIm = -(a[1] * sin1 + a[2] * sin2);
+
+  const magnitude = Math.sqrt((numRe * numRe + numIm * numIm) / (denRe * denRe + denIm * denIm));
+  return 20 * Math.log10(magnitude);
+};
+
+/**
+ * Computes the combined frequency response, without needing an AudioContext
+ * @param {Object} settings - { enabled, preamp, gains }
+ * @param {number[]} frequencies - Frequencies to evaluate (Hz)
+ * @param {number} [sampleRate] - Sample rate (Hz)
+ * @returns {number[]} - Response in dB for each frequency
+ */
+export const getEqualizerResponse = (settings, frequencies, sampleRate = 48000) => {
+  const { preamp, gains } = getEffectiveSettings(settings);
+
+  return frequencies.map(frequency => EQ_FREQUENCIES.reduce(
+    (total, centre, index) => total + getPeakingResponse(frequency, centre, gains[index], sampleRate),
+    preamp
+  ));
+};
+
+/**
+ * Formats a band frequency for labels
+ * @param {number} frequency - Frequency in Hz
+ * @returns {string} - e.g. "31", "1k", "16k"
+ */
+export const formatFrequency = (frequency) => {
+  return frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+};
@@ -0,0 +1,157 @@
+// Bulk import helpers: collecting dropped folders, reading files with progress and content hashing
+
+export const IMPORT_STATUS = {
+  PENDING: 'pending',
+  READING: 'reading',
+  SAVING: 'saving',
+  ADDED: 'added',
+  DUPLICATE: 'duplicate',
+  REJECTED: 'rejected',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Statuses an item can't leave
+export const FINISHED_IMPORT_STATUSES = [
+  IMPORT_STATUS.ADDED,
+  IMPORT_STATUS.DUPLICATE,
+  IMPORT_STATUS.REJECTED,
+  IMPORT_STATUS.FAILED,
+  IMPORT_STATUS.CANCELLED
+];
+
+// Hidden files and OS metadata that folders tend to contain
+const IGNORED_FILE_PATTERN = /^(\.|Thumbs\.db$|desktop\.ini$)/i;
+
+/**
+ * Reads every entry of a directory. readEntries returns at most ~100 entries
+ * per call, so it is called until it comes back empty.
+ * @param {FileSystemDirectoryEntry} directory - Dropped directory
+ * @returns {Promise<FileSystemEntry[]>} - Child entries
+ */
+const readDirectoryEntries = async (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) return entries;
+    entries.push(...batch);
+  }
+};
+
+/**
+ * Collects the files below a file system entry, depth first
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @returns {Promise<File[]>} - Files, in name order within each folder
+ */
+const collectEntryFiles = async (entry) => {
+  if (IGNORED_FILE_PATTERN.test(entry.name)) return [];
+
+  if (entry.isFile) {
+    return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+  }
+
+  if (!entry.isDirectory) return [];
+
+  const children = (await readDirectoryEntries(entry))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  const files = [];
+  for (const child of children) {
+    files.push(...(await collectEntryFiles(child)));
+  }
+  return files;
+};
+
+/**
+ * Files from a drop, descending into dropped folders. Falls back to the
+ * plain file list where entries aren't supported.
+ * @param {DataTransfer} dataTransfer - The drop event's dataTransfer
+ * @returns {Promise<File[]>} - Dropped files
+ */
+export const collectDroppedFiles = async (dataTransfer) => {
+  // Entries have to be taken synchronously, before the drop event returns
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) return Array.from(dataTransfer.files || []);
+
+  const files = [];
+  for (const entry of entries) {
+    files.push(...(await collectEntryFiles(entry)));
+  }
+  return files;
+};
+
+/**
+ * Drops hidden and system files picked up from folders
+ * @param {File[]} files - Selected files
+ * @returns {File[]} - Files worth importing
+ */
+export const filterImportFiles = (files) => {
+  return Array.from(files).filter(file => !IGNORED_FILE_PATTERN.test(file.name));
+};
+
+/**
+ * Name shown for a file, including its folder when picked from a directory
+ * @param {File} file - Imported file
+ * @returns {string} - Display name
+ */
+export const getImportFileName = (file) => file.webkitRelativePath || file.name;
+
+/**
+ * Reads a file into memory, reporting progress
+ * @param {File|Blob} file - File to read
+ * @param {Object} [options] - { onProgress(fraction), signal (AbortSignal) }
+ * @returns {Promise<ArrayBuffer>} - File contents
+ */
+export const readFileWithProgress = (file, { onProgress, signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    const abort = () => reader.abort();
+
+    reader.onprogress = (event) => {
+      if (event.lengthComputable && event.total > 0) onProgress?.(event.loaded / event.total);
+    };
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.onabort = () => reject(new DOMException('Import cancelled', 'AbortError'));
+    reader.onloadend = () => signal?.removeEventListener('abort', abort);
+
+    if (signal?.aborted) {
+      reject(new DOMException('Import cancelled', 'AbortError'));
+      return;
+    }
+    signal?.addEventListener('abort', abort);
+    reader.readAsArrayBuffer(file);
+  });
+};
+
+/**
+ * SHA-256 of file contents, used to spot duplicates. crypto.subtle only
+ * exists on secure origins (HTTPS or localhost).
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<string|null>} - Hex digest, or null where hashing isn't available
+ */
+export const hashContent = async (buffer) => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Counts import items by status
+ * @param {Object[]} items - Import items ({ status })
+ * @returns {Object} - { [status]: count, finished }
+ */
+export const summarizeImport = (items) => {
+  const counts = Object.fromEntries(Object.values(IMPORT_STATUS).map(status => [status, 0]));
+  items.forEach(item => {
+    counts[item.status] += 1;
+  });
+  counts.finished = FINISHED_IMPORT_STATUSES.reduce((total, status) => total + counts[status], 0);
+  return counts;
+};
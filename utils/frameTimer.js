@@ -0,0 +1,58 @@
+// Frame timing for animation loops
+
+/**
+ * Measures how often frames are drawn and how long drawing takes, over a
+ * sliding window of recent frames
+ * @param {number} windowSize - Number of frames to average over
+ * @returns {Object} - { begin(), end(), getStats(), reset() }
+ */
+export const createFrameTimer = (windowSize = 120) => {
+  const intervals = [];
+  const durations = [];
+  let lastStart = null;
+  let start = null;
+
+  const push = (list, value) => {
+    list.push(value);
+    if (list.length > windowSize) list.shift();
+  };
+
+  const average = (list) => (list.length > 0 ? list.reduce((sum, value) => sum + value, 0) / list.length : 0);
+
+  return {
+    // Call before drawing a frame
+    begin() {
+      start = performance.now();
+      if (lastStart !== null) push(intervals, start - lastStart);
+      lastStart = start;
+    },
+
+    // Call after drawing it
+    end() {
+      if (start === null) return;
+      push(durations, performance.now() - start);
+      start = null;
+    },
+
+    /**
+     * @returns {Object} - { fps, frameMs, drawMs, maxDrawMs } averaged over the window
+     */
+    getStats() {
+      const frameMs = average(intervals);
+      return {
+        fps: frameMs > 0 ? 1000 / frameMs : 0,
+        frameMs,
+        drawMs: average(durations),
+        maxDrawMs: durations.length > 0 ? Math.max(...durations) : 0
+      };
+    },
+
+    // Forget the history, e.g. after a pause so the gap isn't counted as a frame
+    reset() {
+      intervals.length = 0;
+      durations.length = 0;
+      lastStart = null;
+      start = null;
+    }
+  };
+};
@@ -0,0 +1,545 @@
+// Pure JavaScript ID3v1 and ID3v2.2/2.3/2.4 tag reader
+
+import { compactTags, parsePosition, readBytes } from './binaryReader';
+import { parseRva2, readReplayGainValues } from './replayGain';
+import { createPlainLyrics } from './lyrics';
+
+/**
+ * ID3v1 genre list, including the Winamp extensions
+ */
+export const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+  'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+  'Psychedelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+  'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock', 'Folk',
+  'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin', 'Revival',
+  'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+  'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+  'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+  'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+  'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall',
+  'Goa', 'Drum & Bass', 'Club-House', 'Hardcore', 'Terror', 'Indie', 'BritPop',
+  'Negerpunk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal',
+  'Black Metal', 'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue',
+  'Salsa', 'Thrash Metal', 'Anime', 'JPop', 'Synthpop'
+];
+
+// ID3v2.2 uses three character frame ids; map the ones we read to their v2.3 names
+const V22_FRAME_IDS = {
+  TT2: 'TIT2',
+  TP1: 'TPE1',
+  TP2: 'TPE2',
+  TAL: 'TALB',
+  TRK: 'TRCK',
+  TPA: 'TPOS',
+  TYE: 'TYER',
+  TCO: 'TCON',
+  COM: 'COMM',
+  PIC: 'APIC',
+  TXX: 'TXXX',
+  ULT: 'USLT',
+  SLT: 'SYLT'
+};
+
+const TEXT_FRAMES = {
+  TIT2: 'title',
+  TPE1: 'artist',
+  TPE2: 'albumArtist',
+  TALB: 'album'
+};
+
+const FRONT_COVER = 3;
+
+// SYLT timestamp format: milliseconds (the other option, MPEG frames, isn't supported)
+const SYLT_MILLISECONDS = 2;
+
+/**
+ * Reads a 28-bit "syncsafe" integer (7 bits per byte)
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @returns {number} - Decoded integer
+ */
+const readSyncsafe = (bytes, offset) => {
+  return (
+    ((bytes[offset] & 0x7f) << 21) |
+    ((bytes[offset + 1] & 0x7f) << 14) |
+    ((bytes[offset + 2] & 0x7f) << 7) |
+    (bytes[offset + 3] & 0x7f)
+  );
+};
+
+/**
+ * Reads a big-endian unsigned integer of the given byte length
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {number} - Decoded integer
+ */
+const readUint = (bytes, offset, length) => {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+};
+
+/**
+ * Reverses ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+ * @param {Uint8Array} bytes - Unsynchronised bytes
+ * @returns {Uint8Array} - Restored bytes
+ */
+const removeUnsynchronisation = (bytes) => {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    output[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) {
+      i++;
+    }
+  }
+
+  return output.subarray(0, length);
+};
+
+/**
+ * Decodes a string in one of the four ID3 text encodings
+ * @param {Uint8Array} bytes - Encoded bytes (without terminator)
+ * @param {number} encoding - 0 ISO-8859-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+ * @returns {string} - Decoded string
+ */
+export const decodeId3String = (bytes, encoding) => {
+  if (!bytes || bytes.length === 0) return '';
+
+  let label = 'iso-8859-1';
+  let data = bytes;
+
+  if (encoding === 1) {
+    label = 'utf-16le';
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      label = 'utf-16be';
+      data = bytes.subarray(2);
+    } else if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      data = bytes.subarray(2);
+    }
+  } else if (encoding === 2) {
+    label = 'utf-16be';
+  } else if (encoding === 3) {
+    label = 'utf-8';
+  }
+
+  return new TextDecoder(label).decode(data).replace(/\0+$/, '');
+};
+
+/**
+ * Finds the end of a null-terminated string in the given encoding
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @param {number} encoding - ID3 text encoding
+ * @returns {number} - Offset of the terminator (or bytes.length)
+ */
+const findTerminator = (bytes, offset, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+
+  for (let i = offset; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+      return i;
+    }
+  }
+
+  return bytes.length;
+};
+
+/**
+ * Splits the body of a text frame into its (possibly multiple) values
+ * @param {Uint8Array} body - Frame body
+ * @returns {string[]} - Non-empty values
+ */
+const readTextValues = (body) => {
+  const encoding = body[0];
+  const wide = encoding === 1 || encoding === 2;
+  const values = [];
+  let offset = 1;
+
+  while (offset < body.length) {
+    const end = findTerminator(body, offset, encoding);
+    const value = decodeId3String(body.subarray(offset, end), encoding).trim();
+    if (value) values.push(value);
+    offset = end + (wide ? 2 : 1);
+  }
+
+  return values;
+};
+
+/**
+ * Resolves ID3 genre references like "(17)", "17" or "(17)Rock" to names
+ * @param {string} value - Raw TCON value
+ * @returns {string} - Genre name
+ */
+export const resolveGenre = (value) => {
+  if (!value) return '';
+
+  const match = value.match(/^\((\d+)\)(.*)$/);
+  if (match) {
+    return match[2].trim() || ID3_GENRES[parseInt(match[1], 10)] || '';
+  }
+  if (/^\d+$/.test(value)) {
+    return ID3_GENRES[parseInt(value, 10)] || '';
+  }
+  if (value === 'RX' || value === '(RX)') return 'Remix';
+  if (value === 'CR' || value === '(CR)') return 'Cover';
+
+  return value;
+};
+
+/**
+ * Reads a COMM frame
+ * @param {Uint8Array} body - Frame body
+ * @returns {Object} - { description, text }
+ */
+const readComment = (body) => {
+  const encoding = body[0];
+  const wide = encoding === 1 || encoding === 2;
+  const descriptionEnd = findTerminator(body, 4, encoding);
+
+  return {
+    description: decodeId3String(body.subarray(4, descriptionEnd), encoding),
+    text: decodeId3String(body.subarray(descriptionEnd + (wide ? 2 : 1)), encoding).trim()
+  };
+};
+
+/**
+ * Reads a TXXX (user-defined text) frame
+ * @param {Uint8Array} body - Frame body
+ * @returns {Object} - { description, text }
+ */
+const readUserText = (body) => {
+  const encoding = body[0];
+  const wide = encoding === 1 || encoding === 2;
+  const descriptionEnd = findTerminator(body, 1, encoding);
+
+  return {
+    description: decodeId3String(body.subarray(1, descriptionEnd), encoding).trim(),
+    text: decodeId3String(body.subarray(descriptionEnd + (wide ? 2 : 1)), encoding).trim()
+  };
+};
+
+/**
+ * Reads a USLT (unsynchronised lyrics) frame
+ * @param {Uint8Array} body - Frame body
+ * @returns {string} - Lyrics text
+ */
+const readUnsyncedLyrics = (body) => {
+  const encoding = body[0];
+  const wide = encoding === 1 || encoding === 2;
+  const descriptorEnd = findTerminator(body, 4, encoding);
+
+  return decodeId3String(body.subarray(descriptorEnd + (wide ? 2 : 1)), encoding).trim();
+};
+
+/**
+ * Reads a SYLT (synchronised lyrics) frame
+ * @param {Uint8Array} body - Frame body
+ * @returns {Object|null} - { synced: true, lines: [{ time, text, words }] }, or null
+ *   if it isn't timed in milliseconds
+ */
+const readSyncedLyrics = (body) => {
+  const encoding = body[0];
+  const wide = encoding === 1 || encoding === 2;
+  const step = wide ? 2 : 1;
+  if (body[4] !== SYLT_MILLISECONDS) return null;
+
+  let offset = findTerminator(body, 6, encoding) + step;
+  const syllables = [];
+
+  while (offset < body.length) {
+    const end = findTerminator(body, offset, encoding);
+    if (end + step + 4 > body.length) break;
+
+    syllables.push({
+      time: readUint(body, end + step, 4) / 1000,
+      text: decodeId3String(body.subarray(offset, end), encoding)
+    });
+    offset = end + step + 4;
+  }
+
+  // Entries are usually whole lines. When they are syllables instead, a
+  // leading newline marks the start of each line.
+  const bySyllable = syllables.some(({ text }) => /^[\r\n]/.test(text));
+  const lines = [];
+  syllables.forEach(({ time, text }) => {
+    const startsLine = !bySyllable || lines.length === 0 || /^[\r\n]/.test(text);
+    const clean = text.replace(/[\r\n]/g, '');
+
+    if (startsLine) {
+      lines.push({ time, text: clean, words: [{ time, text: clean }] });
+    } else {
+      const line = lines[lines.length - 1];
+      line.text += clean;
+      line.words.push({ time, text: clean });
+    }
+  });
+
+  if (lines.length === 0) return null;
+
+  lines.forEach(line => {
+    line.text = line.text.trim();
+    if (line.words.length === 1) line.words = null;
+  });
+  return { synced: true, lines: lines.sort((a, b) => a.time - b.time) };
+};
+
+/**
+ * Reads an APIC (v2.3/2.4) or PIC (v2.2) frame
+ * @param {Uint8Array} body - Frame body
+ * @param {number} version - Major tag version
+ * @returns {Object} - { mimeType, type, description, data }
+ */
+const readPicture = (body, version) => {
+  const encoding = body[0];
+  const wide = encoding === 1 || encoding === 2;
+  let offset = 1;
+  let mimeType;
+
+  if (version === 2) {
+    const format = decodeId3String(body.subarray(1, 4), 0).toLowerCase();
+    mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const mimeEnd = findTerminator(body, offset, 0);
+    mimeType = decodeId3String(body.subarray(offset, mimeEnd), 0).toLowerCase() || 'image/jpeg';
+    if (!mimeType.includes('/')) mimeType = `image/${mimeType === 'jpg' ? 'jpeg' : mimeType}`;
+    offset = mimeEnd + 1;
+  }
+
+  const type = body[offset];
+  const descriptionEnd = findTerminator(body, offset + 1, encoding);
+
+  return {
+    mimeType,
+    type,
+    description: decodeId3String(body.subarray(offset + 1, descriptionEnd), encoding),
+    data: body.slice(descriptionEnd + (wide ? 2 : 1))
+  };
+};
+
+/**
+ * Splits an ID3v2 tag body into frames
+ * @param {Uint8Array} data - Tag body (after header and extended header)
+ * @param {number} version - Major tag version (2, 3 or 4)
+ * @returns {Array} - Frames as { id, body }
+ */
+const readFrames = (data, version) => {
+  const frames = [];
+  const headerSize = version === 2 ? 6 : 10;
+  const idLength = version === 2 ? 3 : 4;
+  let offset = 0;
+
+  while (offset + headerSize <= data.length) {
+    // Padding
+    if (data[offset] === 0) break;
+
+    let id = String.fromCharCode(...data.subarray(offset, offset + idLength));
+    if (!/^[A-Z0-9]+$/.test(id)) break;
+
+    let size;
+    if (version === 2) size = readUint(data, offset + 3, 3);
+    else if (version === 3) size = readUint(data, offset + 4, 4);
+    else size = readSyncsafe(data, offset + 4);
+
+    const formatFlags = version === 2 ? 0 : data[offset + 9];
+    let body = data.subarray(offset + headerSize, offset + headerSize + size);
+    offset += headerSize + size;
+
+    if (version === 2) {
+      id = V22_FRAME_IDS[id] || id;
+    } else if (version === 3) {
+      // Compressed or encrypted frames cannot be read without extra codecs
+      if (formatFlags & 0xc0) continue;
+      if (formatFlags & 0x20) body = body.subarray(1);
+    } else {
+      if (formatFlags & 0x0c) continue;
+      if (formatFlags & 0x40) body = body.subarray(1);
+      if (formatFlags & 0x01) body = body.subarray(4);
+      if (formatFlags & 0x02) body = removeUnsynchronisation(body);
+    }
+
+    if (body.length > 0) {
+      frames.push({ id, body });
+    }
+  }
+
+  return frames;
+};
+
+/**
+ * Returns the total size of the ID3v2 tag at the start of the data, if any
+ * @param {Uint8Array} bytes - At least the first 10 bytes of the file
+ * @returns {number} - Tag size including header and footer, or 0
+ */
+export const getId3v2Size = (bytes) => {
+  if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) {
+    return 0;
+  }
+
+  const hasFooter = bytes[3] === 4 && (bytes[5] & 0x10);
+  return 10 + readSyncsafe(bytes, 6) + (hasFooter ? 10 : 0);
+};
+
+/**
+ * Parses an ID3v2 tag
+ * @param {Uint8Array} bytes - Bytes starting at the "ID3" header
+ * @returns {Object|null} - Tag fields or null if there is no readable tag
+ */
+export const parseId3v2 = (bytes) => {
+  if (!getId3v2Size(bytes)) return null;
+
+  const version = bytes[3];
+  if (version < 2 || version > 4) return null;
+
+  const flags = bytes[5];
+  const size = readSyncsafe(bytes, 6);
+  let data = bytes.subarray(10, 10 + size);
+
+  if (flags & 0x80 && version < 4) {
+    data = removeUnsynchronisation(data);
+  }
+
+  // v2.2 used this flag for compression, which was never specified
+  if (version === 2 && flags & 0x40) return null;
+
+  if (flags & 0x40) {
+    const extendedSize = version === 3 ? readUint(data, 0, 4) + 4 : readSyncsafe(data, 0);
+    data = data.subarray(extendedSize);
+  }
+
+  const tags = {};
+  const pictures = [];
+  const comments = [];
+  const userText = {};
+  const volumeAdjustments = [];
+  let unsyncedLyrics = '';
+  let syncedLyrics = null;
+
+  readFrames(data, version).forEach(({ id, body }) => {
+    if (TEXT_FRAMES[id]) {
+      tags[TEXT_FRAMES[id]] = readTextValues(body).join(' / ');
+    } else if (id === 'TRCK') {
+      const { number, total } = parsePosition(readTextValues(body)[0]);
+      tags.trackNumber = number;
+      tags.trackTotal = total;
+    } else if (id === 'TPOS') {
+      const { number, total } = parsePosition(readTextValues(body)[0]);
+      tags.discNumber = number;
+      tags.discTotal = total;
+    } else if (id === 'TYER' || id === 'TDRC' || (id === 'TORY' && !tags.year)) {
+      const year = parseInt(readTextValues(body)[0], 10);
+      if (Number.isFinite(year)) tags.year = year;
+    } else if (id === 'TCON') {
+      tags.genre = readTextValues(body).map(resolveGenre).filter(Boolean).join(' / ');
+    } else if (id === 'COMM') {
+      comments.push(readComment(body));
+    } else if (id === 'APIC') {
+      pictures.push(readPicture(body, version));
+    } else if (id === 'TXXX') {
+      const { description, text } = readUserText(body);
+      userText[description.toUpperCase()] = text;
+    } else if (id === 'USLT' && !unsyncedLyrics) {
+      unsyncedLyrics = readUnsyncedLyrics(body);
+    } else if (id === 'SYLT' && !syncedLyrics) {
+      syncedLyrics = readSyncedLyrics(body);
+    } else if (id === 'RVA2') {
+      const adjustment = parseRva2(body);
+      if (adjustment) volumeAdjustments.push(adjustment);
+    }
+  });
+
+  // TXXX:REPLAYGAIN_* values win over RVA2 adjustments
+  Object.assign(tags, readReplayGainValues(userText));
+  volumeAdjustments.forEach(({ scope, gain, peak }) => {
+    const prefix = scope === 'album' ? 'replayGainAlbum' : 'replayGainTrack';
+    if (tags[`${prefix}Gain`] !== undefined) return;
+
+    tags[`${prefix}Gain`] = gain;
+    if (peak !== null) tags[`${prefix}Peak`] = peak;
+  });
+
+  // Skip player bookkeeping comments such as iTunNORM
+  const comment = comments.find(item => !item.description) ||
+    comments.find(item => !/^itun/i.test(item.description));
+  if (comment?.text) tags.comment = comment.text;
+
+  // Timed lyrics win over plain text
+  if (syncedLyrics) {
+    tags.lyrics = { ...syncedLyrics, source: 'sylt' };
+  } else if (unsyncedLyrics) {
+    tags.lyrics = { ...createPlainLyrics(unsyncedLyrics), source: 'uslt' };
+  }
+
+  const picture = pictures.find(item => item.type === FRONT_COVER) || pictures[0];
+  if (picture?.data.length) tags.picture = picture;
+
+  tags.version = `2.${version}`;
+  return compactTags(tags);
+};
+
+/**
+ * Parses an ID3v1 / ID3v1.1 tag
+ * @param {Uint8Array} bytes - The last 128 bytes of the file
+ * @returns {Object|null} - Tag fields or null if there is no tag
+ */
+export const parseId3v1 = (bytes) => {
+  if (bytes.length !== 128 || bytes[0] !== 0x54 || bytes[1] !== 0x41 || bytes[2] !== 0x47) {
+    return null;
+  }
+
+  const readField = (start, length) =>
+    decodeId3String(bytes.subarray(start, start + length), 0).replace(/\0.*$/, '').trim();
+
+  const tags = {
+    title: readField(3, 30),
+    artist: readField(33, 30),
+    album: readField(63, 30),
+    version: '1'
+  };
+
+  const year = parseInt(readField(93, 4), 10);
+  if (Number.isFinite(year)) tags.year = year;
+
+  // ID3v1.1 stores the track number in the last byte of the comment
+  if (bytes[125] === 0 && bytes[126] !== 0) {
+    tags.comment = readField(97, 28);
+    tags.trackNumber = bytes[126];
+    tags.version = '1.1';
+  } else {
+    tags.comment = readField(97, 30);
+  }
+
+  if (ID3_GENRES[bytes[127]]) tags.genre = ID3_GENRES[bytes[127]];
+
+  return compactTags(tags);
+};
+
+/**
+ * Reads ID3v2 and ID3v1 tags from a file, preferring v2 values
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object|null>} - Merged tag fields or null if none were found
+ */
+export const readId3Tags = async (file) => {
+  const v2Size = getId3v2Size(await readBytes(file, 0, 10));
+
+  const v2 = v2Size ? parseId3v2(await readBytes(file, 0, v2Size)) : null;
+  const v1 = file.size >= 128 ? parseId3v1(await readBytes(file, file.size - 128, 128)) : null;
+
+  if (!v2 && !v1) return null;
+
+  return { ...v1, ...v2 };
+};
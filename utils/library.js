@@ -0,0 +1,180 @@
+// Library browsing: search, sorting and artist/album/genre grouping
+import { getTrackTitle } from './audioUtils';
+import { getAlbumKey } from './loudness';
+
+export const UNKNOWN_ARTIST = 'Unknown Artist';
+export const UNKNOWN_ALBUM = 'Unknown Album';
+export const UNKNOWN_GENRE = 'Unknown Genre';
+
+export const SORT_ASCENDING = 'asc';
+export const SORT_DESCENDING = 'desc';
+
+// Sortable columns; numeric columns start with the largest value
+export const LIBRARY_SORT_FIELDS = [
+  { id: 'title', label: 'Title', getValue: track => getTrackTitle(track) },
+  { id: 'artist', label: 'Artist', getValue: track => track.artist || '' },
+  { id: 'album', label: 'Album', getValue: track => track.album || '' },
+  { id: 'duration', label: 'Time', getValue: track => track.duration || 0, numeric: true },
+  { id: 'addedAt', label: 'Added', getValue: track => track.addedAt || 0, numeric: true },
+  { id: 'playCount', label: 'Plays', getValue: track => track.playCount || 0, numeric: true }
+];
+
+const collator = typeof Intl !== 'undefined'
+  ? new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' })
+  : null;
+
+const compareText = (a, b) => (collator ? collator.compare(a, b) : a.localeCompare(b));
+
+/**
+ * Lowercases text and strips accents, so "Beyonce" finds "Beyoncé"
+ * @param {string} text - Text to normalize
+ * @returns {string} - Search-friendly text
+ */
+export const normalizeSearchText = (text) => {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Filters tracks by title, artist, album and filename. Every word of the
+ * query has to match somewhere.
+ * @param {Object[]} tracks - Library tracks
+ * @param {string} query - Search text
+ * @returns {Object[]} - Matching tracks, in their original order
+ */
+export const searchTracks = (tracks, query) => {
+  const words = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+  if (words.length === 0) return tracks;
+
+  return tracks.filter(track => {
+    const haystack = normalizeSearchText(
+      [getTrackTitle(track), track.artist, track.albumArtist, track.album, track.fileName].join('\n')
+    );
+    return words.every(word => haystack.includes(word));
+  });
+};
+
+/**
+ * Sorts tracks by a column. Untagged tracks go last in text columns.
+ * @param {Object[]} tracks - Tracks to sort
+ * @param {string} fieldId - Id from `fields`
+ * @param {string} direction - SORT_ASCENDING or SORT_DESCENDING
+ * @param {Object[]} [fields] - Sortable columns, LIBRARY_SORT_FIELDS by default
+ * @returns {Object[]} - Sorted copy
+ */
+export const sortTracks = (tracks, fieldId, direction = SORT_ASCENDING, fields = LIBRARY_SORT_FIELDS) => {
+  const field = fields.find(item => item.id === fieldId) || fields[0];
+  const sign = direction === SORT_DESCENDING ? -1 : 1;
+
+  return [...tracks].sort((a, b) => {
+    const valueA = field.getValue(a);
+    const valueB = field.getValue(b);
+
+    if (field.numeric) return (valueA - valueB) * sign;
+    if (!valueA !== !valueB) return valueA ? -1 : 1;
+    return compareText(valueA, valueB) * sign || compareText(getTrackTitle(a), getTrackTitle(b));
+  });
+};
+
+/**
+ * Orders an album's tracks by disc and track number
+ * @param {Object[]} tracks - Tracks of one album
+ * @returns {Object[]} - Sorted copy
+ */
+export const sortAlbumTracks = (tracks) => {
+  return [...tracks].sort((a, b) => (
+    (a.discNumber || 1) - (b.discNumber || 1) ||
+    (a.trackNumber || Infinity) - (b.trackNumber || Infinity) ||
+    compareText(getTrackTitle(a), getTrackTitle(b))
+  ));
+};
+
+const sumDuration = (tracks) => tracks.reduce((total, track) => total + (track.duration || 0), 0);
+
+/**
+ * Groups tracks by artist (the album artist when tagged), then by album
+ * @param {Object[]} tracks - Library tracks
+ * @returns {Object[]} - Artists sorted by name:
+ *   { key, name, albums: [{ key, name, year, tracks, duration, artworkTrackId }], trackCount, duration }
+ */
+export const groupByArtist = (tracks) => {
+  const artists = new Map();
+
+  tracks.forEach(track => {
+    const name = track.albumArtist || track.artist || UNKNOWN_ARTIST;
+    const artistKey = name.toLowerCase();
+    if (!artists.has(artistKey)) artists.set(artistKey, { key: artistKey, name, albums: new Map() });
+
+    const { albums } = artists.get(artistKey);
+    const albumKey = getAlbumKey(track) || `${artistKey}\u0000`;
+    if (!albums.has(albumKey)) {
+      albums.set(albumKey, { key: albumKey, name: track.album || UNKNOWN_ALBUM, year: null, tracks: [] });
+    }
+    albums.get(albumKey).tracks.push(track);
+  });
+
+  return [...artists.values()]
+    .map(artist => {
+      const albums = [...artist.albums.values()]
+        .map(album => ({
+          ...album,
+          tracks: sortAlbumTracks(album.tracks),
+          year: album.tracks.find(track => track.year)?.year || null,
+          duration: sumDuration(album.tracks),
+          artworkTrackId: album.tracks.find(track => track.hasArtwork)?.id || null
+        }))
+        .sort((a, b) => (a.year || 0) - (b.year || 0) || compareText(a.name, b.name));
+
+      return {
+        key: artist.key,
+        name: artist.name,
+        albums,
+        trackCount: albums.reduce((total, album) => total + album.tracks.length, 0),
+        duration: albums.reduce((total, album) => total + album.duration, 0)
+      };
+    })
+    .sort((a, b) => compareText(a.name, b.name));
+};
+
+// Tag readers join multiple genres with " / "; hand-typed tags tend to use ";"
+const GENRE_SEPARATOR = /\s*(?:[;\0]| \/ )\s*/;
+
+/**
+ * Splits a genre tag holding several genres
+ * @param {string} genre - Genre tag, e.g. "Rock / Pop"
+ * @returns {string[]} - Genre names
+ */
+export const splitGenres = (genre) => String(genre || '').split(GENRE_SEPARATOR).filter(Boolean);
+
+/**
+ * Groups tracks by genre. A track tagged with several genres ("Rock / Pop")
+ * appears under each of them.
+ * @param {Object[]} tracks - Library tracks
+ * @returns {Object[]} - Genres sorted by name: { key, name, tracks, duration }
+ */
+export const groupByGenre = (tracks) => {
+  const genres = new Map();
+
+  tracks.forEach(track => {
+    const names = splitGenres(track.genre);
+    (names.length > 0 ? names : [UNKNOWN_GENRE]).forEach(name => {
+      const key = name.toLowerCase();
+      if (!genres.has(key)) genres.set(key, { key, name, tracks: [] });
+      genres.get(key).tracks.push(track);
+    });
+  });
+
+  return [...genres.values()]
+    .map(genre => ({ ...genre, duration: sumDuration(genre.tracks) }))
+    .sort((a, b) => compareText(a.name, b.name));
+};
+
+/**
+ * Formats a total running time, e.g. "42 min" or "3 h 5 min"
+ * @param {number} seconds - Total duration
+ * @returns {string} - Formatted duration
+ */
+export const formatTotalDuration = (seconds) => {
+  const minutes = Math.round((seconds || 0) / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
@@ -0,0 +1,361 @@
+// IndexedDB storage for the track library (audio blobs, track records, cached analysis and listening history)
+
+const DB_NAME = 'musicPlayerLibrary';
+const DB_VERSION = 4;
+
+const TRACKS_STORE = 'tracks';
+const BLOBS_STORE = 'blobs';
+const ARTWORK_STORE = 'artwork';
+// Waveform peaks, kept apart from the records so loading the library stays small
+const PEAKS_STORE = 'peaks';
+// One record per play, kept when the track is deleted
+const HISTORY_STORE = 'history';
+
+// Tag fields copied from getAudioMetadata onto the track record
+const TAG_FIELDS = [
+  'title',
+  'artist',
+  'albumArtist',
+  'album',
+  'trackNumber',
+  'trackTotal',
+  'discNumber',
+  'discTotal',
+  'year',
+  'genre',
+  'comment',
+  'replayGainTrackGain',
+  'replayGainTrackPeak',
+  'replayGainAlbumGain',
+  'replayGainAlbumPeak',
+  'lyrics'
+];
+
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<any>} - Resolves with the request result
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Waits for a transaction to commit
+ * @param {IDBTransaction} transaction - The transaction to wait for
+ * @returns {Promise<void>} - Resolves once the transaction completes
+ */
+const transactionDone = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+  });
+};
+
+/**
+ * Checks whether IndexedDB is available in the current environment
+ * @returns {boolean} - True if the library can be used
+ */
+export const isLibrarySupported = () => {
+  return typeof window !== 'undefined' && 'indexedDB' in window;
+};
+
+/**
+ * Opens (and creates or upgrades) the library database
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+export const openLibraryDb = () => {
+  if (!isLibrarySupported()) {
+    return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(TRACKS_STORE)) {
+          const tracks = db.createObjectStore(TRACKS_STORE, { keyPath: 'id' });
+          tracks.createIndex('addedAt', 'addedAt');
+          tracks.createIndex('name', 'name');
+        }
+
+        if (!db.objectStoreNames.contains(BLOBS_STORE)) {
+          db.createObjectStore(BLOBS_STORE);
+        }
+
+        if (!db.objectStoreNames.contains(ARTWORK_STORE)) {
+          db.createObjectStore(ARTWORK_STORE);
+        }
+
+        if (!db.objectStoreNames.contains(PEAKS_STORE)) {
+          db.createObjectStore(PEAKS_STORE);
+        }
+
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          const history = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+          history.createIndex('startedAt', 'startedAt');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Generates a unique id for a library track
+ * @returns {string} - Track id
+ */
+export const createTrackId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Copies tag fields from metadata onto a track record
+ * @param {Object} track - Track record to update
+ * @param {Object} metadata - Metadata from getAudioMetadata
+ * @returns {Object} - The updated track record
+ */
+const applyTags = (track, metadata) => {
+  TAG_FIELDS.forEach(field => {
+    if (metadata[field] !== undefined) {
+      track[field] = metadata[field];
+    }
+  });
+
+  track.hasArtwork = Boolean(metadata.picture);
+  track.tagsReadAt = Date.now();
+  return track;
+};
+
+/**
+ * Converts a parsed picture into a storable Blob
+ * @param {Object} picture - Picture from the tag reader ({ mimeType, data })
+ * @returns {Blob} - Image blob
+ */
+const pictureToBlob = (picture) => new Blob([picture.data], { type: picture.mimeType });
+
+/**
+ * Stores an audio file in the library
+ * @param {File} file - The audio file
+ * @param {Object} metadata - Metadata from getAudioMetadata
+ * @param {string} [contentHash] - SHA-256 of the file, for duplicate checks
+ * @returns {Promise<Object>} - The stored track record
+ */
+export const addTrackToLibrary = async (file, metadata = {}, contentHash = null) => {
+  const db = await openLibraryDb();
+
+  const track = applyTags({
+    id: createTrackId(),
+    name: metadata.name || file.name.replace(/\.[^/.]+$/, ''),
+    fileName: file.name,
+    size: file.size,
+    type: file.type,
+    format: metadata.format || null,
+    duration: metadata.duration || 0,
+    contentHash,
+    addedAt: Date.now()
+  }, metadata);
+
+  const transaction = db.transaction([TRACKS_STORE, BLOBS_STORE, ARTWORK_STORE], 'readwrite');
+  transaction.objectStore(BLOBS_STORE).put(file, track.id);
+  transaction.objectStore(TRACKS_STORE).put(track);
+  if (metadata.picture) {
+    transaction.objectStore(ARTWORK_STORE).put(pictureToBlob(metadata.picture), track.id);
+  }
+  await transactionDone(transaction);
+
+  return track;
+};
+
+/**
+ * Replaces the tag fields and artwork of a stored track
+ * @param {Object} track - Existing track record
+ * @param {Object} metadata - Tag fields to apply
+ * @returns {Promise<Object>} - The updated track record
+ */
+export const updateTrackTags = async (track, metadata) => {
+  const db = await openLibraryDb();
+  const updated = applyTags({ ...track }, metadata);
+
+  const transaction = db.transaction([TRACKS_STORE, ARTWORK_STORE], 'readwrite');
+  transaction.objectStore(TRACKS_STORE).put(updated);
+  if (metadata.picture) {
+    transaction.objectStore(ARTWORK_STORE).put(pictureToBlob(metadata.picture), track.id);
+  } else {
+    transaction.objectStore(ARTWORK_STORE).delete(track.id);
+  }
+  await transactionDone(transaction);
+
+  return updated;
+};
+
+/**
+ * Merges changes into a stored track record (e.g. analysis results)
+ * @param {string} id - Track id
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} - The updated record, or null if the track is gone
+ */
+export const updateTrackRecord = async (id, changes) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction(TRACKS_STORE, 'readwrite');
+  const store = transaction.objectStore(TRACKS_STORE);
+
+  const track = await promisifyRequest(store.get(id));
+  if (!track) return null;
+
+  const updated = { ...track, ...changes };
+  store.put(updated);
+  await transactionDone(transaction);
+
+  return updated;
+};
+
+/**
+ * Loads every track record, oldest first
+ * @returns {Promise<Array>} - Track records (without audio data)
+ */
+export const getLibraryTracks = async () => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction(TRACKS_STORE, 'readonly');
+  const index = transaction.objectStore(TRACKS_STORE).index('addedAt');
+
+  return promisifyRequest(index.getAll());
+};
+
+/**
+ * Loads the audio blob for a track
+ * @param {string} id - Track id
+ * @returns {Promise<Blob|null>} - The stored audio file or null
+ */
+export const getTrackBlob = async (id) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction(BLOBS_STORE, 'readonly');
+  const blob = await promisifyRequest(transaction.objectStore(BLOBS_STORE).get(id));
+
+  return blob || null;
+};
+
+/**
+ * Loads the embedded cover image for a track
+ * @param {string} id - Track id
+ * @returns {Promise<Blob|null>} - The cover image or null
+ */
+export const getTrackArtwork = async (id) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction(ARTWORK_STORE, 'readonly');
+  const blob = await promisifyRequest(transaction.objectStore(ARTWORK_STORE).get(id));
+
+  return blob || null;
+};
+
+/**
+ * Loads the cached waveform peaks for a track
+ * @param {string} id - Track id
+ * @returns {Promise<Object|null>} - Peaks from computePeaks or null
+ */
+export const getTrackPeaks = async (id) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction(PEAKS_STORE, 'readonly');
+  const peaks = await promisifyRequest(transaction.objectStore(PEAKS_STORE).get(id));
+
+  return peaks || null;
+};
+
+/**
+ * Caches the waveform peaks for a track
+ * @param {string} id - Track id
+ * @param {Object} peaks - Peaks from computePeaks
+ */
+export const saveTrackPeaks = async (id, peaks) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction(PEAKS_STORE, 'readwrite');
+  transaction.objectStore(PEAKS_STORE).put(peaks, id);
+  await transactionDone(transaction);
+};
+
+/**
+ * Logs a play. Counted plays also bump the track's play count and last played
+ * time, in the same transaction.
+ * @param {Object} entry - History entry from createHistoryEntry
+ * @returns {Promise<Object|null>} - The updated track record for counted plays, otherwise null
+ */
+export const addHistoryEntry = async (entry) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction([HISTORY_STORE, TRACKS_STORE], 'readwrite');
+  transaction.objectStore(HISTORY_STORE).add(entry);
+
+  let updated = null;
+  if (entry.counted) {
+    const store = transaction.objectStore(TRACKS_STORE);
+    const track = await promisifyRequest(store.get(entry.trackId));
+    if (track) {
+      updated = { ...track, playCount: (track.playCount || 0) + 1, lastPlayedAt: entry.startedAt };
+      store.put(updated);
+    }
+  }
+  await transactionDone(transaction);
+
+  return updated;
+};
+
+/**
+ * Loads listening history, oldest first
+ * @param {number} [from] - Earliest start time (ms since epoch)
+ * @param {number} [to] - Latest start time
+ * @returns {Promise<Array>} - History entries
+ */
+export const getHistoryEntries = async (from = 0, to = Date.now()) => {
+  const db = await openLibraryDb();
+  const transaction = db.transaction(HISTORY_STORE, 'readonly');
+  const index = transaction.objectStore(HISTORY_STORE).index('startedAt');
+
+  return promisifyRequest(index.getAll(IDBKeyRange.bound(from, to)));
+};
+
+/**
+ * Removes a track record and its audio data from the library
+ * @param {string} id - Track id
+ */
+export const deleteTrackFromLibrary = async (id) => {
+  const db = await openLibraryDb();
+  const stores = [TRACKS_STORE, BLOBS_STORE, ARTWORK_STORE, PEAKS_STORE];
+  const transaction = db.transaction(stores, 'readwrite');
+  stores.forEach(store => transaction.objectStore(store).delete(id));
+  await transactionDone(transaction);
+};
+
+/**
+ * Reads the storage usage and quota for this origin
+ * @returns {Promise<Object|null>} - { usage, quota } in bytes, or null if unavailable
+ */
+export const getStorageEstimate = async () => {
+  try {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    console.error('Failed to read storage estimate:', error);
+    return null;
+  }
+};
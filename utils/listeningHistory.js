@@ -0,0 +1,181 @@
+// Listening history: what counts as a play, and statistics over logged plays
+import {
+  eachDayOfInterval,
+  eachWeekOfInterval,
+  endOfDay,
+  format,
+  getDay,
+  getHours,
+  startOfDay,
+  startOfWeek,
+  subDays
+} from 'date-fns';
+import { getTrackTitle } from './audioUtils';
+
+// Scrobbling rules: a play counts after half the track or four minutes
+export const PLAY_THRESHOLD_FRACTION = 0.5;
+export const PLAY_THRESHOLD_SECONDS = 240;
+
+export const STATS_RANGES = [
+  { id: '7d', label: 'Last 7 days', days: 7 },
+  { id: '30d', label: 'Last 30 days', days: 30 },
+  { id: '90d', label: 'Last 90 days', days: 90 },
+  { id: '365d', label: 'Last year', days: 365 },
+  { id: 'custom', label: 'Custom' }
+];
+
+/**
+ * Whether enough of a track was heard for it to count as a play
+ * @param {number} listened - Seconds of the track heard
+ * @param {number} duration - Track duration
+ * @returns {boolean} - True once past 50% or 4 minutes
+ */
+export const isPlayCounted = (listened, duration) => {
+  const threshold = duration > 0
+    ? Math.min(duration * PLAY_THRESHOLD_FRACTION, PLAY_THRESHOLD_SECONDS)
+    : PLAY_THRESHOLD_SECONDS;
+  return listened >= threshold;
+};
+
+/**
+ * Builds a history record. Tags are copied so deleted tracks still show up
+ * in the statistics.
+ * @param {Object} track - Library track
+ * @param {Object} play - { startedAt, listened, duration, reachedEnd }
+ * @returns {Object} - History entry
+ */
+export const createHistoryEntry = (track, { startedAt, listened, duration, reachedEnd }) => {
+  const counted = isPlayCounted(listened, duration);
+
+  return {
+    trackId: track.id,
+    startedAt,
+    listened: Math.round(listened * 10) / 10,
+    duration: duration || track.duration || 0,
+    counted,
+    // Left before it counted, rather than finishing a short track
+    skipped: !counted && !reachedEnd,
+    title: getTrackTitle(track),
+    artist: track.artist || null,
+    albumArtist: track.albumArtist || null,
+    album: track.album || null
+  };
+};
+
+/**
+ * Date interval for a range preset
+ * @param {string} rangeId - Id from STATS_RANGES
+ * @param {Object} [custom] - { start, end } Dates for the custom range
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { start, end } Dates, whole days
+ */
+export const getStatsInterval = (rangeId, custom, now = new Date()) => {
+  const range = STATS_RANGES.find(item => item.id === rangeId) || STATS_RANGES[0];
+  if (range.id === 'custom' && custom?.start && custom?.end) {
+    const [start, end] = custom.start <= custom.end ? [custom.start, custom.end] : [custom.end, custom.start];
+    return { start: startOfDay(start), end: endOfDay(end) };
+  }
+
+  return { start: startOfDay(subDays(now, (range.days || 7) - 1)), end: endOfDay(now) };
+};
+
+/**
+ * Ranks tracks, artists or albums by counted plays, then by listening time
+ * @param {Object[]} entries - History entries
+ * @param {Function} getItem - entry -> { key, name } or null to leave the entry out
+ * @param {number} [limit] - Number of items to return
+ * @returns {Object[]} - [{ key, name, plays, minutes }]
+ */
+const rankEntries = (entries, getItem, limit) => {
+  const items = new Map();
+
+  entries.forEach(entry => {
+    const item = getItem(entry);
+    if (!item) return;
+
+    const ranked = items.get(item.key) || { ...item, plays: 0, minutes: 0 };
+    if (entry.counted) ranked.plays += 1;
+    ranked.minutes += entry.listened / 60;
+    items.set(item.key, ranked);
+  });
+
+  return [...items.values()]
+    .filter(item => item.plays > 0)
+    .sort((a, b) => b.plays - a.plays || b.minutes - a.minutes)
+    .slice(0, limit);
+};
+
+/**
+ * Summarizes listening history for the stats dashboard
+ * @param {Object[]} entries - History entries within the interval
+ * @param {Object} interval - { start, end } Dates
+ * @param {Map} [tracksById] - Current library tracks, for up-to-date names
+ * @param {number} [limit] - Items in each top list
+ * @returns {Object} - { totals, topTracks, topArtists, topAlbums, perDay, perWeek, heatmap }
+ */
+export const getListeningStats = (entries, interval, tracksById = new Map(), limit = 10) => {
+  const describe = (entry) => ({ ...entry, ...tracksById.get(entry.trackId) });
+
+  const topTracks = rankEntries(entries, entry => {
+    const track = describe(entry);
+    return { key: entry.trackId, name: getTrackTitle(track), artist: track.artist || null };
+  }, limit);
+
+  const topArtists = rankEntries(entries, entry => {
+    const name = describe(entry).artist;
+    return name ? { key: name.toLowerCase(), name } : null;
+  }, limit);
+
+  const topAlbums = rankEntries(entries, entry => {
+    const { album, albumArtist, artist } = describe(entry);
+    if (!album) return null;
+    const by = albumArtist || artist || '';
+    return { key: `${by.toLowerCase()}\u0000${album.toLowerCase()}`, name: album, artist: by || null };
+  }, limit);
+
+  const minutesByDay = new Map();
+  const minutesByWeek = new Map();
+  // [weekday][hour] minutes, Sunday first
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+
+  entries.forEach(entry => {
+    const minutes = entry.listened / 60;
+    const day = startOfDay(entry.startedAt).getTime();
+    const week = startOfWeek(entry.startedAt).getTime();
+
+    minutesByDay.set(day, (minutesByDay.get(day) || 0) + minutes);
+    minutesByWeek.set(week, (minutesByWeek.get(week) || 0) + minutes);
+    heatmap[getDay(entry.startedAt)][getHours(entry.startedAt)] += minutes;
+  });
+
+  const perDay = eachDayOfInterval(interval).map(date => ({
+    date: date.getTime(),
+    label: format(date, 'MMM d'),
+    minutes: Math.round(minutesByDay.get(date.getTime()) || 0)
+  }));
+
+  const perWeek = eachWeekOfInterval(interval).map(date => ({
+    date: date.getTime(),
+    label: format(date, "'Week of' MMM d"),
+    minutes: Math.round(minutesByWeek.get(date.getTime()) || 0)
+  }));
+
+  const plays = entries.filter(entry => entry.counted).length;
+  const skips = entries.filter(entry => entry.skipped).length;
+
+  return {
+    totals: {
+      plays,
+      skips,
+      starts: entries.length,
+      skipRate: entries.length > 0 ? skips / entries.length : 0,
+      minutes: entries.reduce((total, entry) => total + entry.listened / 60, 0)
+    },
+    topTracks,
+    topArtists,
+    topAlbums,
+    perDay,
+    perWeek,
+    heatmap
+  };
+};
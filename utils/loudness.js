@@ -0,0 +1,338 @@
+// Offline loudness analysis (ITU-R BS.1770 / EBU R128) and normalization gains
+
+export const NORMALIZATION_OFF = 'off';
+export const NORMALIZATION_TRACK = 'track';
+export const NORMALIZATION_ALBUM = 'album';
+
+export const NORMALIZATION_MODES = [
+  { id: NORMALIZATION_OFF, label: 'Off' },
+  { id: NORMALIZATION_TRACK, label: 'Track' },
+  { id: NORMALIZATION_ALBUM, label: 'Album' }
+];
+
+// ReplayGain 2.0 reference level
+export const REFERENCE_LOUDNESS = -18;
+
+// Normalization never pushes the true peak above this (dBTP)
+const TRUE_PEAK_CEILING = -1;
+
+// Decoding resamples to this rate, which the K-weighting filters are specified at
+const ANALYSIS_SAMPLE_RATE = 48000;
+
+// A decoded hour of stereo audio needs over a gigabyte, so skip very long files
+export const MAX_ANALYSIS_SECONDS = 30 * 60;
+
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+const OVERSAMPLING = 4;
+const TAPS_PER_PHASE = 12;
+
+// Samples processed between yields to the event loop
+const CHUNK_SAMPLES = 1 << 18;
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Computes the two K-weighting biquads (pre-filter shelf + RLB high-pass) for a sample rate
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {Object[]} - Two filters as { b: [b0, b1, b2], a: [a1, a2] }
+ */
+const getKWeightingFilters = (sampleRate) => {
+  // High shelf, +4 dB above ~1.7 kHz (head diffraction)
+  const shelfGain = 3.999843853973347;
+  const shelfFrequency = 1681.974450955533;
+  const shelfQ = 0.7071752369554196;
+  let K = Math.tan(Math.PI * shelfFrequency / sampleRate);
+  const Vh = Math.pow(10, shelfGain / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / shelfQ + K * K;
+
+  const shelf = {
+    b: [
+      (Vh + Vb * K / shelfQ + K * K) / a0,
+      2 * (K * K - Vh) / a0,
+      (Vh - Vb * K / shelfQ + K * K) / a0
+    ],
+    a: [2 * (K * K - 1) / a0, (1 - K / shelfQ + K * K) / a0]
+  };
+
+  // High-pass at ~38 Hz
+  const highPassFrequency = 38.13547087602444;
+  const highPassQ = 0.5003270373238773;
+  K = Math.tan(Math.PI * highPassFrequency / sampleRate);
+  a0 = 1 + K / highPassQ + K * K;
+
+  const highPass = {
+    b: [1, -2, 1],
+    a: [2 * (K * K - 1) / a0, (1 - K / highPassQ + K * K) / a0]
+  };
+
+  return [shelf, highPass];
+};
+
+/**
+ * Builds the polyphase interpolation filter used for true-peak detection
+ * @returns {Float64Array[]} - One set of taps per phase
+ */
+const createInterpolationPhases = () => {
+  const length = OVERSAMPLING * TAPS_PER_PHASE;
+  const centre = (length - 1) / 2;
+  const phases = Array.from({ length: OVERSAMPLING }, () => new Float64Array(TAPS_PER_PHASE));
+
+  for (let i = 0; i < length; i++) {
+    const x = (i - centre) / OVERSAMPLING;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    // Blackman window
+    const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (length - 1)) +
+      0.08 * Math.cos(4 * Math.PI * i / (length - 1));
+    phases[i % OVERSAMPLING][Math.floor(i / OVERSAMPLING)] = sinc * window;
+  }
+
+  return phases;
+};
+
+/**
+ * Sums the K-weighted energy of one channel in consecutive 100 ms steps
+ * @param {Float32Array} samples - Channel samples
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {number} stepSamples - Samples per step
+ * @returns {Promise<Float64Array>} - Sum of squares per step
+ */
+const measureChannelEnergy = async (samples, sampleRate, stepSamples) => {
+  const [shelf, highPass] = getKWeightingFilters(sampleRate);
+  const steps = new Float64Array(Math.floor(samples.length / stepSamples));
+
+  // Direct form I state for both stages
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  let z1 = 0, z2 = 0;
+
+  for (let start = 0; start < steps.length * stepSamples; start += CHUNK_SAMPLES) {
+    const end = Math.min(start + CHUNK_SAMPLES, steps.length * stepSamples);
+
+    for (let i = start; i < end; i++) {
+      const x = samples[i];
+      const y = shelf.b[0] * x + shelf.b[1] * x1 + shelf.b[2] * x2 - shelf.a[0] * y1 - shelf.a[1] * y2;
+      x2 = x1;
+      x1 = x;
+
+      const z = highPass.b[0] * y + highPass.b[1] * y1 + highPass.b[2] * y2 - highPass.a[0] * z1 - highPass.a[1] * z2;
+      y2 = y1;
+      y1 = y;
+      z2 = z1;
+      z1 = z;
+
+      steps[Math.floor(i / stepSamples)] += z * z;
+    }
+
+    await yieldToEventLoop();
+  }
+
+  return steps;
+};
+
+/**
+ * Estimates the true peak of one channel by 4x oversampling. Interpolation only
+ * runs near samples within 6 dB of the sample peak, where inter-sample peaks
+ * can actually exceed it.
+ * @param {Float32Array} samples - Channel samples
+ * @param {Float64Array[]} phases - Interpolation filter phases
+ * @returns {Promise<number>} - Linear true peak
+ */
+const measureChannelTruePeak = async (samples, phases) => {
+  let samplePeak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.abs(samples[i]);
+    if (value > samplePeak) samplePeak = value;
+  }
+
+  const threshold = samplePeak / 2;
+  const half = TAPS_PER_PHASE / 2;
+  let peak = samplePeak;
+
+  for (let start = 0; start < samples.length; start += CHUNK_SAMPLES) {
+    const end = Math.min(start + CHUNK_SAMPLES, samples.length);
+
+    for (let n = Math.max(start, half); n < end && n < samples.length - half; n++) {
+      if (Math.abs(samples[n]) < threshold) continue;
+
+      for (let p = 1; p < OVERSAMPLING; p++) {
+        const taps = phases[p];
+        let value = 0;
+        for (let k = 0; k < TAPS_PER_PHASE; k++) {
+          value += taps[k] * samples[n + half - k];
+        }
+        value = Math.abs(value);
+        if (value > peak) peak = value;
+      }
+    }
+
+    await yieldToEventLoop();
+  }
+
+  return peak;
+};
+
+/**
+ * Measures integrated loudness and true peak of decoded audio
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @returns {Promise<Object>} - { integrated (LUFS, null for silence), truePeak (dBTP, null for silence) }
+ */
+export const measureLoudness = async (buffer) => {
+  const { sampleRate, numberOfChannels } = buffer;
+  const stepSamples = Math.round(sampleRate * STEP_SECONDS);
+  const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+  const blockSamples = stepSamples * stepsPerBlock;
+
+  // Surround channels (Ls, Rs in 5.1) weigh +1.5 dB; the LFE isn't counted
+  const weights = Array.from({ length: numberOfChannels }, (_, channel) => {
+    if (numberOfChannels === 6) return [1, 1, 1, 0, 1.41, 1.41][channel];
+    return 1;
+  });
+
+  const phases = createInterpolationPhases();
+  const channelSteps = [];
+  let truePeak = 0;
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const samples = buffer.getChannelData(channel);
+    channelSteps.push(weights[channel] ? await measureChannelEnergy(samples, sampleRate, stepSamples) : null);
+    truePeak = Math.max(truePeak, await measureChannelTruePeak(samples, phases));
+  }
+
+  // Mean square of each 400 ms block (75% overlap), weighted across channels
+  const stepCount = channelSteps.find(Boolean)?.length || 0;
+  const blocks = [];
+  for (let i = 0; i + stepsPerBlock <= stepCount; i++) {
+    let power = 0;
+    channelSteps.forEach((steps, channel) => {
+      if (!steps) return;
+      let sum = 0;
+      for (let j = 0; j < stepsPerBlock; j++) sum += steps[i + j];
+      power += weights[channel] * sum / blockSamples;
+    });
+    blocks.push(power);
+  }
+
+  const toLoudness = (power) => -0.691 + 10 * Math.log10(power);
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const absoluteGated = blocks.filter(power => power > 0 && toLoudness(power) > ABSOLUTE_GATE);
+  if (absoluteGated.length === 0) {
+    return { integrated: null, truePeak: truePeak > 0 ? 20 * Math.log10(truePeak) : null };
+  }
+
+  const relativeThreshold = toLoudness(mean(absoluteGated)) + RELATIVE_GATE;
+  const gated = absoluteGated.filter(power => toLoudness(power) > relativeThreshold);
+
+  return {
+    integrated: toLoudness(mean(gated)),
+    truePeak: 20 * Math.log10(truePeak)
+  };
+};
+
+/**
+ * Decodes an audio file and measures its loudness
+ * @param {Blob} blob - The audio file
+ * @returns {Promise<Object>} - { integrated, truePeak }
+ */
+export const analyzeLoudness = async (blob) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) throw new Error('Offline audio decoding is not supported');
+
+  const context = new OfflineContext(1, 1, ANALYSIS_SAMPLE_RATE);
+  const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+
+  return measureLoudness(buffer);
+};
+
+/**
+ * Key that groups tracks of the same album
+ * @param {Object} track - Track record
+ * @returns {string|null} - Album key or null if the track has no album tag
+ */
+export const getAlbumKey = (track) => {
+  if (!track?.album) return null;
+  return `${(track.albumArtist || track.artist || '').toLowerCase()}\u0000${track.album.toLowerCase()}`;
+};
+
+/**
+ * Combines analysed tracks into per-album loudness (energy average weighted by duration)
+ * @param {Object[]} tracks - Library tracks
+ * @returns {Map} - Album key -> { integrated, truePeak }
+ */
+export const getAlbumLoudness = (tracks) => {
+  const albums = new Map();
+
+  tracks.forEach(track => {
+    const key = getAlbumKey(track);
+    const { integrated, truePeak } = track.loudness || {};
+    if (!key || !Number.isFinite(integrated)) return;
+
+    const album = albums.get(key) || { energy: 0, duration: 0, truePeak: -Infinity };
+    const duration = track.duration || 1;
+    album.energy += Math.pow(10, integrated / 10) * duration;
+    album.duration += duration;
+    if (Number.isFinite(truePeak)) album.truePeak = Math.max(album.truePeak, truePeak);
+    albums.set(key, album);
+  });
+
+  const result = new Map();
+  albums.forEach((album, key) => {
+    result.set(key, {
+      integrated: 10 * Math.log10(album.energy / album.duration),
+      truePeak: Number.isFinite(album.truePeak) ? album.truePeak : null
+    });
+  });
+  return result;
+};
+
+const linearToDb = (value) => (value > 0 ? 20 * Math.log10(value) : null);
+
+/**
+ * Works out the normalization gain for a track. ReplayGain tags are used when
+ * present, otherwise the locally measured loudness; the result is limited so
+ * the true peak stays below -1 dBTP.
+ * @param {Object} track - Track record
+ * @param {string} mode - NORMALIZATION_OFF, NORMALIZATION_TRACK or NORMALIZATION_ALBUM
+ * @param {Map} [albumLoudness] - From getAlbumLoudness
+ * @returns {number} - Gain in dB
+ */
+export const getNormalizationGain = (track, mode, albumLoudness) => {
+  if (!track || mode === NORMALIZATION_OFF) return 0;
+
+  let gain = null;
+  let peak = null;
+
+  if (mode === NORMALIZATION_ALBUM) {
+    const album = albumLoudness?.get(getAlbumKey(track));
+    if (Number.isFinite(track.replayGainAlbumGain)) {
+      gain = track.replayGainAlbumGain;
+      peak = linearToDb(track.replayGainAlbumPeak);
+    } else if (album) {
+      gain = REFERENCE_LOUDNESS - album.integrated;
+      peak = album.truePeak;
+    }
+  }
+
+  if (gain === null) {
+    if (Number.isFinite(track.replayGainTrackGain)) {
+      gain = track.replayGainTrackGain;
+      peak = linearToDb(track.replayGainTrackPeak);
+    } else if (Number.isFinite(track.loudness?.integrated)) {
+      gain = REFERENCE_LOUDNESS - track.loudness.integrated;
+      peak = track.loudness.truePeak;
+    }
+  }
+
+  if (gain === null) return 0;
+
+  // Clipping guard
+  if (Number.isFinite(peak)) {
+    gain = Math.min(gain, TRUE_PEAK_CEILING - peak);
+  }
+
+  return gain;
+};
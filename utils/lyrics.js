@@ -0,0 +1,158 @@
+// Lyrics: LRC parsing (including enhanced word timestamps) and timing lookups
+
+export const LRC_ACCEPT = '.lrc,.txt,text/plain';
+
+// [mm:ss], [mm:ss.xx] or [mm:ss:xx]
+const LINE_TIME_PATTERN = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+// <mm:ss.xx> inside a line (enhanced LRC)
+const WORD_TIME_PATTERN = /<(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+const METADATA_PATTERN = /^\[([a-z#]+):(.*)\]$/i;
+
+/**
+ * Converts LRC time parts to seconds
+ * @param {string} minutes - Minutes
+ * @param {string} seconds - Seconds
+ * @param {string} [fraction] - Hundredths (2 digits) or milliseconds (3 digits)
+ * @returns {number} - Seconds
+ */
+const toSeconds = (minutes, seconds, fraction = '') => {
+  const fractionSeconds = fraction ? parseInt(fraction, 10) / Math.pow(10, fraction.length) : 0;
+  return parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + fractionSeconds;
+};
+
+/**
+ * Splits an enhanced LRC line into timed words
+ * @param {string} text - Line text after the line timestamps
+ * @param {number} lineTime - Start of the line (seconds)
+ * @param {number} [shift] - Seconds added to the word timestamps
+ * @returns {Object} - { text, words } where words is null for plain lines
+ */
+const parseWords = (text, lineTime, shift = 0) => {
+  const matches = [...text.matchAll(WORD_TIME_PATTERN)];
+  if (matches.length === 0) return { text: text.trim(), words: null };
+
+  const words = [];
+  // Text before the first word timestamp starts with the line
+  const leading = text.slice(0, matches[0].index);
+  if (leading.trim()) words.push({ time: lineTime, text: leading });
+
+  matches.forEach((match, index) => {
+    const end = index + 1 < matches.length ? matches[index + 1].index : text.length;
+    const word = text.slice(match.index + match[0].length, end);
+    if (word) words.push({ time: toSeconds(match[1], match[2], match[3]) + shift, text: word });
+  });
+
+  return { text: words.map(word => word.text).join('').trim(), words };
+};
+
+/**
+ * Parses LRC lyrics
+ * @param {string} source - File contents
+ * @returns {Object} - { synced, lines: [{ time, text, words }], offset (seconds), title, artist, album }
+ *   Lines are sorted by time; unsynced text keeps its order with time null.
+ */
+export const parseLrc = (source) => {
+  const lines = [];
+  const plain = [];
+  const result = { synced: false, lines, offset: 0 };
+
+  source.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const times = [...line.matchAll(LINE_TIME_PATTERN)];
+    if (times.length === 0 || times[0].index !== 0) {
+      const metadata = line.match(METADATA_PATTERN);
+      if (metadata) {
+        const [, key, value] = metadata;
+        const tag = key.toLowerCase();
+        // The offset is in milliseconds; positive shows lyrics earlier
+        if (tag === 'offset') result.offset = (parseInt(value, 10) || 0) / 1000;
+        else if (tag === 'ti') result.title = value.trim();
+        else if (tag === 'ar') result.artist = value.trim();
+        else if (tag === 'al') result.album = value.trim();
+        return;
+      }
+
+      plain.push(line);
+      return;
+    }
+
+    // Several timestamps can share one line (repeated choruses). Word
+    // timestamps are written for the first one and move with each repeat.
+    const lastTime = times[times.length - 1];
+    const text = line.slice(lastTime.index + lastTime[0].length);
+    const firstTime = toSeconds(times[0][1], times[0][2], times[0][3]);
+    times.forEach(match => {
+      const time = toSeconds(match[1], match[2], match[3]);
+      lines.push({ time, ...parseWords(text, time, time - firstTime) });
+    });
+  });
+
+  if (lines.length > 0) {
+    result.synced = true;
+    lines.sort((a, b) => a.time - b.time);
+  } else {
+    plain.forEach(text => lines.push({ time: null, text, words: null }));
+  }
+
+  return result;
+};
+
+/**
+ * Builds unsynced lyrics from plain text (e.g. an ID3 USLT frame)
+ * @param {string} text - Lyrics text
+ * @returns {Object} - { synced: false, lines }
+ */
+export const createPlainLyrics = (text) => ({
+  synced: false,
+  lines: text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .map(line => ({ time: null, text: line, words: null }))
+});
+
+/**
+ * Finds the line being sung at a time
+ * @param {Array} lines - Synced lines sorted by time
+ * @param {number} time - Playback position (seconds), offset already applied
+ * @returns {number} - Line index, or -1 before the first line
+ */
+export const getActiveLineIndex = (lines, time) => {
+  let low = 0;
+  let high = lines.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (lines[middle].time <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return found;
+};
+
+/**
+ * Finds the last word reached in an enhanced line
+ * @param {Object} line - Line with words
+ * @param {number} time - Playback position (seconds), offset already applied
+ * @returns {number} - Word index, or -1
+ */
+export const getActiveWordIndex = (line, time) => {
+  if (!line?.words) return -1;
+  return getActiveLineIndex(line.words, time);
+};
+
+/**
+ * Formats an offset for display, e.g. "+0.5s"
+ * @param {number} seconds - Offset
+ * @returns {string} - Formatted offset
+ */
+export const formatLyricsOffset = (seconds) => {
+  const rounded = Math.round(seconds * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}s`;
+};
@@ -0,0 +1,155 @@
+// MP4 / M4A metadata atom (iTunes "ilst") reader
+
+import {
+  compactTags,
+  readAscii,
+  readBytes,
+  readUint16BE,
+  readUint32BE,
+  readUtf8
+} from './binaryReader';
+import { ID3_GENRES } from './id3';
+
+// Containers we descend into on the way to moov > udta > meta > ilst
+const CONTAINER_ATOMS = ['moov', 'udta', 'meta', 'ilst'];
+
+const TEXT_ATOMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  aART: 'albumArtist',
+  '©alb': 'album',
+  '©gen': 'genre',
+  '©cmt': 'comment'
+};
+
+// "data" atom type indicators
+const DATA_TYPE_PNG = 14;
+
+/**
+ * Splits a range of bytes into atoms
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {Array} - Atoms as { type, start, end } (body range)
+ */
+const readAtoms = (bytes, start, end) => {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = readUint32BE(bytes, offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      // 64-bit size; metadata atoms never need the high word
+      size = readUint32BE(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) break;
+
+    atoms.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return atoms;
+};
+
+/**
+ * Finds the top-level moov atom without reading the (large) mdat payload
+ * @param {Blob} file - The MP4 file
+ * @returns {Promise<Uint8Array|null>} - The moov atom including its header
+ */
+const readMoovAtom = async (file) => {
+  let offset = 0;
+
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, 16);
+    let size = readUint32BE(header, 0);
+    const type = readAscii(header, 4, 4);
+
+    if (size === 1) {
+      size = readUint32BE(header, 8) * 0x100000000 + readUint32BE(header, 12);
+    } else if (size === 0) {
+      size = file.size - offset;
+    }
+
+    if (size < 8) return null;
+    if (type === 'moov') return readBytes(file, offset, size);
+
+    offset += size;
+  }
+
+  return null;
+};
+
+/**
+ * Reads the payload of the "data" atom inside an ilst item
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {Object} item - The ilst item atom
+ * @returns {Object|null} - { type, value } where value is the raw payload
+ */
+const readDataAtom = (bytes, item) => {
+  const data = readAtoms(bytes, item.start, item.end).find(atom => atom.type === 'data');
+  if (!data) return null;
+
+  return {
+    type: readUint32BE(bytes, data.start) & 0xffffff,
+    // Skip the type indicator and locale
+    value: bytes.subarray(data.start + 8, data.end)
+  };
+};
+
+/**
+ * Reads tags from an MP4/M4A file
+ * @param {Blob} file - The MP4 file
+ * @returns {Promise<Object|null>} - Tag fields or null if none were found
+ */
+export const readMp4Tags = async (file) => {
+  const moov = await readMoovAtom(file);
+  if (!moov) return null;
+
+  // Walk down moov > udta > meta > ilst
+  let atom = { type: 'root', start: 0, end: moov.length };
+  for (const type of CONTAINER_ATOMS) {
+    // meta is a "full box" with four bytes of version and flags before its children
+    const childStart = atom.type === 'meta' ? atom.start + 4 : atom.start;
+    atom = readAtoms(moov, childStart, atom.end).find(child => child.type === type);
+    if (!atom) return null;
+  }
+
+  const tags = {};
+
+  readAtoms(moov, atom.start, atom.end).forEach(item => {
+    const data = readDataAtom(moov, item);
+    if (!data) return;
+
+    if (TEXT_ATOMS[item.type]) {
+      tags[TEXT_ATOMS[item.type]] = readUtf8(data.value, 0, data.value.length).trim();
+    } else if (item.type === '©day') {
+      const year = parseInt(readUtf8(data.value, 0, data.value.length), 10);
+      if (Number.isFinite(year)) tags.year = year;
+    } else if (item.type === 'trkn' && data.value.length >= 6) {
+      tags.trackNumber = readUint16BE(data.value, 2) || null;
+      tags.trackTotal = readUint16BE(data.value, 4) || null;
+    } else if (item.type === 'disk' && data.value.length >= 6) {
+      tags.discNumber = readUint16BE(data.value, 2) || null;
+      tags.discTotal = readUint16BE(data.value, 4) || null;
+    } else if (item.type === 'gnre' && !tags.genre && data.value.length >= 2) {
+      // Stored as the ID3v1 genre index plus one
+      tags.genre = ID3_GENRES[readUint16BE(data.value, 0) - 1];
+    } else if (item.type === 'covr' && !tags.picture && data.value.length) {
+      tags.picture = {
+        mimeType: data.type === DATA_TYPE_PNG ? 'image/png' : 'image/jpeg',
+        type: 3,
+        description: '',
+        data: data.value.slice()
+      };
+    }
+  });
+
+  return compactTags(tags);
+};
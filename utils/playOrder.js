@@ -0,0 +1,109 @@
+// Play order helpers: repeat modes and reproducible (seeded) shuffle orders
+
+export const REPEAT_OFF = 'off';
+export const REPEAT_ALL = 'all';
+export const REPEAT_ONE = 'one';
+
+export const REPEAT_MODES = [REPEAT_OFF, REPEAT_ALL, REPEAT_ONE];
+
+/**
+ * Gets the repeat mode that follows the given one (Off -> All -> One -> Off)
+ * @param {string} mode - Current repeat mode
+ * @returns {string} - Next repeat mode
+ */
+export const getNextRepeatMode = (mode) => {
+  const index = REPEAT_MODES.indexOf(mode);
+  return REPEAT_MODES[(index + 1) % REPEAT_MODES.length];
+};
+
+/**
+ * Creates a random 32-bit seed for a new shuffle
+ * @returns {number} - Seed
+ */
+export const createShuffleSeed = () => Math.floor(Math.random() * 0x100000000);
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+};
+
+/**
+ * Builds a full permutation of track ids with a Fisher-Yates shuffle
+ * @param {string[]} ids - Track ids
+ * @param {number} seed - Shuffle seed; the same seed always gives the same order
+ * @param {string} [firstId] - Track to keep at the front (usually the one playing)
+ * @returns {string[]} - Shuffled ids
+ */
+export const shuffleIds = (ids, seed, firstId) => {
+  const random = createRandom(seed);
+  const rest = ids.filter(id => id !== firstId);
+
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+
+  return firstId && ids.includes(firstId) ? [firstId, ...rest] : rest;
+};
+
+/**
+ * Builds the order for the next pass through the playlist in shuffle + repeat all,
+ * making sure the same track doesn't play twice in a row across the boundary
+ * @param {string[]} order - The order that just finished
+ * @param {number} seed - Seed of the finished order
+ * @returns {string[]} - The next order
+ */
+export const getNextCycleOrder = (order, seed) => {
+  const next = shuffleIds(order, (seed + 1) >>> 0);
+
+  if (next.length > 1 && next[0] === order[order.length - 1]) {
+    [next[0], next[1]] = [next[1], next[0]];
+  }
+
+  return next;
+};
+
+/**
+ * Keeps a shuffle order in step with the playlist: removed tracks are dropped and
+ * new tracks are slotted at random among the ones that haven't played yet, so
+ * the existing order is never reshuffled
+ * @param {string[]} order - Current shuffle order
+ * @param {string[]} ids - Current playlist ids
+ * @param {string} currentId - Track that is playing
+ * @param {number} seed - Shuffle seed
+ * @returns {string[]} - Updated order (the same array if nothing changed)
+ */
+export const reconcileShuffleOrder = (order, ids, currentId, seed) => {
+  const idSet = new Set(ids);
+  const kept = order.filter(id => idSet.has(id));
+  const keptSet = new Set(kept);
+  const added = ids.filter(id => !keptSet.has(id));
+
+  if (added.length === 0) {
+    return kept.length === order.length ? order : kept;
+  }
+
+  // Derive the insert positions from the seed so the result is reproducible
+  const random = createRandom((seed ^ (kept.length * 0x9e3779b1)) >>> 0);
+  const result = [...kept];
+
+  added.forEach(id => {
+    const start = result.indexOf(currentId) + 1;
+    const index = start + Math.floor(random() * (result.length - start + 1));
+    result.splice(index, 0, id);
+  });
+
+  return result;
+};
@@ -0,0 +1,576 @@
+// Dual-deck playback engine with gapless transitions and equal-power crossfades
+
+export const MAX_CROSSFADE_SECONDS = 12;
+
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 2;
+export const PLAYBACK_RATE_STEP = 0.05;
+
+// Shorter A–B loops can't be followed reliably by the monitor
+export const MIN_LOOP_SECONDS = 0.5;
+
+// Media elements can't be started sample-accurately, so "gapless" overlaps the
+// last few milliseconds of a track with a tiny fade. That hides the start-up
+// latency of the next element without an audible gap or click.
+const GAPLESS_OVERLAP_SECONDS = 0.05;
+
+const MONITOR_INTERVAL_MS = 20;
+// An A–B loop ending at the very end of a track wraps this early
+const LOOP_END_MARGIN_SECONDS = 0.1;
+const CURVE_STEPS = 128;
+
+/**
+ * Builds equal-power (constant loudness) fade curves
+ * @param {number} steps - Number of points in each curve
+ * @returns {Object} - { fadeIn, fadeOut } as Float32Arrays
+ */
+export const createEqualPowerCurves = (steps = CURVE_STEPS) => {
+  const fadeIn = new Float32Array(steps);
+  const fadeOut = new Float32Array(steps);
+
+  for (let i = 0; i < steps; i++) {
+    const position = i / (steps - 1);
+    fadeIn[i] = Math.sin(position * Math.PI / 2);
+    fadeOut[i] = Math.cos(position * Math.PI / 2);
+  }
+
+  return { fadeIn, fadeOut };
+};
+
+/**
+ * Clamps a crossfade duration to the supported range
+ * @param {number} seconds - Requested crossfade
+ * @returns {number} - Crossfade between 0 and MAX_CROSSFADE_SECONDS
+ */
+export const clampCrossfade = (seconds) => {
+  return Math.min(Math.max(Number(seconds) || 0, 0), MAX_CROSSFADE_SECONDS);
+};
+
+/**
+ * Clamps a playback rate to the supported range and step
+ * @param {number} rate - Requested rate (1 is normal speed)
+ * @returns {number} - Rate between MIN_PLAYBACK_RATE and MAX_PLAYBACK_RATE
+ */
+export const clampPlaybackRate = (rate) => {
+  const value = Math.min(Math.max(Number(rate) || 1, MIN_PLAYBACK_RATE), MAX_PLAYBACK_RATE);
+  // toFixed drops the float error from the step multiplication
+  return Number((Math.round(value / PLAYBACK_RATE_STEP) * PLAYBACK_RATE_STEP).toFixed(2));
+};
+
+/**
+ * Reads the playback settings saved on a track record
+ * @param {Object|null} track - Library track
+ * @returns {Object} - { rate, preservesPitch }
+ */
+export const getTrackPlaybackSettings = (track) => ({
+  rate: clampPlaybackRate(track?.playbackRate ?? 1),
+  preservesPitch: track?.preservesPitch !== false
+});
+
+/**
+ * Builds a valid A–B loop
+ * @param {number} start - Loop start (A) in seconds
+ * @param {number} end - Loop end (B) in seconds
+ * @param {number} duration - Track duration
+ * @returns {Object|null} - { start, end }, or null if the loop would be too short
+ */
+export const createAbLoop = (start, end, duration) => {
+  const clamp = (time) => Math.min(Math.max(time, 0), duration);
+  const loop = { start: clamp(start), end: clamp(end) };
+  return loop.end - loop.start >= MIN_LOOP_SECONDS ? loop : null;
+};
+
+/**
+ * Creates a playback engine with two audio elements ("decks"). While one deck
+ * plays, the next track is preloaded on the other so it can take over without
+ * a gap, optionally crossfading between them.
+ *
+ * Callbacks: onTimeUpdate(time), onDurationChange(duration), onPlayingChange(isPlaying),
+ * onTrackChange(track) when the engine advances on its own, onEnded() when a track
+ * finishes with nothing preloaded, onTrackRelease(track) when no deck uses a track
+ * any more, and onError(error).
+ *
+ * @param {Object} audioEngine - Shared engine from createAudioEngine; the decks play into its input
+ * @param {Object} callbacks - Event callbacks
+ * @returns {Object} - Engine API
+ */
+export const createPlaybackEngine = (audioEngine, callbacks = {}) => {
+  const decks = [0, 1].map(() => {
+    const audio = new Audio();
+    audio.preload = 'auto';
+    return { audio, source: null, gain: null, normalize: null, track: null, startTime: 0 };
+  });
+
+  let active = 0;
+  let context = null;
+  let master = null;
+  let volume = 1;
+  let crossfade = 0;
+  let loop = false;
+  let transitionTimer = null;
+  let outgoingDeck = null;
+  let pendingPreload = undefined;
+  let monitor = null;
+  // Master volume is fading out (sleep timer)
+  let fadingOut = false;
+  // Normalization gain (dB) per track id
+  const trackGains = new Map();
+  // Playback rate and pitch handling per track id
+  const trackPlayback = new Map();
+  // A–B loop ({ start, end }) per track id
+  const trackLoops = new Map();
+
+  const emit = (name, ...args) => callbacks[name]?.(...args);
+  const current = () => decks[active];
+  const standby = () => decks[1 - active];
+
+  // Only the active deck loops; the standby deck must end normally
+  const applyLoop = () => {
+    decks.forEach(deck => {
+      deck.audio.loop = loop && deck === current();
+    });
+  };
+
+  const applyTrackGain = (deck, immediate = false) => {
+    if (!deck.normalize) return;
+
+    const value = Math.pow(10, (trackGains.get(deck.track?.id) || 0) / 20);
+    const param = deck.normalize.gain;
+    param.cancelScheduledValues(context.currentTime);
+    if (immediate) {
+      param.setValueAtTime(value, context.currentTime);
+    } else {
+      param.setTargetAtTime(value, context.currentTime, 0.1);
+    }
+  };
+
+  const applyTrackPlayback = (deck) => {
+    const { audio } = deck;
+    const { rate, preservesPitch } = trackPlayback.get(deck.track?.id) || getTrackPlaybackSettings(null);
+
+    // Loading a new source resets playbackRate to the default rate
+    audio.defaultPlaybackRate = rate;
+    audio.playbackRate = rate;
+    audio.preservesPitch = preservesPitch;
+    if ('webkitPreservesPitch' in audio) audio.webkitPreservesPitch = preservesPitch;
+    if ('mozPreservesPitch' in audio) audio.mozPreservesPitch = preservesPitch;
+  };
+
+  const setDeckGain = (deck, value) => {
+    if (deck.gain) {
+      deck.gain.gain.cancelScheduledValues(context.currentTime);
+      deck.gain.gain.setValueAtTime(value, context.currentTime);
+    } else {
+      deck.audio.volume = value * volume;
+    }
+  };
+
+  // Build the decks' part of the graph; must run from a user gesture
+  const ensureGraph = () => {
+    if (context) return context;
+
+    context = audioEngine.ensureContext();
+    if (!context) return null;
+
+    master = context.createGain();
+    master.gain.value = volume;
+    master.connect(audioEngine.getInput());
+
+    // source -> fade gain -> normalization gain -> master -> shared engine
+    decks.forEach(deck => {
+      deck.source = audioEngine.connectMediaElement(deck.audio);
+      deck.gain = context.createGain();
+      deck.normalize = context.createGain();
+      deck.source.connect(deck.gain);
+      deck.gain.connect(deck.normalize);
+      deck.normalize.connect(master);
+      deck.audio.volume = 1;
+      applyTrackGain(deck, true);
+    });
+
+    return context;
+  };
+
+  const releaseTrack = (track) => {
+    if (track && !decks.some(deck => deck.track?.id === track.id)) {
+      emit('onTrackRelease', track);
+    }
+  };
+
+  const unloadDeck = (deck) => {
+    const { track } = deck;
+    deck.audio.pause();
+    deck.audio.removeAttribute('src');
+    deck.audio.load();
+    deck.track = null;
+    releaseTrack(track);
+  };
+
+  const loadDeck = (deck, track) => {
+    const previous = deck.track;
+    deck.track = track;
+    deck.startTime = 0;
+    deck.audio.src = track.url;
+    deck.audio.load();
+    applyTrackGain(deck, true);
+    applyTrackPlayback(deck);
+    releaseTrack(previous);
+  };
+
+  const applyPreload = (track) => {
+    const deck = standby();
+    if (!track) {
+      if (deck.track) unloadDeck(deck);
+      return;
+    }
+    if (deck.track?.id === track.id && deck.track.url === track.url) return;
+
+    loadDeck(deck, track);
+  };
+
+  // Stop the outgoing deck of a crossfade and apply anything queued meanwhile
+  const finishTransition = () => {
+    clearTimeout(transitionTimer);
+    transitionTimer = null;
+
+    if (outgoingDeck) {
+      const deck = outgoingDeck;
+      outgoingDeck = null;
+      unloadDeck(deck);
+      setDeckGain(current(), 1);
+    }
+
+    if (pendingPreload !== undefined) {
+      const track = pendingPreload;
+      pendingPreload = undefined;
+      applyPreload(track);
+    }
+  };
+
+  const startTransition = (fadeSeconds) => {
+    const outgoing = current();
+    const incoming = standby();
+
+    incoming.audio.currentTime = 0;
+    incoming.audio.play().catch(error => emit('onError', error));
+
+    if (context && fadeSeconds > 0.001) {
+      const now = context.currentTime;
+      const { fadeIn, fadeOut } = createEqualPowerCurves();
+
+      outgoing.gain.gain.cancelScheduledValues(now);
+      outgoing.gain.gain.setValueCurveAtTime(fadeOut, now, fadeSeconds);
+      incoming.gain.gain.cancelScheduledValues(now);
+      incoming.gain.gain.setValueCurveAtTime(fadeIn, now, fadeSeconds);
+    } else {
+      setDeckGain(incoming, 1);
+    }
+
+    active = 1 - active;
+    applyLoop();
+    outgoingDeck = outgoing;
+    transitionTimer = setTimeout(finishTransition, Math.max(fadeSeconds, GAPLESS_OVERLAP_SECONDS) * 1000 + 50);
+
+    emit('onDurationChange', incoming.audio.duration || 0);
+    emit('onTrackChange', incoming.track);
+  };
+
+  const checkTransition = () => {
+    const deck = current();
+    const next = standby();
+    if (loop || outgoingDeck || !next.track || deck.audio.paused) return;
+
+    const { currentTime, duration } = deck.audio;
+    if (!Number.isFinite(duration) || duration <= 0) return;
+
+    // Never fade for longer than half of either track
+    const nextDuration = Number.isFinite(next.audio.duration) ? next.audio.duration : duration;
+    const fade = Math.min(crossfade, duration / 2, nextDuration / 2);
+    // Fades run in real time, which differs from track time at other rates
+    const remaining = (duration - currentTime) / (deck.audio.playbackRate || 1);
+
+    if (remaining <= Math.max(fade, GAPLESS_OVERLAP_SECONDS)) {
+      startTransition(fade > 0 ? Math.min(fade, remaining) : remaining);
+    }
+  };
+
+  /**
+   * Jumps back to A once the current track passes B
+   * @returns {boolean} - True if the current track has an A–B loop
+   */
+  const checkAbLoop = () => {
+    const deck = current();
+    const abLoop = trackLoops.get(deck.track?.id);
+    if (!abLoop) return false;
+    if (deck.audio.paused) return true;
+
+    const { duration } = deck.audio;
+    const end = Number.isFinite(duration)
+      ? Math.min(abLoop.end, duration - LOOP_END_MARGIN_SECONDS)
+      : abLoop.end;
+
+    if (deck.audio.currentTime >= end) {
+      deck.audio.currentTime = abLoop.start;
+    }
+    return true;
+  };
+
+  const tick = () => {
+    if (!checkAbLoop()) checkTransition();
+  };
+
+  const startMonitor = () => {
+    if (!monitor) monitor = setInterval(tick, MONITOR_INTERVAL_MS);
+  };
+
+  const stopMonitor = () => {
+    clearInterval(monitor);
+    monitor = null;
+  };
+
+  decks.forEach(deck => {
+    const isCurrent = () => deck === current();
+
+    deck.audio.addEventListener('timeupdate', () => {
+      if (isCurrent()) emit('onTimeUpdate', deck.audio.currentTime);
+    });
+
+    deck.audio.addEventListener('loadedmetadata', () => {
+      // Seeking only works once the duration is known
+      if (deck.startTime > 0) {
+        deck.audio.currentTime = Math.min(deck.startTime, deck.audio.duration);
+        deck.startTime = 0;
+      }
+
+      if (isCurrent()) {
+        emit('onDurationChange', deck.audio.duration);
+        emit('onTimeUpdate', deck.audio.currentTime);
+      }
+    });
+
+    deck.audio.addEventListener('ended', () => {
+      if (!isCurrent()) return;
+
+      // Throttled timers can let an A–B loop run off the end
+      const abLoop = trackLoops.get(deck.track?.id);
+      if (abLoop) {
+        deck.audio.currentTime = abLoop.start;
+        deck.audio.play().catch(error => emit('onError', error));
+        return;
+      }
+
+      // The monitor normally hands over first; this covers throttled timers
+      if (standby().track) {
+        startTransition(0);
+      } else {
+        stopMonitor();
+        emit('onPlayingChange', false);
+        emit('onEnded');
+      }
+    });
+
+    deck.audio.addEventListener('error', () => {
+      if (deck.track) emit('onError', deck.audio.error);
+    });
+  });
+
+  return {
+    /**
+     * Loads a track onto the active deck (no-op if it is already playing there)
+     * @param {Object} track - { id, url }
+     * @param {number} [startTime] - Position to start from (seconds)
+     * @returns {boolean} - True if the track was (re)loaded
+     */
+    load(track, startTime = 0) {
+      if (current().track?.id === track.id) return false;
+
+      finishTransition();
+
+      // Use the preloaded deck if it already holds this track
+      if (standby().track?.id === track.id) {
+        const previous = current();
+        active = 1 - active;
+        applyLoop();
+        setDeckGain(current(), 1);
+        unloadDeck(previous);
+        emit('onTimeUpdate', 0);
+        emit('onDurationChange', current().audio.duration || 0);
+        return true;
+      }
+
+      current().audio.pause();
+      loadDeck(current(), track);
+      current().startTime = startTime;
+      setDeckGain(current(), 1);
+      emit('onTimeUpdate', startTime);
+      emit('onDurationChange', 0);
+      return true;
+    },
+
+    /**
+     * Preloads the track that should follow the current one
+     * @param {Object|null} track - { id, url }, or null to clear
+     */
+    preload(track) {
+      if (outgoingDeck) {
+        pendingPreload = track;
+      } else {
+        applyPreload(track);
+      }
+    },
+
+    async play() {
+      if (!current().track) return;
+
+      ensureGraph();
+      await audioEngine.resume();
+
+      await current().audio.play();
+      startMonitor();
+      emit('onPlayingChange', true);
+    },
+
+    pause() {
+      finishTransition();
+      current().audio.pause();
+      stopMonitor();
+      emit('onPlayingChange', false);
+    },
+
+    stop() {
+      this.pause();
+      pendingPreload = undefined;
+      decks.forEach(unloadDeck);
+      emit('onTimeUpdate', 0);
+      emit('onDurationChange', 0);
+    },
+
+    seek(time) {
+      const { audio } = current();
+      if (!Number.isFinite(audio.duration)) return;
+
+      audio.currentTime = Math.min(Math.max(time, 0), audio.duration);
+      emit('onTimeUpdate', audio.currentTime);
+    },
+
+    setVolume(value) {
+      volume = value;
+      if (fadingOut) return;
+
+      if (master) {
+        master.gain.setTargetAtTime(value, context.currentTime, 0.01);
+      } else {
+        decks.forEach(deck => {
+          deck.audio.volume = value;
+        });
+      }
+    },
+
+    /**
+     * Fades the master volume out to silence; cancelFadeOut restores it
+     * @param {number} seconds - Fade length
+     */
+    fadeOut(seconds) {
+      if (!master) return;
+
+      const now = context.currentTime;
+      const { fadeOut: curve } = createEqualPowerCurves();
+      const from = master.gain.value;
+
+      fadingOut = true;
+      master.gain.cancelScheduledValues(now);
+      master.gain.setValueCurveAtTime(curve.map(value => value * from), now, Math.max(seconds, 0.1));
+    },
+
+    cancelFadeOut() {
+      if (!fadingOut) return;
+
+      fadingOut = false;
+      if (master) {
+        master.gain.cancelScheduledValues(context.currentTime);
+        master.gain.setValueAtTime(volume, context.currentTime);
+      }
+    },
+
+    setCrossfade(seconds) {
+      crossfade = clampCrossfade(seconds);
+    },
+
+    /**
+     * Sets the loudness normalization gain for a track, now or whenever it's loaded
+     * @param {string} id - Track id
+     * @param {number} db - Gain in dB
+     */
+    setTrackGain(id, db) {
+      if (!id || trackGains.get(id) === db) return;
+
+      trackGains.set(id, db);
+      decks.forEach(deck => {
+        if (deck.track?.id === id) applyTrackGain(deck);
+      });
+    },
+
+    /**
+     * Sets the playback rate and pitch handling for a track, now or whenever it's loaded
+     * @param {string} id - Track id
+     * @param {Object} settings - { rate, preservesPitch }; false preservesPitch is varispeed
+     */
+    setTrackPlayback(id, { rate, preservesPitch }) {
+      if (!id) return;
+
+      trackPlayback.set(id, { rate: clampPlaybackRate(rate), preservesPitch: preservesPitch !== false });
+      decks.forEach(deck => {
+        if (deck.track?.id === id) applyTrackPlayback(deck);
+      });
+    },
+
+    /**
+     * Sets an A–B loop for a track: after passing B, playback jumps back to A
+     * @param {string} id - Track id
+     * @param {Object|null} loop - { start, end } in seconds, or null to clear
+     */
+    setTrackLoop(id, loop) {
+      if (!id) return;
+
+      if (loop) {
+        trackLoops.set(id, { start: loop.start, end: loop.end });
+      } else {
+        trackLoops.delete(id);
+      }
+    },
+
+    /**
+     * Loops the current track (Repeat One) instead of advancing
+     * @param {boolean} enabled - Whether to loop
+     */
+    setLoop(enabled) {
+      loop = Boolean(enabled);
+      applyLoop();
+    },
+
+    getCurrentTrack() {
+      return current().track;
+    },
+
+    isPlaying() {
+      return !current().audio.paused;
+    },
+
+    destroy() {
+      stopMonitor();
+      clearTimeout(transitionTimer);
+      decks.forEach(deck => {
+        deck.audio.pause();
+        deck.audio.removeAttribute('src');
+        deck.audio.load();
+        deck.track = null;
+        if (deck.source) {
+          deck.gain.disconnect();
+          deck.normalize.disconnect();
+          audioEngine.releaseMediaElement(deck.audio);
+        }
+      });
+      master?.disconnect();
+    }
+  };
+};
@@ -0,0 +1,365 @@
+// Playlist file formats (M3U/M3U8, PLS, XSPF): export, parsing and matching entries to the library
+
+import { getTrackTitle } from './audioUtils';
+
+export const PLAYLIST_FORMATS = [
+  { id: 'm3u8', label: 'M3U8', extension: '.m3u8', mimeType: 'audio/x-mpegurl' },
+  { id: 'pls', label: 'PLS', extension: '.pls', mimeType: 'audio/x-scpls' },
+  { id: 'xspf', label: 'XSPF', extension: '.xspf', mimeType: 'application/xspf+xml' }
+];
+
+/**
+ * Value for the `accept` attribute of playlist file inputs
+ */
+export const PLAYLIST_ACCEPT = '.m3u,.m3u8,.pls,.xspf';
+
+// Entries whose durations differ by more than this aren't the same recording
+const DURATION_TOLERANCE_SECONDS = 3;
+
+/**
+ * Text shown for a track in #EXTINF lines and PLS titles
+ * @param {Object} track - Track record
+ * @returns {string} - "Artist - Title" or just the title
+ */
+const getDisplayTitle = (track) => {
+  const title = getTrackTitle(track);
+  return track.artist ? `${track.artist} - ${title}` : title;
+};
+
+// Playlists only know file names: the browser never sees the original paths
+const getLocation = (track) => track.fileName || track.name;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toM3u8 = (name, tracks) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+
+  tracks.forEach(track => {
+    const duration = Number.isFinite(track.duration) ? Math.round(track.duration) : -1;
+    lines.push(`#EXTINF:${duration},${getDisplayTitle(track)}`);
+    lines.push(getLocation(track));
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+const toPls = (name, tracks) => {
+  const lines = ['[playlist]'];
+
+  tracks.forEach((track, index) => {
+    const number = index + 1;
+    const duration = Number.isFinite(track.duration) ? Math.round(track.duration) : -1;
+    lines.push(`File${number}=${getLocation(track)}`);
+    lines.push(`Title${number}=${getDisplayTitle(track)}`);
+    lines.push(`Length${number}=${duration}`);
+  });
+
+  lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+  return `${lines.join('\n')}\n`;
+};
+
+const toXspf = (name, tracks) => {
+  const items = tracks.map(track => {
+    const fields = [
+      `      <location>${escapeXml(encodeURI(getLocation(track)))}</location>`,
+      `      <title>${escapeXml(getTrackTitle(track))}</title>`
+    ];
+    if (track.artist) fields.push(`      <creator>${escapeXml(track.artist)}</creator>`);
+    if (track.album) fields.push(`      <album>${escapeXml(track.album)}</album>`);
+    if (track.trackNumber) fields.push(`      <trackNum>${track.trackNumber}</trackNum>`);
+    if (Number.isFinite(track.duration)) {
+      fields.push(`      <duration>${Math.round(track.duration * 1000)}</duration>`);
+    }
+    return `    <track>\n${fields.join('\n')}\n    </track>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(name)}</title>`,
+    '  <trackList>',
+    ...items,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+};
+
+const SERIALIZERS = { m3u8: toM3u8, pls: toPls, xspf: toXspf };
+
+/**
+ * Serializes a playlist
+ * @param {string} name - Playlist name
+ * @param {Object[]} tracks - Tracks in order
+ * @param {string} formatId - One of PLAYLIST_FORMATS
+ * @returns {string} - File contents
+ */
+export const serializePlaylist = (name, tracks, formatId) => {
+  const serialize = SERIALIZERS[formatId];
+  if (!serialize) throw new Error(`Unknown playlist format: ${formatId}`);
+  return serialize(name, tracks);
+};
+
+/**
+ * Downloads text as a file named after a playlist
+ * @param {string} name - Playlist name
+ * @param {string} text - File contents
+ * @param {string} extension - File extension, with the dot
+ * @param {string} mimeType - MIME type of the contents
+ */
+export const downloadPlaylistFile = (name, text, extension, mimeType) => {
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name.replace(/[\\/:*?"<>|]+/g, '_') || 'playlist'}${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Exports a playlist and downloads it
+ * @param {string} name - Playlist name
+ * @param {Object[]} tracks - Tracks in order
+ * @param {string} formatId - One of PLAYLIST_FORMATS
+ */
+export const downloadPlaylist = (name, tracks, formatId) => {
+  const format = PLAYLIST_FORMATS.find(item => item.id === formatId);
+  downloadPlaylistFile(name, serializePlaylist(name, tracks, formatId), format.extension, format.mimeType);
+};
+
+/**
+ * Splits "Artist - Title" display text
+ * @param {string} text - Display text
+ * @returns {Object} - { artist, title }
+ */
+const splitDisplayTitle = (text) => {
+  const value = (text || '').trim();
+  const separator = value.indexOf(' - ');
+  if (separator === -1) return { artist: null, title: value || null };
+  return { artist: value.slice(0, separator).trim(), title: value.slice(separator + 3).trim() };
+};
+
+const parseDuration = (value, scale = 1) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number / scale : null;
+};
+
+const parseM3u = (text) => {
+  const entries = [];
+  let name = null;
+  let info = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      const body = line.slice(8);
+      const comma = body.indexOf(',');
+      const duration = comma === -1 ? body : body.slice(0, comma);
+      info = {
+        // Attributes such as tvg-id="..." may follow the duration
+        duration: parseDuration(duration.split(/\s/)[0]),
+        ...splitDisplayTitle(comma === -1 ? '' : body.slice(comma + 1))
+      };
+    } else if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice(10).trim() || null;
+    } else if (!line.startsWith('#')) {
+      entries.push({ location: line, ...info });
+      info = null;
+    }
+  });
+
+  return { name, entries };
+};
+
+const parsePls = (text) => {
+  const values = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+    if (!match) return;
+
+    const number = parseInt(match[2], 10);
+    values[number] = values[number] || {};
+    values[number][match[1].toLowerCase()] = match[3].trim();
+  });
+
+  const entries = Object.keys(values)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(number => values[number])
+    .filter(item => item.file)
+    .map(item => ({
+      location: item.file,
+      duration: parseDuration(item.length),
+      ...splitDisplayTitle(item.title)
+    }));
+
+  return { name: null, entries };
+};
+
+const parseXspf = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The XSPF file is not valid XML');
+  }
+
+  // Direct children only, so a track's <title> isn't read as the playlist's
+  const childText = (element, tagName) => {
+    const child = Array.from(element.children).find(item => item.localName === tagName);
+    return child?.textContent.trim() || null;
+  };
+
+  const playlist = doc.documentElement;
+  const entries = Array.from(doc.getElementsByTagNameNS('*', 'track')).map(track => ({
+    location: childText(track, 'location'),
+    title: childText(track, 'title'),
+    artist: childText(track, 'creator'),
+    album: childText(track, 'album'),
+    duration: parseDuration(childText(track, 'duration'), 1000)
+  }));
+
+  return { name: childText(playlist, 'title'), entries };
+};
+
+/**
+ * Parses a playlist file
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to pick the format and default name
+ * @returns {Object} - { name, entries: [{ location, title, artist, album, duration }] }
+ */
+export const parsePlaylist = (text, fileName = '') => {
+  const lowerName = fileName.toLowerCase();
+  const content = text.replace(/^\uFEFF/, '');
+  const start = content.trimStart().slice(0, 200).toLowerCase();
+
+  let result;
+  if (lowerName.endsWith('.xspf') || start.startsWith('<?xml') || start.startsWith('<playlist')) {
+    result = parseXspf(content);
+  } else if (lowerName.endsWith('.pls') || start.startsWith('[playlist]')) {
+    result = parsePls(content);
+  } else {
+    result = parseM3u(content);
+  }
+
+  return {
+    name: result.name || fileName.replace(/\.[^/.]+$/, '') || 'Imported playlist',
+    entries: result.entries
+  };
+};
+
+const normalize = (value) => (value || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Gets the bare file name of a playlist location (path, file:// or http URL)
+ * @param {string} location - Entry location
+ * @returns {string} - Lower-cased file name
+ */
+const getBaseName = (location) => {
+  let value = location || '';
+  try {
+    value = decodeURIComponent(value);
+  } catch (error) {
+    // Keep undecodable locations as they are
+  }
+  return value.split(/[\\/]/).pop().split(/[?#]/)[0].toLowerCase();
+};
+
+const stripExtension = (name) => name.replace(/\.[^.]+$/, '');
+
+const durationsAgree = (entry, track) => (
+  !entry.duration ||
+  !Number.isFinite(track.duration) ||
+  Math.abs(entry.duration - track.duration) <= DURATION_TOLERANCE_SECONDS
+);
+
+/**
+ * Scores how well a library track matches a playlist entry
+ * @param {Object} entry - Parsed entry
+ * @param {Object} track - Library track
+ * @returns {number} - 0 for no match, higher is better
+ */
+const scoreMatch = (entry, track) => {
+  if (!durationsAgree(entry, track)) return 0;
+
+  const baseName = getBaseName(entry.location);
+  const fileName = (track.fileName || '').toLowerCase();
+  let score = 0;
+
+  if (baseName && fileName && baseName === fileName) {
+    score += 4;
+  } else if (baseName && normalize(stripExtension(baseName)) === normalize(stripExtension(fileName || track.name))) {
+    score += 3;
+  }
+
+  const entryTitle = normalize(entry.title);
+  if (entryTitle && entryTitle === normalize(getTrackTitle(track))) {
+    score += 2;
+    if (entry.artist && normalize(entry.artist) === normalize(track.artist)) score += 1;
+  } else if (entryTitle && !entry.artist && entryTitle === normalize(getDisplayTitle(track))) {
+    // "Artist - Title" that didn't split cleanly
+    score += 3;
+  }
+
+  if (score > 0 && entry.duration && Number.isFinite(track.duration)) score += 1;
+
+  // A title alone isn't enough without a duration to back it up
+  return score >= 3 ? score : 0;
+};
+
+/**
+ * Matches playlist entries against the library
+ * @param {Object[]} entries - Parsed entries
+ * @param {Object[]} tracks - Library tracks
+ * @returns {Object} - { trackIds (in entry order), unmatched (entries) }
+ */
+export const matchPlaylistEntries = (entries, tracks) => {
+  const trackIds = [];
+  const unmatched = [];
+
+  entries.forEach(entry => {
+    let best = null;
+    let bestScore = 0;
+
+    tracks.forEach(track => {
+      const score = scoreMatch(entry, track);
+      if (score > bestScore) {
+        best = track;
+        bestScore = score;
+      }
+    });
+
+    if (best) {
+      trackIds.push(best.id);
+    } else {
+      unmatched.push(entry);
+    }
+  });
+
+  return { trackIds, unmatched };
+};
+
+/**
+ * Short description of an unmatched entry for reports
+ * @param {Object} entry - Parsed entry
+ * @returns {string} - Display text
+ */
+export const describePlaylistEntry = (entry) => {
+  if (entry.title) return entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+  return getBaseName(entry.location) || entry.location;
+};
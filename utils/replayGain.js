@@ -0,0 +1,89 @@
+// ReplayGain values stored in tags (ID3 TXXX/RVA2, Vorbis comments, Opus R128)
+
+// Tag keys (upper-cased) and the track record fields they map to
+const REPLAYGAIN_KEYS = {
+  REPLAYGAIN_TRACK_GAIN: 'replayGainTrackGain',
+  REPLAYGAIN_TRACK_PEAK: 'replayGainTrackPeak',
+  REPLAYGAIN_ALBUM_GAIN: 'replayGainAlbumGain',
+  REPLAYGAIN_ALBUM_PEAK: 'replayGainAlbumPeak'
+};
+
+// Opus R128 gains are relative to -23 LUFS, ReplayGain 2 to -18 LUFS
+const R128_TO_REPLAYGAIN_DB = 5;
+
+/**
+ * Parses a number such as "-6.54 dB" or "0.988525"
+ * @param {string|number} value - Raw tag value
+ * @returns {number|null} - The number or null if it isn't one
+ */
+const parseTagNumber = (value) => {
+  const number = parseFloat(String(value ?? '').replace(/\s*db\s*$/i, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Picks ReplayGain fields out of a map of tag values
+ * @param {Object} values - Tag values keyed by upper-case name
+ * @returns {Object} - replayGainTrackGain, replayGainTrackPeak, replayGainAlbumGain,
+ *   replayGainAlbumPeak (gains in dB, peaks linear); missing values are left out
+ */
+export const readReplayGainValues = (values) => {
+  const result = {};
+
+  Object.entries(REPLAYGAIN_KEYS).forEach(([key, field]) => {
+    const number = parseTagNumber(values[key]);
+    if (number !== null) result[field] = number;
+  });
+
+  // Opus: signed Q7.8 fixed point integers
+  ['TRACK', 'ALBUM'].forEach(scope => {
+    const field = scope === 'TRACK' ? 'replayGainTrackGain' : 'replayGainAlbumGain';
+    const r128 = parseInt(values[`R128_${scope}_GAIN`], 10);
+    if (result[field] === undefined && Number.isFinite(r128)) {
+      result[field] = r128 / 256 + R128_TO_REPLAYGAIN_DB;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Parses an ID3v2.4 RVA2 (relative volume adjustment) frame
+ * @param {Uint8Array} body - Frame body
+ * @returns {Object|null} - { scope: 'track' | 'album', gain (dB), peak (linear or null) }
+ */
+export const parseRva2 = (body) => {
+  let offset = body.indexOf(0);
+  if (offset === -1) return null;
+
+  const identification = new TextDecoder('iso-8859-1').decode(body.subarray(0, offset)).toLowerCase();
+  offset += 1;
+
+  while (offset + 4 <= body.length) {
+    const channel = body[offset];
+    const adjustment = ((body[offset + 1] << 8) | body[offset + 2]) << 16 >> 16;
+    const peakBits = body[offset + 3];
+    const peakBytes = Math.ceil(peakBits / 8);
+    offset += 4;
+
+    // Only the master volume channel applies to the whole track
+    if (channel === 1) {
+      let peak = null;
+      if (peakBits > 0 && offset + peakBytes <= body.length) {
+        let raw = 0;
+        for (let i = 0; i < peakBytes; i++) raw = raw * 256 + body[offset + i];
+        peak = raw / Math.pow(2, peakBits - 1);
+      }
+
+      return {
+        scope: identification === 'album' ? 'album' : 'track',
+        gain: adjustment / 512,
+        peak
+      };
+    }
+
+    offset += peakBytes;
+  }
+
+  return null;
+};
@@ -0,0 +1,85 @@
+// RIFF/WAVE metadata reader (LIST INFO chunks and embedded ID3 chunks)
+
+import {
+  compactTags,
+  parsePosition,
+  readAscii,
+  readBytes,
+  readUint32LE
+} from './binaryReader';
+import { parseId3v2 } from './id3';
+
+const INFO_FIELDS = {
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  IGNR: 'genre',
+  ICMT: 'comment'
+};
+
+/**
+ * Parses the sub-chunks of a LIST/INFO chunk
+ * @param {Uint8Array} bytes - Chunk body after the "INFO" list type
+ * @returns {Object} - Tag fields
+ */
+export const parseRiffInfo = (bytes) => {
+  const tags = {};
+  let offset = 0;
+
+  while (offset + 8 <= bytes.length) {
+    const id = readAscii(bytes, offset, 4);
+    const size = readUint32LE(bytes, offset + 4);
+    const value = new TextDecoder('utf-8')
+      .decode(bytes.subarray(offset + 8, offset + 8 + size))
+      .replace(/\0+$/, '')
+      .trim();
+
+    if (INFO_FIELDS[id]) {
+      tags[INFO_FIELDS[id]] = value;
+    } else if (id === 'ITRK' || id === 'IPRT') {
+      const { number, total } = parsePosition(value);
+      tags.trackNumber = number;
+      tags.trackTotal = total;
+    } else if (id === 'ICRD') {
+      const year = parseInt(value, 10);
+      if (Number.isFinite(year)) tags.year = year;
+    }
+
+    // Chunks are padded to an even length
+    offset += 8 + size + (size % 2);
+  }
+
+  return compactTags(tags);
+};
+
+/**
+ * Reads tags from a WAV file
+ * @param {Blob} file - The WAV file
+ * @returns {Promise<Object|null>} - Tag fields or null if none were found
+ */
+export const readRiffTags = async (file) => {
+  const header = await readBytes(file, 0, 12);
+  if (readAscii(header, 0, 4) !== 'RIFF' || readAscii(header, 8, 4) !== 'WAVE') return null;
+
+  let info = null;
+  let id3 = null;
+  let offset = 12;
+
+  while (offset + 8 <= file.size) {
+    const chunkHeader = await readBytes(file, offset, 12);
+    const id = readAscii(chunkHeader, 0, 4);
+    const size = readUint32LE(chunkHeader, 4);
+
+    if (id === 'LIST' && readAscii(chunkHeader, 8, 4) === 'INFO') {
+      info = parseRiffInfo(await readBytes(file, offset + 12, size - 4));
+    } else if (id === 'id3 ' || id === 'ID3 ') {
+      id3 = parseId3v2(await readBytes(file, offset + 8, size));
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+
+  if (!info && !id3) return null;
+
+  return { ...info, ...id3 };
+};
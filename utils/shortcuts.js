@@ -0,0 +1,100 @@
+// Keyboard shortcut definitions and key combo helpers
+
+// Step sizes for the seek and volume shortcuts
+export const SEEK_SHORTCUT_SECONDS = 5;
+export const VOLUME_SHORTCUT_STEP = 0.1;
+
+/**
+ * Player actions that can be bound to keys, with their default bindings
+ */
+export const SHORTCUT_ACTIONS = [
+  { id: 'togglePlay', label: 'Play / pause', defaultKey: 'Space' },
+  { id: 'seekBackward', label: `Seek back ${SEEK_SHORTCUT_SECONDS} seconds`, defaultKey: 'ArrowLeft' },
+  { id: 'seekForward', label: `Seek forward ${SEEK_SHORTCUT_SECONDS} seconds`, defaultKey: 'ArrowRight' },
+  { id: 'volumeUp', label: 'Volume up', defaultKey: 'ArrowUp' },
+  { id: 'volumeDown', label: 'Volume down', defaultKey: 'ArrowDown' },
+  { id: 'next', label: 'Next track', defaultKey: 'N' },
+  { id: 'previous', label: 'Previous track', defaultKey: 'P' },
+  { id: 'toggleMute', label: 'Mute / unmute', defaultKey: 'M' },
+  { id: 'toggleShuffle', label: 'Shuffle on / off', defaultKey: 'S' },
+  { id: 'cycleRepeat', label: 'Change repeat mode', defaultKey: 'R' },
+  { id: 'showShortcuts', label: 'Show keyboard shortcuts', defaultKey: '?' },
+  { id: 'openCommandPalette', label: 'Open command palette', defaultKey: 'Mod+K' }
+];
+
+const MODIFIER_KEYS = ['Control', 'Meta', 'Alt', 'Shift'];
+
+const isMac = () => typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+
+/**
+ * Turns a keyboard event into a combo string such as "Space", "Shift+ArrowLeft" or "Mod+K".
+ * "Mod" is Cmd on macOS and Ctrl elsewhere. Shift is left out for printed symbols
+ * like "?" since it's implied by the character.
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {string|null} - Combo, or null for a lone modifier key
+ */
+export const getKeyCombo = (event) => {
+  if (MODIFIER_KEYS.includes(event.key)) return null;
+
+  let key = event.key;
+  if (key === ' ') key = 'Space';
+  else if (key.length === 1) key = key.toUpperCase();
+
+  const isSymbol = key.length === 1 && !/[A-Z0-9]/.test(key);
+  const parts = [];
+  if (isMac() ? event.metaKey : event.ctrlKey) parts.push('Mod');
+  if (isMac() && event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey && !isSymbol) parts.push('Shift');
+  parts.push(key);
+
+  return parts.join('+');
+};
+
+/**
+ * Formats a combo for display
+ * @param {string} combo - Combo string
+ * @returns {string} - e.g. "⌘ K", "Ctrl K", "←"
+ */
+export const formatKeyCombo = (combo) => {
+  const names = {
+    Mod: isMac() ? '⌘' : 'Ctrl',
+    Alt: isMac() ? '⌥' : 'Alt',
+    Shift: '⇧',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓'
+  };
+
+  return (combo || '').split('+').map(part => names[part] || part).join(' ');
+};
+
+/**
+ * Merges user remappings over the default bindings
+ * @param {Object} overrides - Action id -> combo
+ * @returns {Object} - Action id -> combo for every action
+ */
+export const getShortcutBindings = (overrides = {}) => {
+  return SHORTCUT_ACTIONS.reduce((bindings, action) => {
+    bindings[action.id] = overrides[action.id] || action.defaultKey;
+    return bindings;
+  }, {});
+};
+
+/**
+ * Checks whether a key event comes from a text field, where single keys must type
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {boolean} - True for inputs, textareas, selects and editable content
+ */
+export const isTypingTarget = (event) => {
+  const target = event.target;
+  if (!target || !target.tagName) return false;
+
+  if (target.isContentEditable) return true;
+  if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  if (target.tagName !== 'INPUT') return false;
+
+  // Sliders, checkboxes and buttons don't take text
+  return !['range', 'checkbox', 'radio', 'button', 'submit', 'file'].includes(target.type);
+};
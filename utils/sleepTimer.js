@@ -0,0 +1,82 @@
+// Sleep timer: pauses playback after a while, fading out first
+import { getTrackPlaybackSettings } from './playbackEngine';
+
+export const SLEEP_FADE_SECONDS = 30;
+export const SLEEP_TIMER_MINUTES = [15, 30, 45, 60];
+export const SLEEP_EXTEND_MINUTES = 15;
+export const MAX_SLEEP_MINUTES = 24 * 60;
+
+export const SLEEP_AFTER_TIME = 'time';
+export const SLEEP_END_OF_TRACK = 'track';
+export const SLEEP_END_OF_QUEUE = 'queue';
+
+/**
+ * Creates a timer that goes off after a number of minutes
+ * @param {number} minutes - Minutes from now
+ * @param {number} [now] - Current time (ms since epoch)
+ * @returns {Object} - { mode, endsAt }
+ */
+export const createTimedSleepTimer = (minutes, now = Date.now()) => {
+  const clamped = Math.min(Math.max(Number(minutes) || 0, 0), MAX_SLEEP_MINUTES);
+  return { mode: SLEEP_AFTER_TIME, endsAt: now + clamped * 60 * 1000 };
+};
+
+/**
+ * Whether playback should stop when the current track finishes. "End of
+ * queue" means after the last Up Next track, so it applies once the queue
+ * is empty.
+ * @param {Object|null} timer - Sleep timer
+ * @param {number} queueLength - Tracks left in the Up Next queue
+ * @returns {boolean} - True if the next track mustn't start
+ */
+export const stopsAtTrackEnd = (timer, queueLength) => {
+  return timer?.mode === SLEEP_END_OF_TRACK || (timer?.mode === SLEEP_END_OF_QUEUE && queueLength === 0);
+};
+
+/**
+ * Real time left on a track at its playback rate
+ * @param {Object} track - Library track
+ * @param {number} position - Position in the track (seconds)
+ * @param {number} [duration] - Duration, if known better than the record's
+ * @returns {number} - Seconds
+ */
+const getTrackRemaining = (track, position, duration = track?.duration) => {
+  if (!Number.isFinite(duration)) return 0;
+  return Math.max(duration - position, 0) / getTrackPlaybackSettings(track).rate;
+};
+
+/**
+ * Seconds until the timer goes off
+ * @param {Object|null} timer - Sleep timer
+ * @param {Object} playback - { now, track, currentTime, duration, queue }
+ * @returns {number|null} - Seconds left, or null without a timer or while the track is loading
+ */
+export const getSleepRemaining = (timer, { now, track, currentTime, duration, queue }) => {
+  if (!timer) return null;
+  if (timer.mode === SLEEP_AFTER_TIME) return Math.max((timer.endsAt - now) / 1000, 0);
+  if (!(duration > 0)) return null;
+
+  let remaining = getTrackRemaining(track, currentTime, duration);
+  if (timer.mode === SLEEP_END_OF_QUEUE) {
+    queue.forEach(entry => {
+      remaining += getTrackRemaining(entry.track, 0);
+    });
+  }
+  return remaining;
+};
+
+/**
+ * Formats a countdown, e.g. "4:05" or "1:02:30"
+ * @param {number} seconds - Seconds left
+ * @returns {string} - Formatted countdown
+ */
+export const formatCountdown = (seconds) => {
+  const total = Math.ceil(Math.max(seconds, 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toString().padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
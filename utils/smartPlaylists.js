@@ -0,0 +1,366 @@
+// Smart playlists: rule definitions, validation, evaluation against the library and JSON export
+import { z } from 'zod';
+import { addDays, endOfDay, format, isValid, parseISO, startOfDay, subDays } from 'date-fns';
+import { AUDIO_FORMATS } from './audioFormats';
+import {
+  LIBRARY_SORT_FIELDS,
+  SORT_ASCENDING,
+  SORT_DESCENDING,
+  normalizeSearchText,
+  sortTracks,
+  splitGenres
+} from './library';
+
+export const MATCH_ALL = 'all';
+export const MATCH_ANY = 'any';
+
+export const MAX_RATING = 5;
+export const MAX_SMART_LIMIT = 10000;
+
+export const SMART_PLAYLIST_EXTENSION = '.json';
+export const SMART_PLAYLIST_MIME_TYPE = 'application/json';
+// Marks exported files, so other JSON isn't mistaken for a playlist
+const SMART_PLAYLIST_FILE_TYPE = 'smart-playlist';
+const SMART_PLAYLIST_FILE_VERSION = 1;
+
+const DATE_VALUE_FORMAT = 'yyyy-MM-dd';
+const DATE_VALUE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Operator labels depend on the field type: "after" reads better than ">" for dates
+export const SMART_OPERATORS = {
+  is: { text: 'is', number: 'is' },
+  contains: { text: 'contains' },
+  gt: { number: '>', date: 'after' },
+  lt: { number: '<', date: 'before' },
+  inLast: { date: 'in the last' }
+};
+
+/**
+ * Fields rules can test. Text fields may return several values (genres), and
+ * a rule matches if any of them does. Date fields are ms since epoch.
+ */
+export const SMART_FIELDS = [
+  { id: 'artist', label: 'Artist', type: 'text', getValue: track => [track.artist, track.albumArtist] },
+  { id: 'album', label: 'Album', type: 'text', getValue: track => [track.album] },
+  { id: 'genre', label: 'Genre', type: 'text', getValue: track => splitGenres(track.genre) },
+  { id: 'year', label: 'Year', type: 'number', getValue: track => track.year || null },
+  {
+    id: 'duration',
+    label: 'Duration (min)',
+    type: 'number',
+    operators: ['gt', 'lt'],
+    getValue: track => (track.duration ? track.duration / 60 : null)
+  },
+  {
+    id: 'rating',
+    label: 'Rating',
+    type: 'number',
+    min: 0,
+    max: MAX_RATING,
+    getValue: track => track.rating || 0
+  },
+  { id: 'playCount', label: 'Play count', type: 'number', min: 0, getValue: track => track.playCount || 0 },
+  { id: 'lastPlayedAt', label: 'Last played', type: 'date', getValue: track => track.lastPlayedAt || null },
+  { id: 'addedAt', label: 'Date added', type: 'date', getValue: track => track.addedAt || null },
+  {
+    id: 'format',
+    label: 'Format',
+    type: 'text',
+    operators: ['is'],
+    options: AUDIO_FORMATS.map(format => ({ id: format.id, label: format.label })),
+    getValue: track => [track.format]
+  }
+];
+
+// Smart playlists can also sort by fields the library browser doesn't show
+export const SMART_SORT_FIELDS = [
+  ...LIBRARY_SORT_FIELDS,
+  { id: 'year', label: 'Year', getValue: track => track.year || 0, numeric: true },
+  { id: 'rating', label: 'Rating', getValue: track => track.rating || 0, numeric: true },
+  { id: 'lastPlayedAt', label: 'Last played', getValue: track => track.lastPlayedAt || 0, numeric: true }
+];
+
+/**
+ * Looks up a rule field
+ * @param {string} id - Field id
+ * @returns {Object|null} - Entry of SMART_FIELDS
+ */
+export const getSmartField = (id) => SMART_FIELDS.find(field => field.id === id) || null;
+
+/**
+ * Operators a field supports, in display order
+ * @param {Object} field - Entry of SMART_FIELDS
+ * @returns {string[]} - Operator ids
+ */
+export const getFieldOperators = (field) => {
+  return field.operators || Object.keys(SMART_OPERATORS).filter(id => SMART_OPERATORS[id][field.type]);
+};
+
+/**
+ * Starting value for a rule, so a freshly added rule is already valid
+ * @param {Object} field - Entry of SMART_FIELDS
+ * @param {string} operator - Operator id
+ * @returns {string|number} - Value
+ */
+const getDefaultValue = (field, operator) => {
+  if (field.options) return field.options[0].id;
+  if (field.type === 'text') return '';
+  if (field.type === 'date') {
+    return operator === 'inLast' ? 30 : format(new Date(), DATE_VALUE_FORMAT);
+  }
+  if (field.id === 'year') return new Date().getFullYear();
+  return field.min ?? 0;
+};
+
+/**
+ * Creates a rule for a field, or adapts one after its field or operator changed
+ * @param {string} fieldId - Field id
+ * @param {Object} [previous] - Rule being edited; its value is kept when it still fits
+ * @returns {Object} - { field, operator, value }
+ */
+export const createSmartRule = (fieldId, previous = null) => {
+  const field = getSmartField(fieldId) || SMART_FIELDS[0];
+  const operators = getFieldOperators(field);
+  const operator = operators.includes(previous?.operator) ? previous.operator : operators[0];
+  const keepValue = previous && previous.field === field.id &&
+    (field.type !== 'date' || (previous.operator === 'inLast') === (operator === 'inLast'));
+
+  return {
+    field: field.id,
+    operator,
+    value: keepValue ? previous.value : getDefaultValue(field, operator)
+  };
+};
+
+/**
+ * Creates a nested group of rules
+ * @param {string} [match] - MATCH_ALL or MATCH_ANY
+ * @returns {Object} - { match, rules }
+ */
+export const createSmartGroup = (match = MATCH_ANY) => ({ match, rules: [createSmartRule(SMART_FIELDS[0].id)] });
+
+export const DEFAULT_SMART_DEFINITION = {
+  match: MATCH_ALL,
+  rules: [{ field: 'addedAt', operator: 'inLast', value: 30 }],
+  sort: { field: 'addedAt', direction: SORT_DESCENDING },
+  limit: null
+};
+
+const isGroup = (item) => Array.isArray(item?.rules);
+
+// Rule values are checked against the field's type
+const ruleSchema = z.object({
+  field: z.enum(SMART_FIELDS.map(field => field.id)),
+  operator: z.enum(Object.keys(SMART_OPERATORS)),
+  value: z.union([z.string(), z.number()])
+}).superRefine((rule, ctx) => {
+  const field = getSmartField(rule.field);
+  const issue = (message) => ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['value'], message });
+
+  if (!getFieldOperators(field).includes(rule.operator)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['operator'],
+      message: `${field.label} can't use "${rule.operator}"`
+    });
+    return;
+  }
+
+  if (field.type === 'text') {
+    if (typeof rule.value !== 'string' || !rule.value.trim()) {
+      issue(`${field.label} needs a value`);
+    } else if (field.options && !field.options.some(option => option.id === rule.value)) {
+      issue(`Unknown ${field.label.toLowerCase()}: ${rule.value}`);
+    }
+  } else if (field.type === 'number' || rule.operator === 'inLast') {
+    if (typeof rule.value !== 'number' || !Number.isFinite(rule.value)) {
+      issue(`${field.label} needs a number`);
+    } else if (rule.operator === 'inLast' && (rule.value < 1 || !Number.isInteger(rule.value))) {
+      issue('Enter a whole number of days');
+    } else if (field.min !== undefined && rule.value < field.min) {
+      issue(`${field.label} can't be below ${field.min}`);
+    } else if (field.max !== undefined && rule.value > field.max) {
+      issue(`${field.label} can't be above ${field.max}`);
+    }
+  } else if (typeof rule.value !== 'string' || !DATE_VALUE_PATTERN.test(rule.value) || !isValid(parseISO(rule.value))) {
+    issue(`${field.label} needs a date`);
+  }
+});
+
+const groupSchema = z.lazy(() => z.object({
+  match: z.enum([MATCH_ALL, MATCH_ANY]),
+  rules: z.array(z.union([groupSchema, ruleSchema])).min(1, 'Add at least one rule')
+}));
+
+export const smartDefinitionSchema = z.object({
+  match: z.enum([MATCH_ALL, MATCH_ANY]),
+  rules: z.array(z.union([groupSchema, ruleSchema])).min(1, 'Add at least one rule'),
+  sort: z.object({
+    field: z.enum(SMART_SORT_FIELDS.map(field => field.id)),
+    direction: z.enum([SORT_ASCENDING, SORT_DESCENDING])
+  }),
+  limit: z.number().int().min(1).max(MAX_SMART_LIMIT).nullable()
+});
+
+const smartPlaylistFileSchema = smartDefinitionSchema.extend({
+  type: z.literal(SMART_PLAYLIST_FILE_TYPE),
+  version: z.literal(SMART_PLAYLIST_FILE_VERSION),
+  name: z.string().trim().min(1).max(200)
+});
+
+/**
+ * First issue of a validation error. For a rule-or-group that matched
+ * neither, the issue comes from the shape it was closest to: the one that
+ * doesn't miss its own keys.
+ * @param {z.ZodError} error - Validation error
+ * @returns {Object|undefined} - zod issue
+ */
+const getFirstIssue = (error) => {
+  const [issue] = error.issues;
+  if (issue?.code !== z.ZodIssueCode.invalid_union) return issue;
+
+  const depth = issue.path.length + 1;
+  const closest = issue.unionErrors.find(branch => !branch.issues.some(item => (
+    item.code === z.ZodIssueCode.invalid_type && item.path.length === depth
+  )));
+  return getFirstIssue(closest || issue.unionErrors[0]);
+};
+
+/**
+ * Describes the first problem zod found
+ * @param {z.ZodError} error - Validation error
+ * @returns {string} - Message for display
+ */
+const describeValidationError = (error) => {
+  const issue = getFirstIssue(error);
+  if (!issue) return 'Invalid smart playlist';
+  // Our own messages name the field; zod's generic ones need the path
+  return issue.code === z.ZodIssueCode.custom || issue.path.length === 0
+    ? issue.message
+    : `${issue.path.join('.')}: ${issue.message}`;
+};
+
+/**
+ * Validates a rule definition
+ * @param {Object} definition - { match, rules, sort, limit }
+ * @returns {Object} - { definition } when valid, otherwise { error }
+ */
+export const validateSmartDefinition = (definition) => {
+  const result = smartDefinitionSchema.safeParse(definition);
+  return result.success ? { definition: result.data } : { error: describeValidationError(result.error) };
+};
+
+/**
+ * Tests one rule against a track
+ * @param {Object} track - Library track
+ * @param {Object} rule - { field, operator, value }
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} - True if the track matches
+ */
+const matchesRule = (track, rule, now) => {
+  const field = getSmartField(rule.field);
+  if (!field) return false;
+  const value = field.getValue(track);
+
+  if (field.type === 'text') {
+    const wanted = normalizeSearchText(rule.value);
+    return value.some(item => {
+      if (!item) return false;
+      const text = normalizeSearchText(item);
+      return rule.operator === 'contains' ? text.includes(wanted) : text === wanted;
+    });
+  }
+
+  // Tracks without the value (never played, no year) don't match any rule on it
+  if (value === null) return false;
+
+  if (field.type === 'date') {
+    if (rule.operator === 'inLast') return value >= startOfDay(subDays(now, rule.value - 1)).getTime();
+
+    const date = parseISO(rule.value);
+    return rule.operator === 'gt' ? value > endOfDay(date).getTime() : value < startOfDay(date).getTime();
+  }
+
+  if (rule.operator === 'gt') return value > rule.value;
+  if (rule.operator === 'lt') return value < rule.value;
+  return value === rule.value;
+};
+
+const matchesGroup = (track, group, now) => {
+  const test = (item) => (isGroup(item) ? matchesGroup(track, item, now) : matchesRule(track, item, now));
+  return group.match === MATCH_ANY ? group.rules.some(test) : group.rules.every(test);
+};
+
+/**
+ * Picks the library tracks a smart playlist contains
+ * @param {Object[]} tracks - Library tracks
+ * @param {Object} definition - Validated { match, rules, sort, limit }
+ * @param {number} [now] - Current time, for "in the last N days" rules
+ * @returns {Object[]} - Matching tracks, sorted and limited
+ */
+export const evaluateSmartPlaylist = (tracks, definition, now = Date.now()) => {
+  const matching = tracks.filter(track => matchesGroup(track, definition, now));
+  const sorted = sortTracks(matching, definition.sort.field, definition.sort.direction, SMART_SORT_FIELDS);
+  return definition.limit ? sorted.slice(0, definition.limit) : sorted;
+};
+
+/**
+ * Whether a definition has rules that depend on today's date
+ * @param {Object} group - Definition or nested group
+ * @returns {boolean} - True if re-evaluating later can change the result
+ */
+export const usesRelativeDates = (group) => {
+  return group.rules.some(item => (isGroup(item) ? usesRelativeDates(item) : item.operator === 'inLast'));
+};
+
+/**
+ * Serializes a smart playlist's rules for export
+ * @param {string} name - Playlist name
+ * @param {Object} definition - { match, rules, sort, limit }
+ * @returns {string} - JSON text
+ */
+export const serializeSmartPlaylist = (name, definition) => {
+  const { match, rules, sort, limit } = definition;
+  return `${JSON.stringify({
+    type: SMART_PLAYLIST_FILE_TYPE,
+    version: SMART_PLAYLIST_FILE_VERSION,
+    name,
+    match,
+    rules,
+    sort,
+    limit
+  }, null, 2)}\n`;
+};
+
+/**
+ * Reads an exported smart playlist
+ * @param {string} text - JSON text
+ * @returns {Object} - { name, definition }
+ * @throws {Error} - If the file isn't a valid smart playlist
+ */
+export const parseSmartPlaylist = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+
+  const result = smartPlaylistFileSchema.safeParse(data);
+  if (!result.success) {
+    throw new Error(`Invalid smart playlist: ${describeValidationError(result.error)}`);
+  }
+
+  const { name, match, rules, sort, limit } = result.data;
+  return { name, definition: { match, rules, sort, limit } };
+};
+
+/**
+ * Milliseconds until the next day starts, when "in the last N days" rules
+ * next change
+ * @param {number} [now] - Current time
+ * @returns {number} - Delay (ms)
+ */
+export const getMsUntilNextDay = (now = Date.now()) => {
+  return startOfDay(addDays(now, 1)).getTime() - now;
+};
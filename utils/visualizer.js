@@ -0,0 +1,455 @@
+// Spectrum visualizer modes, settings and drawing
+
+export const VISUALIZER_MODES = [
+  { id: 'bars', label: 'Bars' },
+  { id: 'log-bars', label: 'Log bars' },
+  { id: 'waveform', label: 'Oscilloscope' },
+  { id: 'radial', label: 'Radial' },
+  { id: 'spectrogram', label: 'Spectrogram' }
+];
+
+// AnalyserNode accepts powers of two from 32 to 32768
+export const VISUALIZER_FFT_SIZES = [256, 512, 1024, 2048, 4096, 8192];
+
+export const VISUALIZER_COLOR_SCHEMES = [
+  { id: 'aurora', label: 'Aurora', stops: ['#c084fc', '#60a5fa'] },
+  { id: 'sunset', label: 'Sunset', stops: ['#f472b6', '#fb923c', '#fde047'] },
+  { id: 'ocean', label: 'Ocean', stops: ['#1e3a8a', '#0ea5e9', '#67e8f9'] },
+  { id: 'heat', label: 'Heat', stops: ['#000004', '#57106e', '#bc3754', '#f98e09', '#fcffa4'] },
+  { id: 'mono', label: 'Mono', stops: ['#ffffff55', '#ffffff'] }
+];
+
+// Frame rate caps; 0 draws on every animation frame
+export const VISUALIZER_FPS_OPTIONS = [15, 30, 60, 0];
+
+export const DEFAULT_VISUALIZER_SETTINGS = {
+  mode: 'bars',
+  maxFps: 60,
+  showStats: false,
+  // Analyser and colour settings for each mode
+  modes: {
+    bars: { fftSize: 256, smoothing: 0.8, colorScheme: 'aurora' },
+    'log-bars': { fftSize: 4096, smoothing: 0.7, colorScheme: 'aurora' },
+    waveform: { fftSize: 2048, smoothing: 0.8, colorScheme: 'ocean' },
+    radial: { fftSize: 1024, smoothing: 0.8, colorScheme: 'sunset' },
+    spectrogram: { fftSize: 2048, smoothing: 0.3, colorScheme: 'heat' }
+  }
+};
+
+const BAR_COUNT = 32;
+const BAR_WIDTH = 4;
+const BAR_GAP = 4;
+// Bars never shrink below this fraction of the height, so silence still shows a baseline
+const MIN_BAR_HEIGHT = 0.02;
+// Frequency range shown by the log-scale modes (Hz)
+const MIN_FREQUENCY = 30;
+const MAX_FREQUENCY = 16000;
+// Peak caps stay put for a moment, then fall (fraction of the height per second)
+const PEAK_HOLD_MS = 600;
+const PEAK_FALL_RATE = 0.6;
+
+/**
+ * Checks whether enough time has passed to draw another frame
+ * @param {number} now - Current timestamp (ms)
+ * @param {number} lastFrame - Timestamp of the last drawn frame (ms)
+ * @param {number} maxFps - Frame rate cap, 0 for none
+ * @returns {boolean} - True if a frame is due
+ */
+export const isFrameDue = (now, lastFrame, maxFps) => {
+  if (!maxFps) return true;
+
+  // Allow a little slack so a 60 Hz display isn't capped to 30 fps by timer jitter
+  const interval = 1000 / maxFps;
+  return now - lastFrame >= interval - 2;
+};
+
+/**
+ * Sizes the canvas' backing store for its displayed size and the display's
+ * pixel ratio, and scales the context so drawing uses CSS pixels
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @returns {Object} - { width, height, dpr } with width and height in CSS pixels
+ */
+export const fitCanvas = (canvas) => {
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  const pixelWidth = Math.max(Math.round(width * dpr), 1);
+  const pixelHeight = Math.max(Math.round(height * dpr), 1);
+
+  if (canvas.width !== pixelWidth) canvas.width = pixelWidth;
+  if (canvas.height !== pixelHeight) canvas.height = pixelHeight;
+  canvas.getContext('2d').setTransform(dpr, 0, 0, dpr, 0, 0);
+
+  return { width, height, dpr };
+};
+
+/**
+ * Looks up a colour scheme, falling back to the first one
+ * @param {string} id - Scheme id
+ * @returns {Object} - { id, label, stops }
+ */
+export const getColorScheme = (id) => {
+  return VISUALIZER_COLOR_SCHEMES.find(scheme => scheme.id === id) || VISUALIZER_COLOR_SCHEMES[0];
+};
+
+/**
+ * Parses "#rrggbb" or "#rrggbbaa"
+ * @param {string} hex - Colour
+ * @returns {number[]} - [r, g, b, a] with a from 0 to 1
+ */
+const parseHexColor = (hex) => {
+  const value = hex.replace('#', '');
+  const channel = (index) => parseInt(value.slice(index, index + 2), 16);
+  return [channel(0), channel(2), channel(4), value.length === 8 ? channel(6) / 255 : 1];
+};
+
+/**
+ * Builds a 256 entry lookup table across a scheme's colour stops
+ * @param {Object} scheme - Colour scheme
+ * @returns {Uint8ClampedArray} - RGBA values, 4 per entry
+ */
+const createPalette = (scheme) => {
+  const stops = scheme.stops.map(parseHexColor);
+  const palette = new Uint8ClampedArray(256 * 4);
+
+  for (let i = 0; i < 256; i++) {
+    const position = (i / 255) * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    const t = position - index;
+    const [from, to] = [stops[index], stops[index + 1]];
+
+    for (let channel = 0; channel < 3; channel++) {
+      palette[i * 4 + channel] = from[channel] + (to[channel] - from[channel]) * t;
+    }
+    palette[i * 4 + 3] = (from[3] + (to[3] - from[3]) * t) * 255;
+  }
+
+  return palette;
+};
+
+const paletteColor = (palette, level) => {
+  const i = Math.min(Math.max(Math.round(level * 255), 0), 255) * 4;
+  return `rgba(${palette[i]}, ${palette[i + 1]}, ${palette[i + 2]}, ${palette[i + 3] / 255})`;
+};
+
+/**
+ * Creates a gradient through the scheme's stops
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} scheme - Colour scheme
+ * @param {number[]} line - [x0, y0, x1, y1]
+ * @returns {CanvasGradient} - The gradient
+ */
+const createSchemeGradient = (ctx, scheme, [x0, y0, x1, y1]) => {
+  const gradient = ctx.createLinearGradient(x0, y0, x1, y1);
+  scheme.stops.forEach((stop, index) => gradient.addColorStop(index / (scheme.stops.length - 1), stop));
+  return gradient;
+};
+
+/**
+ * Byte value of the frequency range [from, to) Hz, taking the loudest bin
+ * @param {Uint8Array} data - Byte frequency data
+ * @param {number} binWidth - Hz per bin
+ * @param {number} from - Lower frequency
+ * @param {number} to - Upper frequency
+ * @returns {number} - 0 to 255
+ */
+const getBandLevel = (data, binWidth, from, to) => {
+  const first = Math.min(Math.floor(from / binWidth), data.length - 1);
+  const last = Math.min(Math.max(Math.ceil(to / binWidth), first + 1), data.length);
+
+  let level = 0;
+  for (let bin = first; bin < last; bin++) {
+    if (data[bin] > level) level = data[bin];
+  }
+  return level;
+};
+
+// Log-spaced frequency at position (0 to 1) across the shown range
+const getLogFrequency = (position, maxFrequency) => {
+  return MIN_FREQUENCY * Math.pow(maxFrequency / MIN_FREQUENCY, position);
+};
+
+const roundedBar = (ctx, x, y, width, height) => {
+  ctx.beginPath();
+  if (ctx.roundRect) {
+    ctx.roundRect(x, y, width, height, Math.min(2, width / 2));
+  } else {
+    ctx.rect(x, y, width, height);
+  }
+  ctx.fill();
+};
+
+// 32 bars across the lower quarter of the spectrum, as the classic player drew them
+const createBarsRenderer = (scheme) => {
+  let data = null;
+
+  return {
+    draw(ctx, { width, height }, analyser) {
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = createSchemeGradient(ctx, scheme, [0, height, 0, 0]);
+
+      if (analyser && data?.length !== analyser.frequencyBinCount) {
+        data = new Uint8Array(analyser.frequencyBinCount);
+      }
+      if (analyser) analyser.getByteFrequencyData(data);
+
+      const binsPerBar = data ? Math.max(Math.floor(data.length / 4 / BAR_COUNT), 1) : 1;
+      const totalWidth = BAR_COUNT * BAR_WIDTH + (BAR_COUNT - 1) * BAR_GAP;
+      let x = Math.max((width - totalWidth) / 2, 0);
+
+      for (let i = 0; i < BAR_COUNT; i++) {
+        let level = 0;
+        if (analyser) {
+          for (let bin = i * binsPerBar; bin < (i + 1) * binsPerBar; bin++) {
+            level = Math.max(level, data[bin] / 255);
+          }
+        }
+
+        const barHeight = Math.max(level, MIN_BAR_HEIGHT) * height;
+        roundedBar(ctx, x, height - barHeight, BAR_WIDTH, barHeight);
+        x += BAR_WIDTH + BAR_GAP;
+      }
+    },
+
+    reset() {}
+  };
+};
+
+// Log-frequency bars with peak-hold caps
+const createLogBarsRenderer = (scheme) => {
+  let data = null;
+  let peaks = [];
+  let lastTime = null;
+
+  return {
+    draw(ctx, { width, height }, analyser, now) {
+      ctx.clearRect(0, 0, width, height);
+
+      const count = Math.min(Math.max(Math.floor(width / 6), 8), 96);
+      const slot = width / count;
+      const barWidth = Math.max(slot - 2, 1);
+      const elapsed = lastTime === null ? 0 : (now - lastTime) / 1000;
+      lastTime = now;
+
+      if (analyser && data?.length !== analyser.frequencyBinCount) {
+        data = new Uint8Array(analyser.frequencyBinCount);
+      }
+      if (analyser) analyser.getByteFrequencyData(data);
+      if (peaks.length !== count) peaks = Array.from({ length: count }, () => ({ level: 0, heldAt: 0 }));
+
+      const nyquist = analyser ? analyser.context.sampleRate / 2 : MAX_FREQUENCY;
+      const maxFrequency = Math.min(MAX_FREQUENCY, nyquist);
+      const binWidth = analyser ? nyquist / data.length : 1;
+
+      ctx.fillStyle = createSchemeGradient(ctx, scheme, [0, height, 0, 0]);
+      for (let i = 0; i < count; i++) {
+        const level = analyser
+          ? getBandLevel(
+            data,
+            binWidth,
+            getLogFrequency(i / count, maxFrequency),
+            getLogFrequency((i + 1) / count, maxFrequency)
+          ) / 255
+          : 0;
+
+        const peak = peaks[i];
+        if (level >= peak.level) {
+          peak.level = level;
+          peak.heldAt = now;
+        } else if (now - peak.heldAt > PEAK_HOLD_MS) {
+          peak.level = Math.max(peak.level - PEAK_FALL_RATE * elapsed, level);
+        }
+
+        const barHeight = Math.max(level, MIN_BAR_HEIGHT) * height;
+        ctx.fillRect(i * slot + 1, height - barHeight, barWidth, barHeight);
+      }
+
+      // Caps in the brightest colour of the scheme
+      ctx.fillStyle = scheme.stops[scheme.stops.length - 1];
+      peaks.forEach((peak, i) => {
+        if (peak.level <= MIN_BAR_HEIGHT) return;
+        ctx.fillRect(i * slot + 1, Math.max(height - peak.level * height - 2, 0), barWidth, 2);
+      });
+    },
+
+    reset() {
+      peaks = [];
+      lastTime = null;
+    }
+  };
+};
+
+// Time-domain waveform
+const createWaveformRenderer = (scheme) => {
+  let data = null;
+
+  return {
+    draw(ctx, { width, height }, analyser) {
+      ctx.clearRect(0, 0, width, height);
+      ctx.lineWidth = 2;
+      ctx.lineJoin = 'round';
+      ctx.strokeStyle = createSchemeGradient(ctx, scheme, [0, 0, width, 0]);
+      ctx.beginPath();
+
+      if (!analyser) {
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+        return;
+      }
+
+      if (data?.length !== analyser.fftSize) data = new Float32Array(analyser.fftSize);
+      analyser.getFloatTimeDomainData(data);
+
+      // At most a couple of points per pixel
+      const step = Math.max(data.length / (width * 2), 1);
+      for (let i = 0, point = 0; i < data.length; i += step, point++) {
+        const x = (i / (data.length - 1)) * width;
+        const y = (1 - (Math.max(Math.min(data[Math.floor(i)], 1), -1) + 1) / 2) * height;
+        if (point === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      }
+      ctx.stroke();
+    },
+
+    reset() {}
+  };
+};
+
+// Spectrum drawn as spokes around a circle, low frequencies at the top
+const createRadialRenderer = (scheme) => {
+  const palette = createPalette(scheme);
+  let data = null;
+
+  return {
+    draw(ctx, { width, height }, analyser) {
+      ctx.clearRect(0, 0, width, height);
+
+      const centerX = width / 2;
+      const centerY = height / 2;
+      const outer = Math.min(width, height) / 2;
+      const inner = outer * 0.45;
+      const spokes = 96;
+
+      if (analyser && data?.length !== analyser.frequencyBinCount) {
+        data = new Uint8Array(analyser.frequencyBinCount);
+      }
+      if (analyser) analyser.getByteFrequencyData(data);
+
+      const nyquist = analyser ? analyser.context.sampleRate / 2 : MAX_FREQUENCY;
+      const maxFrequency = Math.min(MAX_FREQUENCY, nyquist);
+      const binWidth = analyser ? nyquist / data.length : 1;
+
+      ctx.lineWidth = Math.max((2 * Math.PI * inner) / spokes - 1, 1);
+      ctx.lineCap = 'round';
+
+      // Half the spokes go round each side, mirrored
+      for (let i = 0; i < spokes / 2; i++) {
+        const position = i / (spokes / 2);
+        const level = analyser
+          ? getBandLevel(
+            data,
+            binWidth,
+            getLogFrequency(position, maxFrequency),
+            getLogFrequency(position + 2 / spokes, maxFrequency)
+          ) / 255
+          : 0;
+        const length = Math.max(level, MIN_BAR_HEIGHT) * (outer - inner);
+
+        ctx.strokeStyle = paletteColor(palette, 0.25 + level * 0.75);
+        [1, -1].forEach(side => {
+          const angle = -Math.PI / 2 + side * position * Math.PI;
+          const cos = Math.cos(angle);
+          const sin = Math.sin(angle);
+          ctx.beginPath();
+          ctx.moveTo(centerX + cos * inner, centerY + sin * inner);
+          ctx.lineTo(centerX + cos * (inner + length), centerY + sin * (inner + length));
+          ctx.stroke();
+        });
+      }
+    },
+
+    reset() {}
+  };
+};
+
+// Scrolling waterfall: time runs left to right, log frequency bottom to top
+const createSpectrogramRenderer = (scheme) => {
+  const palette = createPalette(scheme);
+  let data = null;
+  let column = null;
+
+  return {
+    draw(ctx, { dpr }, analyser) {
+      const { canvas } = ctx;
+      if (!analyser) return;
+
+      if (data?.length !== analyser.frequencyBinCount) {
+        data = new Uint8Array(analyser.frequencyBinCount);
+      }
+      analyser.getByteFrequencyData(data);
+
+      // Work in device pixels so the image stays sharp
+      const shift = Math.max(Math.round(dpr), 1);
+      if (column?.width !== shift || column.height !== canvas.height) {
+        column = ctx.createImageData(shift, canvas.height);
+      }
+
+      const nyquist = analyser.context.sampleRate / 2;
+      const maxFrequency = Math.min(MAX_FREQUENCY, nyquist);
+      const binWidth = nyquist / data.length;
+
+      for (let y = 0; y < canvas.height; y++) {
+        const position = 1 - y / canvas.height;
+        const level = getBandLevel(
+          data,
+          binWidth,
+          getLogFrequency(position, maxFrequency),
+          getLogFrequency(position + 1 / canvas.height, maxFrequency)
+        );
+
+        for (let x = 0; x < shift; x++) {
+          const offset = (y * shift + x) * 4;
+          column.data[offset] = palette[level * 4];
+          column.data[offset + 1] = palette[level * 4 + 1];
+          column.data[offset + 2] = palette[level * 4 + 2];
+          column.data[offset + 3] = palette[level * 4 + 3];
+        }
+      }
+
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.drawImage(canvas, shift, 0, canvas.width - shift, canvas.height, 0, 0, canvas.width - shift, canvas.height);
+      ctx.putImageData(column, canvas.width - shift, 0);
+      ctx.restore();
+    },
+
+    reset() {
+      column = null;
+    }
+  };
+};
+
+const RENDERERS = {
+  bars: createBarsRenderer,
+  'log-bars': createLogBarsRenderer,
+  waveform: createWaveformRenderer,
+  radial: createRadialRenderer,
+  spectrogram: createSpectrogramRenderer
+};
+
+/**
+ * Creates a renderer for a visualizer mode. Renderers keep state between
+ * frames (peak caps, the spectrogram's history) until reset.
+ * @param {string} modeId - One of VISUALIZER_MODES
+ * @param {string} colorSchemeId - One of VISUALIZER_COLOR_SCHEMES
+ * @returns {Object} - { draw(ctx, size, analyser, now), reset() }; drawing
+ *   without an analyser shows the idle state
+ */
+export const createVisualizerRenderer = (modeId, colorSchemeId) => {
+  const create = RENDERERS[modeId] || RENDERERS.bars;
+  return create(getColorScheme(colorSchemeId));
+};
@@ -0,0 +1,247 @@
+// Vorbis comment reader for FLAC and Ogg (Vorbis/Opus) files
+
+import {
+  compactTags,
+  parsePosition,
+  readAscii,
+  readBytes,
+  readUint32BE,
+  readUint32LE,
+  readUtf8
+} from './binaryReader';
+import { getId3v2Size } from './id3';
+import { readReplayGainValues } from './replayGain';
+
+const FLAC_BLOCK_VORBIS_COMMENT = 4;
+const FLAC_BLOCK_PICTURE = 6;
+const FRONT_COVER = 3;
+
+// Comment headers (with embedded artwork) rarely exceed this, but stop somewhere
+const MAX_OGG_HEADER_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Decodes a base64 string into bytes
+ * @param {string} value - Base64 text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+const decodeBase64 = (value) => {
+  const binary = atob(value.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Parses a FLAC PICTURE block (also used base64-encoded in Ogg comments)
+ * @param {Uint8Array} bytes - Picture block body
+ * @returns {Object|null} - { mimeType, type, description, data }
+ */
+export const parseFlacPicture = (bytes) => {
+  try {
+    const type = readUint32BE(bytes, 0);
+    const mimeLength = readUint32BE(bytes, 4);
+    const mimeType = readAscii(bytes, 8, mimeLength) || 'image/jpeg';
+    let offset = 8 + mimeLength;
+
+    const descriptionLength = readUint32BE(bytes, offset);
+    const description = readUtf8(bytes, offset + 4, descriptionLength);
+    // Skip width, height, colour depth and palette size
+    offset += 4 + descriptionLength + 16;
+
+    const dataLength = readUint32BE(bytes, offset);
+    const data = bytes.slice(offset + 4, offset + 4 + dataLength);
+
+    return data.length ? { mimeType, type, description, data } : null;
+  } catch (error) {
+    console.error('Failed to parse embedded picture:', error);
+    return null;
+  }
+};
+
+/**
+ * Parses a Vorbis comment block into the common tag shape
+ * @param {Uint8Array} bytes - Comment body, starting at the vendor string length
+ * @returns {Object} - Tag fields
+ */
+export const parseVorbisComment = (bytes) => {
+  const comments = {};
+  const pictures = [];
+
+  let offset = 4 + readUint32LE(bytes, 0);
+  const count = readUint32LE(bytes, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, offset);
+    const entry = readUtf8(bytes, offset + 4, length);
+    offset += 4 + length;
+
+    const separator = entry.indexOf('=');
+    if (separator <= 0) continue;
+
+    const key = entry.slice(0, separator).toUpperCase();
+    const value = entry.slice(separator + 1);
+
+    if (key === 'METADATA_BLOCK_PICTURE') {
+      const picture = parseFlacPicture(decodeBase64(value));
+      if (picture) pictures.push(picture);
+    } else if (!comments[key]) {
+      comments[key] = value.trim();
+    } else {
+      comments[key] = `${comments[key]} / ${value.trim()}`;
+    }
+  }
+
+  const track = parsePosition(comments.TRACKNUMBER);
+  const disc = parsePosition(comments.DISCNUMBER);
+  const year = parseInt(comments.DATE || comments.YEAR, 10);
+
+  const tags = {
+    title: comments.TITLE,
+    artist: comments.ARTIST,
+    albumArtist: comments.ALBUMARTIST || comments['ALBUM ARTIST'],
+    album: comments.ALBUM,
+    trackNumber: track.number,
+    trackTotal: track.total || parseInt(comments.TRACKTOTAL || comments.TOTALTRACKS, 10) || null,
+    discNumber: disc.number,
+    discTotal: disc.total || parseInt(comments.DISCTOTAL || comments.TOTALDISCS, 10) || null,
+    year: Number.isFinite(year) ? year : null,
+    genre: comments.GENRE,
+    comment: comments.COMMENT || comments.DESCRIPTION,
+    ...readReplayGainValues(comments)
+  };
+
+  const picture = pictures.find(item => item.type === FRONT_COVER) || pictures[0];
+  if (picture) tags.picture = picture;
+
+  return compactTags(tags);
+};
+
+/**
+ * Reads tags from a FLAC file's metadata blocks
+ * @param {Blob} file - The FLAC file
+ * @returns {Promise<Object|null>} - Tag fields or null if none were found
+ */
+export const readFlacTags = async (file) => {
+  // Some encoders put an ID3v2 tag in front of the stream marker
+  let offset = getId3v2Size(await readBytes(file, 0, 10));
+  if (readAscii(await readBytes(file, offset, 4), 0, 4) !== 'fLaC') return null;
+  offset += 4;
+
+  let tags = null;
+  const pictures = [];
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= file.size) {
+    const header = await readBytes(file, offset, 4);
+    isLast = Boolean(header[0] & 0x80);
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    offset += 4;
+
+    if (type === FLAC_BLOCK_VORBIS_COMMENT) {
+      tags = parseVorbisComment(await readBytes(file, offset, length));
+    } else if (type === FLAC_BLOCK_PICTURE) {
+      const picture = parseFlacPicture(await readBytes(file, offset, length));
+      if (picture) pictures.push(picture);
+    }
+
+    offset += length;
+  }
+
+  const picture = pictures.find(item => item.type === FRONT_COVER) || pictures[0];
+  if (picture && !tags?.picture) {
+    tags = { ...tags, picture };
+  }
+
+  return tags;
+};
+
+/**
+ * Reassembles the first packets of the first logical Ogg stream
+ * @param {Uint8Array} bytes - Start of the file
+ * @param {number} packetCount - Number of packets wanted
+ * @returns {Uint8Array[]|null} - The complete packets, or null if more data is needed
+ */
+const readOggPackets = (bytes, packetCount) => {
+  const packets = [];
+  let pending = [];
+  let serial = null;
+  let offset = 0;
+
+  while (offset + 27 <= bytes.length && packets.length < packetCount) {
+    if (readAscii(bytes, offset, 4) !== 'OggS') return packets;
+
+    const pageSerial = readUint32LE(bytes, offset + 14);
+    const segmentCount = bytes[offset + 26];
+    const segmentTable = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+    let dataOffset = offset + 27 + segmentCount;
+
+    const pageSize = segmentTable.reduce((sum, size) => sum + size, 0);
+    if (dataOffset + pageSize > bytes.length) return null;
+
+    if (serial === null) serial = pageSerial;
+
+    if (pageSerial === serial) {
+      for (let i = 0; i < segmentCount && packets.length < packetCount; i++) {
+        pending.push(bytes.subarray(dataOffset, dataOffset + segmentTable[i]));
+        dataOffset += segmentTable[i];
+
+        // A lacing value under 255 ends the packet
+        if (segmentTable[i] < 255) {
+          const length = pending.reduce((sum, part) => sum + part.length, 0);
+          const packet = new Uint8Array(length);
+          let position = 0;
+          pending.forEach(part => {
+            packet.set(part, position);
+            position += part.length;
+          });
+          packets.push(packet);
+          pending = [];
+        }
+      }
+    }
+
+    offset += 27 + segmentCount + pageSize;
+  }
+
+  return packets.length >= packetCount ? packets : null;
+};
+
+/**
+ * Reads tags from an Ogg Vorbis or Ogg Opus file
+ * @param {Blob} file - The Ogg file
+ * @returns {Promise<Object|null>} - Tag fields or null if none were found
+ */
+export const readOggTags = async (file) => {
+  let length = 64 * 1024;
+  let packets = null;
+
+  while (!packets) {
+    const bytes = await readBytes(file, 0, length);
+    packets = readOggPackets(bytes, 2);
+
+    if (!packets) {
+      if (length >= file.size || length >= MAX_OGG_HEADER_BYTES) return null;
+      length *= 4;
+    }
+  }
+
+  const [, commentPacket] = packets;
+  if (!commentPacket) return null;
+
+  if (readAscii(commentPacket, 0, 8) === 'OpusTags') {
+    return parseVorbisComment(commentPacket.subarray(8));
+  }
+  if (commentPacket[0] === 0x03 && readAscii(commentPacket, 1, 6) === 'vorbis') {
+    return parseVorbisComment(commentPacket.subarray(7));
+  }
+  // Ogg FLAC: the second packet is a native VORBIS_COMMENT metadata block
+  if ((commentPacket[0] & 0x7f) === FLAC_BLOCK_VORBIS_COMMENT) {
+    return parseVorbisComment(commentPacket.subarray(4));
+  }
+
+  return null;
+};
@@ -0,0 +1,111 @@
+// Waveform peaks for the seek bar
+
+// Peaks are bumped when the format changes so old caches get recomputed
+export const PEAKS_VERSION = 1;
+
+// Buckets in the finest level; coarser levels halve it down to MIN_PEAKS_SIZE
+const PEAKS_SIZE = 4096;
+const MIN_PEAKS_SIZE = 64;
+
+// Plenty for the shape of a waveform and a quarter of the memory of 44.1 kHz
+const DECODE_SAMPLE_RATE = 11025;
+
+const YIELD_EVERY_SAMPLES = 1 << 20;
+
+/**
+ * Computes the peak amplitude of each bucket across all channels, then
+ * max-pools it into coarser levels
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @param {number} size - Buckets in the finest level
+ * @returns {Promise<Object>} - { version, duration, levels } where levels are
+ *   Uint8Arrays of peak amplitude (0 to 255), finest first
+ */
+export const computePeaks = async (buffer, size = PEAKS_SIZE) => {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+  const bucketSize = buffer.length / size;
+  const finest = new Uint8Array(size);
+
+  let sinceYield = 0;
+  for (let bucket = 0; bucket < size; bucket++) {
+    const start = Math.floor(bucket * bucketSize);
+    const end = Math.min(Math.max(Math.floor((bucket + 1) * bucketSize), start + 1), buffer.length);
+
+    let peak = 0;
+    channels.forEach(data => {
+      for (let i = start; i < end; i++) {
+        const value = data[i] < 0 ? -data[i] : data[i];
+        if (value > peak) peak = value;
+      }
+    });
+    finest[bucket] = Math.min(Math.round(peak * 255), 255);
+
+    // Keep the UI responsive on long tracks
+    sinceYield += (end - start) * channels.length;
+    if (sinceYield >= YIELD_EVERY_SAMPLES) {
+      sinceYield = 0;
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  const levels = [finest];
+  while (levels[levels.length - 1].length / 2 >= MIN_PEAKS_SIZE) {
+    const previous = levels[levels.length - 1];
+    const level = new Uint8Array(previous.length / 2);
+    for (let i = 0; i < level.length; i++) {
+      level[i] = Math.max(previous[i * 2], previous[i * 2 + 1]);
+    }
+    levels.push(level);
+  }
+
+  return { version: PEAKS_VERSION, duration: buffer.duration, levels };
+};
+
+/**
+ * Decodes an audio file and computes its peaks
+ * @param {Blob} blob - Audio file
+ * @returns {Promise<Object>} - Peaks from computePeaks
+ */
+export const analyzePeaks = async (blob) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) throw new Error('Offline audio decoding is not supported');
+
+  const context = new OfflineContext(1, 1, DECODE_SAMPLE_RATE);
+  const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+
+  return computePeaks(buffer);
+};
+
+/**
+ * Picks the coarsest level that still has a value for every bar
+ * @param {Object} peaks - Peaks from computePeaks
+ * @param {number} count - Number of bars to draw
+ * @returns {Uint8Array} - The level to sample
+ */
+const pickLevel = (peaks, count) => {
+  for (let i = peaks.levels.length - 1; i >= 0; i--) {
+    if (peaks.levels[i].length >= count) return peaks.levels[i];
+  }
+  return peaks.levels[0];
+};
+
+/**
+ * Resamples peaks to a number of bars
+ * @param {Object} peaks - Peaks from computePeaks
+ * @param {number} count - Number of bars
+ * @returns {number[]} - Peak amplitude of each bar, 0 to 1
+ */
+export const getBarPeaks = (peaks, count) => {
+  const level = pickLevel(peaks, count);
+  const perBar = level.length / count;
+
+  return Array.from({ length: count }, (_, bar) => {
+    const start = Math.floor(bar * perBar);
+    const end = Math.max(Math.floor((bar + 1) * perBar), start + 1);
+
+    let peak = 0;
+    for (let i = start; i < end && i < level.length; i++) {
+      if (level[i] > peak) peak = level[i];
+    }
+    return peak / 255;
+  });
+};